@@ -0,0 +1,323 @@
+// @flow
+import React from 'react';
+// $FlowFixMe
+import memoize from 'memoize-one';
+import debounce from 'debounce';
+import analyzeTraces from './traceAnalysis';
+import type {AnalysisRange, CallTreeNode, TraceAnalysis} from './traceAnalysis';
+import {formatMs} from './renderUtils';
+import type {Measure, RenderableTrace} from './renderUtils';
+import type {RenderableMeasure} from './calculateTraceLayout';
+import type {Theme} from './theme';
+
+type Tab = 'bottomUp' | 'callTree' | 'eventLog';
+
+type Column = {
+  key: string,
+  label: string,
+  numeric: boolean,
+};
+
+type Props = {
+  renderableTraces: Array<RenderableTrace>,
+  // the analysis is updated when the trace grows in place
+  traceLength: number,
+  range: AnalysisRange,
+  // describes where the range came from, eg. 'visible range'
+  rangeLabel: string,
+  onSelectMeasure: (measure: RenderableMeasure<Measure>) => void,
+  theme: Theme,
+};
+
+type State = {
+  tab: Tab,
+  // range is updated from props after panning/zooming settles, as analysing
+  // the trace on every frame would be too slow
+  range: AnalysisRange,
+  sortKey: string,
+  sortDescending: boolean,
+  expanded: Set<string>,
+};
+
+const TABS: Array<[Tab, string]> = [
+  ['bottomUp', 'Bottom-Up'],
+  ['callTree', 'Call Tree'],
+  ['eventLog', 'Event Log'],
+];
+
+const COLUMNS: {[Tab]: Array<Column>} = {
+  bottomUp: [
+    {key: 'selfTime', label: 'Self Time', numeric: true},
+    {key: 'totalTime', label: 'Total Time', numeric: true},
+    {key: 'count', label: 'Count', numeric: true},
+    {key: 'name', label: 'Name', numeric: false},
+  ],
+  callTree: [
+    {key: 'selfTime', label: 'Self Time', numeric: true},
+    {key: 'totalTime', label: 'Total Time', numeric: true},
+    {key: 'count', label: 'Count', numeric: true},
+    {key: 'name', label: 'Name', numeric: false},
+  ],
+  eventLog: [
+    {key: 'startTime', label: 'Start Time', numeric: true},
+    {key: 'selfTime', label: 'Self Time', numeric: true},
+    {key: 'totalTime', label: 'Total Time', numeric: true},
+    {key: 'name', label: 'Name', numeric: false},
+  ],
+};
+
+// cap on the number of rows rendered, to keep rendering cheap for big traces
+const MAX_ROWS = 500;
+const RANGE_UPDATE_DEBOUNCE_MS = 200;
+const INDENT_PX = 12;
+const NUMERIC_COLUMN_WIDTH = 90;
+
+const cellStyle = {
+  padding: '1px 6px',
+  whiteSpace: 'nowrap',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+};
+
+function compareRows(key: string, descending: boolean) {
+  return (a: Object, b: Object) => {
+    const aValue = a[key];
+    const bValue = b[key];
+    const result =
+      typeof aValue === 'string'
+        ? aValue.localeCompare(bValue)
+        : (aValue || 0) - (bValue || 0);
+    return descending ? -result : result;
+  };
+}
+
+export default class AnalysisPanel extends React.Component<Props, State> {
+  state = {
+    tab: 'bottomUp',
+    range: this.props.range,
+    sortKey: 'selfTime',
+    sortDescending: true,
+    expanded: new Set(),
+  };
+
+  componentDidUpdate(prevProps: Props) {
+    if (
+      prevProps.range.start !== this.props.range.start ||
+      prevProps.range.end !== this.props.range.end
+    ) {
+      this._updateRange();
+    }
+  }
+
+  componentWillUnmount() {
+    this._updateRange.clear();
+  }
+
+  _updateRange = debounce(() => {
+    this.setState({range: this.props.range});
+  }, RANGE_UPDATE_DEBOUNCE_MS);
+
+  _analyze = memoize(
+    (
+      renderableTraces: Array<RenderableTrace>,
+      traceLength: number,
+      range: AnalysisRange
+    ): TraceAnalysis => analyzeTraces(renderableTraces, range)
+  );
+
+  _handleTab = (tab: Tab) => {
+    this.setState({
+      tab,
+      sortKey: tab === 'eventLog' ? 'startTime' : 'selfTime',
+      sortDescending: tab !== 'eventLog',
+    });
+  };
+
+  _handleSort = (column: Column) => {
+    this.setState(state => ({
+      sortKey: column.key,
+      // numbers are most useful biggest first, names alphabetically
+      sortDescending:
+        state.sortKey === column.key
+          ? !state.sortDescending
+          : column.numeric && column.key !== 'startTime',
+    }));
+  };
+
+  _toggleExpanded(id: string) {
+    this.setState(state => {
+      const expanded = new Set(state.expanded);
+      if (expanded.has(id)) {
+        expanded.delete(id);
+      } else {
+        expanded.add(id);
+      }
+      return {expanded};
+    });
+  }
+
+  _renderHeader(columns: Array<Column>) {
+    return (
+      <tr>
+        {columns.map(column => (
+          <th
+            key={column.key}
+            style={{
+              ...cellStyle,
+              cursor: 'pointer',
+              width: column.numeric ? NUMERIC_COLUMN_WIDTH : null,
+              textAlign: column.numeric ? 'right' : 'left',
+              borderBottom: `solid 1px ${this.props.theme.panelBorder}`,
+            }}
+            onClick={() => this._handleSort(column)}
+          >
+            {column.label}
+            {this.state.sortKey === column.key
+              ? this.state.sortDescending
+                ? ' ▼'
+                : ' ▲'
+              : ''}
+          </th>
+        ))}
+      </tr>
+    );
+  }
+
+  _renderCells(
+    columns: Array<Column>,
+    row: Object,
+    renderName?: (name: string) => React$Node
+  ) {
+    return columns.map(column => (
+      <td
+        key={column.key}
+        style={{...cellStyle, textAlign: column.numeric ? 'right' : 'left'}}
+      >
+        {column.key === 'name'
+          ? renderName
+            ? renderName(row.name)
+            : row.name
+          : column.key === 'count'
+          ? row.count
+          : formatMs(row[column.key])}
+      </td>
+    ));
+  }
+
+  _renderCallTreeRows(
+    nodes: Map<string, CallTreeNode>,
+    depth: number,
+    rows: Array<React$Node>
+  ) {
+    const columns = COLUMNS.callTree;
+    const sorted = Array.from(nodes.values()).sort(
+      compareRows(this.state.sortKey, this.state.sortDescending)
+    );
+    for (const node of sorted) {
+      if (rows.length >= MAX_ROWS) return;
+      const expandable = node.children.size > 0;
+      const expanded = this.state.expanded.has(node.id);
+      rows.push(
+        <tr
+          key={node.id}
+          style={{cursor: expandable ? 'pointer' : null}}
+          onClick={expandable ? () => this._toggleExpanded(node.id) : null}
+        >
+          {this._renderCells(columns, node, name => (
+            <span style={{paddingLeft: depth * INDENT_PX}}>
+              {expandable ? (expanded ? '▾ ' : '▸ ') : '  '}
+              {name}
+            </span>
+          ))}
+        </tr>
+      );
+      if (expanded) {
+        this._renderCallTreeRows(node.children, depth + 1, rows);
+      }
+    }
+  }
+
+  _renderRows(analysis: TraceAnalysis) {
+    const {tab, sortKey, sortDescending} = this.state;
+    const columns = COLUMNS[tab];
+    const compare = compareRows(sortKey, sortDescending);
+    switch (tab) {
+      case 'bottomUp':
+        return analysis.bottomUp
+          .slice()
+          .sort(compare)
+          .slice(0, MAX_ROWS)
+          .map(row => (
+            <tr key={row.name}>{this._renderCells(columns, row)}</tr>
+          ));
+      case 'callTree': {
+        const rows = [];
+        this._renderCallTreeRows(analysis.callTree, 0, rows);
+        return rows;
+      }
+      case 'eventLog':
+        return analysis.events
+          .slice()
+          .sort(compare)
+          .slice(0, MAX_ROWS)
+          .map((row, index) => (
+            <tr
+              key={index}
+              style={{cursor: 'pointer'}}
+              onClick={() => this.props.onSelectMeasure(row.renderableMeasure)}
+            >
+              {this._renderCells(columns, row, name => (
+                <span style={{paddingLeft: row.depth * INDENT_PX}}>{name}</span>
+              ))}
+            </tr>
+          ));
+      default:
+        (tab: empty);
+        throw new Error('panic');
+    }
+  }
+
+  render() {
+    const {range, tab} = this.state;
+    const analysis = this._analyze(
+      this.props.renderableTraces,
+      this.props.traceLength,
+      range
+    );
+    return (
+      <div
+        style={{
+          borderTop: `solid 1px ${this.props.theme.panelBorder}`,
+          fontSize: 11,
+          fontFamily: 'Lucida Grande',
+        }}
+      >
+        <div style={{padding: 4}}>
+          {TABS.map(([tabKey, label]) => (
+            <button
+              key={tabKey}
+              disabled={tabKey === tab}
+              onClick={() => this._handleTab(tabKey)}
+            >
+              {label}
+            </button>
+          ))}{' '}
+          {this.props.rangeLabel}: {formatMs(range.start)} &ndash;{' '}
+          {formatMs(range.end)} ({formatMs(range.end - range.start)})
+        </div>
+        <div style={{maxHeight: 300, overflowY: 'auto'}}>
+          <table
+            style={{
+              width: '100%',
+              borderCollapse: 'collapse',
+              tableLayout: 'fixed',
+            }}
+          >
+            <thead>{this._renderHeader(COLUMNS[tab])}</thead>
+            <tbody>{this._renderRows(analysis)}</tbody>
+          </table>
+        </div>
+      </div>
+    );
+  }
+}
@@ -10,6 +10,31 @@ const HEIGHT = FIXED ? 600 : window.innerHeight - 100;
 const WIDTH = window.innerWidth;
 const LARGE = window.location.search.slice(1).includes('large');
 const SINGLE_GROUP = window.location.search.slice(1).includes('single');
+const CAUSAL = window.location.search.slice(1).includes('causal');
+const DARK = window.location.search.slice(1).includes('dark');
+
+// interactions are named like '0:1:0:load_list_items -> commit 1', and the
+// commits they caused list them in args.interactionNames
+const INTERACTION_NAME_REGEX = /^(.*) -> commit (\d+)$/;
+function getCausalLinks(trace) {
+  const commits = trace.filter(m => m.group === 'reactCommits');
+  const links = [];
+  for (const interaction of trace) {
+    if (interaction.group !== 'interactions') continue;
+    const match = INTERACTION_NAME_REGEX.exec(interaction.name);
+    if (!match) continue;
+    const [, interactionName, commitID] = match;
+    for (const commit of commits) {
+      if (
+        commit.id === Number(commitID) &&
+        commit.args.interactionNames.includes(interactionName)
+      ) {
+        links.push({from: interaction, to: commit});
+      }
+    }
+  }
+  return links;
+}
 
 let transformedTracedata = SINGLE_GROUP
   ? tracedata
@@ -51,8 +76,9 @@ class App extends Component<void> {
         <Trace
           truncateLabels={true}
           persistView={true}
-          trace={transformedTracedata}
-          // trace={causaldata}
+          trace={CAUSAL ? causaldata : transformedTracedata}
+          links={CAUSAL ? getCausalLinks(causaldata) : undefined}
+          theme={DARK ? 'dark' : 'light'}
           viewportWidth={WIDTH}
           viewportHeight={HEIGHT}
           renderer={
@@ -6,27 +6,79 @@ import {
   BAR_X_GUTTER,
   MIN_ZOOM,
   MAX_ZOOM,
-  TOOLTIP_OFFSET,
   TOOLTIP_HEIGHT,
+  RULER_HEIGHT,
 } from './constants';
-import {getLayout, UtilsWithCache} from './renderUtils';
-import type {RenderableTrace, Measure, Extents, Layout} from './renderUtils';
+import {
+  getLayout,
+  getTimeAtX,
+  getVisibleRows,
+  getRowAtY,
+  UtilsWithCache,
+} from './renderUtils';
+import type {
+  RenderableTrace,
+  Measure,
+  Extents,
+  Layout,
+  TimeRange,
+} from './renderUtils';
 import type {RenderableMeasure} from './calculateTraceLayout';
 import type {HandleStateChangeFn} from './State';
+import {
+  getRulerTicks,
+  renderRuler2D,
+  renderGridLines2D,
+  RULER_TEXT_PADDING_PX,
+} from './timeRuler';
+import type {RulerTick} from './timeRuler';
+import * as WebGLRulerRenderUtils from './WebGLRulerRenderUtils';
+import {fillRects} from './WebGLRulerRenderUtils';
+import {getHoverColorForMeasure} from './WebGLColorUtils';
+import {
+  layoutGroupLanes,
+  getIntersectingGroupLane,
+  getGroupDropIndex,
+  getLaneTrace,
+  reorderGroups,
+  renderGroupHeaders2D,
+  renderGroupDropIndicator2D,
+  renderGroupHeadersWebGL,
+  renderGroupDropIndicatorWebGL,
+} from './groupLanes';
+import type {GroupLane} from './groupLanes';
+import type {Colorizer} from './colorScheme';
+import type {Theme} from './theme';
+import {getWebGLColor} from './theme';
+import {getFlowArrows, getLinkedChain, renderFlowArrows2D} from './flowLinks';
+import type {FlowLink, FlowArrow} from './flowLinks';
+import {initWebGLLinkRenderer} from './WebGLLinkRenderUtils';
 // $FlowFixMe
 import memoize from 'memoize-one';
 import debounce from 'debounce';
 import memoizeWeak from './memoizeWeak';
 import type {WebGLRenderState} from './WebGLRenderState';
+import type {SpatialIndex} from './spatialIndex';
+import getLODIndex, {
+  getAggregate,
+  getRepresentativeMeasure,
+} from './levelOfDetail';
+import type {Aggregate} from './levelOfDetail';
 import {initWebGLRenderer} from './WebGLRenderUtils';
 import {initWebGLRenderer as initWebGLGPUTransformRenderer} from './WebGLGPUTranformRenderUtils';
-import type {RenderableText} from './WebGLTextRenderUtils';
+import type {RenderableText, WebGLFont} from './WebGLTextRenderUtils';
 import * as WebGLTextRenderUtils from './WebGLTextRenderUtils';
-import ReactDOM from 'react-dom';
+import {getFontKey} from './WebGLTextRenderUtils';
+import {getTextLayoutCache} from './textLayoutCache';
+import {formatLabel, getDefaultLabelFormat} from './labelFormat';
+import type {FormatLabel} from './labelFormat';
+import {updateTooltip} from './tooltip';
 import type {Element as ReactElement} from 'react';
 import {
   configureRetinaCanvas,
   getCanvasMousePos,
+  isCanvas,
+  isCanvasElement,
   CanvasWheelHandler,
 } from './canvasUtils';
 import type {MouseEventWithTarget} from './canvasUtils';
@@ -46,14 +98,35 @@ export type Props = {
   defaultZoom: number,
   zooming: boolean,
   minZoom: number,
+  // when searching, measures which don't match are dimmed
+  searchMatches: ?Set<Measure>,
+  colorizer: Colorizer,
+  theme: Theme,
+  rangeSelection: ?TimeRange,
+  // drawn as arrows between measures
+  links: Array<FlowLink>,
   tooltip: ?Node,
   truncateLabels?: boolean,
+  // overrides truncateLabels
+  formatLabel?: ?FormatLabel,
+  // font of the webgl renderer's text
+  webglFont?: WebGLFont,
+  // draw vertical lines across the chart at each ruler tick
+  showGridLines?: boolean,
   renderableTrace: RenderableTrace,
   renderableTraceGroups: Map<string, RenderableTrace>,
   groupOrder?: Array<string>,
+  // groups which are shown as a single summary row
+  collapsedGroups: Set<string>,
   renderer: 'canvas' | 'webgl',
   renderTooltip?: Measure => ReactElement<any>,
+  // set in worker mode, where the main thread sizes the canvas for it
+  devicePixelRatio?: number,
   onSelectionChange: (selection: ?RenderableMeasure<Measure>) => void,
+  // called when a shift-drag range selection is completed
+  onRangeSelect: (range: ?TimeRange) => void,
+  onToggleGroupCollapsed: (group: string) => void,
+  onGroupOrderChange: (groupOrder: Array<string>) => void,
   onStateChange: HandleStateChangeFn,
 };
 
@@ -71,21 +144,34 @@ import {
   CANVAS_RENDER_60FPS,
 } from './canvasConstants';
 
+// how far a group header needs to be dragged before it's a reorder rather
+// than a click
+const GROUP_DRAG_THRESHOLD_PX = 3;
+
 const toInt = CANVAS_USE_FLOAT_DIMENSIONS ? x => x : Math.floor;
 
-function truncateText(text: string, endSize: number) {
-  return `${text.slice(0, endSize)}\u{2026}${text.slice(
-    text.length - 1 - endSize
-  )}`;
-}
+// for measure labels
+const LABEL_FONT = '10px Lucida Grande';
 
 export class CanvasRendererImpl {
   _canvas: ?Node = null;
-  _renderedShapes: Array<[Layout, RenderableMeasure<Measure>]> = [];
+  _renderedGroupLanes: Array<GroupLane> = [];
   _renderedZoom: number = 1;
   _renderedCenter: number = 1;
   _mouseX = 0;
   _mouseY = 0;
+  // the hovered measure isn't part of the trace state, as updating it would
+  // rerender everything on every mouse move
+  _hovered: ?RenderableMeasure<Measure> = null;
+  // time at which the current range selection drag started
+  _brushStart: ?number = null;
+  // group header being dragged to reorder groups
+  _groupDrag: ?{
+    group: string,
+    startY: number,
+    moved: boolean,
+    dropIndex: number,
+  } = null;
   _utils = new UtilsWithCache();
 
   _framecounter = 0;
@@ -132,27 +218,165 @@ export class CanvasRendererImpl {
     const {canvasMouseX, canvasMouseY} = this._getCanvasMousePos(
       (event: $FlowFixMe)
     );
-    const intersecting = this._renderedShapes.find(
-      ([{x, y, width, height}]) =>
-        !(
-          canvasMouseX < x ||
-          x + width < canvasMouseX ||
-          (canvasMouseY < y || y + height < canvasMouseY)
-        )
+    // the ruler and group headers are drawn over measures
+    if (
+      canvasMouseY < RULER_HEIGHT ||
+      getIntersectingGroupLane(this._renderedGroupLanes, canvasMouseY)
+    ) {
+      return null;
+    }
+    const row = this._getRowAtY(canvasMouseY);
+    if (row == null) {
+      return null;
+    }
+    const {renderableTrace, startY, stackIndex} = row;
+    // measures are drawn at least 1px wide
+    const time = getTimeAtX(this.props, canvasMouseX);
+    const pxTime = getTimeAtX(this.props, canvasMouseX + 1) - time;
+    let intersecting = null;
+    this._getLODIndex(renderableTrace).forEachInRange(
+      stackIndex,
+      time - pxTime,
+      time,
+      measure => {
+        const {x, width} = getLayout(this.props, measure, startY);
+        if (x <= canvasMouseX && canvasMouseX <= x + Math.max(width, 1)) {
+          intersecting = measure;
+        }
+      }
     );
-    let selection = null;
-    if (intersecting) {
-      return intersecting[1];
+    return intersecting;
+  }
+
+  // lays out the lanes of the groups being drawn, which mouse events are then
+  // matched against
+  _layoutGroupLanes(): Array<GroupLane> {
+    const {renderableTraceGroups} = this.props;
+    const lanes = layoutGroupLanes(
+      renderableTraceGroups,
+      this.props.groupOrder || Array.from(renderableTraceGroups.keys()),
+      this.props.collapsedGroups,
+      RULER_HEIGHT + this.props.verticalOffset,
+      groupTrace => this._utils._getMaxStackIndex(groupTrace) + 1
+    );
+    this._renderedGroupLanes = lanes;
+    return lanes;
+  }
+
+  _getRenderedGroupLane(group: ?string): ?GroupLane {
+    return this._renderedGroupLanes.find(lane => lane.group === group);
+  }
+
+  // the row of measures at y, if y is over a bar
+  _getRowAtY(
+    y: number
+  ): ?{renderableTrace: RenderableTrace, startY: number, stackIndex: number} {
+    const lane = this._renderedGroupLanes.find(
+      lane => lane.top <= y && y < lane.bottom
+    );
+    const groupTrace = lane
+      ? this.props.renderableTraceGroups.get(lane.group)
+      : null;
+    if (lane == null || groupTrace == null) {
+      return null;
+    }
+    const renderableTrace = getLaneTrace(groupTrace, lane);
+    const stackIndex = getRowAtY(lane.rowsTop, y, lane.rowCount);
+    return stackIndex == null
+      ? null
+      : {renderableTrace, startY: lane.rowsTop, stackIndex};
+  }
+
+  // the layout of a measure from the groups' layouts, if it's drawn. collapsed
+  // groups are drawn as a single row, where top level measures are drawn as is
+  _getRenderedLayout(renderableMeasure: RenderableMeasure<Measure>) {
+    const lane = this._getRenderedGroupLane(renderableMeasure.measure.group);
+    if (lane == null || (lane.collapsed && renderableMeasure.stackIndex > 0)) {
+      return null;
+    }
+    return getLayout(this.props, renderableMeasure, lane.rowsTop);
+  }
+
+  // where links to and from a measure are drawn
+  _getLinkedMeasureY = (measure: Measure): ?number => {
+    const lane = this._getRenderedGroupLane(measure.group);
+    const groupTrace = lane
+      ? this.props.renderableTraceGroups.get(lane.group)
+      : null;
+    const renderableMeasure = groupTrace
+      ? this._utils._getRenderableMeasureIndex(groupTrace).get(measure)
+      : null;
+    if (lane == null || renderableMeasure == null) {
+      return null;
     }
+    // collapsed groups are drawn as a single row
+    const stackIndex = lane.collapsed ? 0 : renderableMeasure.stackIndex;
+    return (
+      lane.rowsTop + stackIndex * (BAR_HEIGHT + BAR_Y_GUTTER) + BAR_HEIGHT / 2
+    );
+  };
+
+  // measures narrower than a pixel are merged into blocks, see levelOfDetail
+  _getLODIndex(renderableTrace: RenderableTrace): SpatialIndex {
+    return getLODIndex(
+      renderableTrace,
+      getTimeAtX(this.props, 1) - getTimeAtX(this.props, 0)
+    );
+  }
 
-    return null;
+  // the range of time in view horizontally
+  _getVisibleTimeRange() {
+    return {
+      start: getTimeAtX(this.props, 0),
+      end: getTimeAtX(this.props, this.props.viewportWidth),
+    };
   }
 
   _onCanvas = (node: ?Node) => {
     this._canvas = node;
   };
 
+  _getTimeAtMouse(event: MouseEventWithTarget) {
+    const {canvasMouseX} = this._getCanvasMousePos(event);
+    const {startOffset, endOffset} = this.props.extents;
+    return Math.max(
+      startOffset,
+      Math.min(endOffset, getTimeAtX(this.props, canvasMouseX))
+    );
+  }
+
+  _updateRangeSelection(event: MouseEventWithTarget, brushStart: number) {
+    const time = this._getTimeAtMouse(event);
+    this.props.onStateChange({
+      rangeSelection: {
+        start: Math.min(brushStart, time),
+        end: Math.max(brushStart, time),
+      },
+    });
+  }
+
   _mouseDown = (event: SyntheticMouseEvent<HTMLCanvasElement>) => {
+    // shift-drag selects a time range instead of panning
+    if (event.shiftKey) {
+      const brushStart = this._getTimeAtMouse((event: $FlowFixMe));
+      this._brushStart = brushStart;
+      this._updateRangeSelection((event: $FlowFixMe), brushStart);
+      return;
+    }
+    const {canvasMouseY} = this._getCanvasMousePos((event: $FlowFixMe));
+    const lane = getIntersectingGroupLane(
+      this._renderedGroupLanes,
+      canvasMouseY
+    );
+    if (lane) {
+      this._groupDrag = {
+        group: lane.group,
+        startY: canvasMouseY,
+        moved: false,
+        dropIndex: this._renderedGroupLanes.indexOf(lane),
+      };
+      return;
+    }
     this.props.onStateChange({dragging: true, dragMoved: false});
   };
 
@@ -164,37 +388,61 @@ export class CanvasRendererImpl {
 
     this._mouseX = canvasMouseX;
     this._mouseY = canvasMouseY;
+    if (hovered !== this._hovered) {
+      this._hovered = hovered;
+      // to highlight the hovered measure's links
+      if (this.props.links.length > 0 && !this.props.dragging) {
+        this._renderCanvas();
+      }
+    }
     const tooltip = this.props.tooltip;
 
-    if (tooltip instanceof HTMLDivElement) {
-      const tooltipX = this._mouseX + TOOLTIP_OFFSET;
-      const tooltipY = this._mouseY + TOOLTIP_OFFSET;
-
-      tooltip.style.left = `${tooltipX}px`;
-      tooltip.style.top = `${tooltipY}px`;
-      if (hovered != null) {
-        if (this.props.renderTooltip) {
-          ReactDOM.render(this.props.renderTooltip(hovered.measure), tooltip);
-        } else {
-          tooltip.textContent = `${hovered.measure.duration.toFixed(1)}ms ${
-            hovered.measure.name
-          }`;
+    // there's no tooltip in worker mode, where it's updated by the main thread
+    if (tooltip != null && tooltip instanceof HTMLDivElement) {
+      updateTooltip(
+        tooltip,
+        this._mouseX,
+        this._mouseY,
+        hovered,
+        hovered ? getAggregate(hovered.measure) : null,
+        this.props.renderTooltip,
+        {
+          renderableTrace:
+            (hovered &&
+              this.props.renderableTraceGroups.get(
+                (hovered.measure.group: $FlowFixMe)
+              )) ||
+            this.props.renderableTrace,
+          traceStart: this.props.extents.startOffset,
+          viewportWidth: this.props.viewportWidth,
+          viewportHeight: this.props.viewportHeight,
         }
-        tooltip.hidden = false;
-      } else {
-        tooltip.hidden = true;
-      }
+      );
     }
 
-    if (this.props.dragging) {
+    const groupDrag = this._groupDrag;
+    if (this._brushStart != null) {
+      this._updateRangeSelection((event: $FlowFixMe), this._brushStart);
+    } else if (groupDrag) {
+      if (Math.abs(canvasMouseY - groupDrag.startY) > GROUP_DRAG_THRESHOLD_PX) {
+        groupDrag.moved = true;
+      }
+      if (groupDrag.moved) {
+        groupDrag.dropIndex = getGroupDropIndex(
+          this._renderedGroupLanes,
+          canvasMouseY
+        );
+        // the drop indicator isn't part of the trace state, so just redraw
+        this._renderCanvas();
+      }
+    } else if (this.props.dragging) {
       const updatedCenter =
         this.props.center -
         (event: $FlowFixMe).movementX / PX_PER_MS / this.props.zoom;
 
-      const updatedVerticalOffset = Math.min(
-        0,
-        this.props.verticalOffset + (event: $FlowFixMe).movementY
-      );
+      // clamped to the content height by the trace
+      const updatedVerticalOffset =
+        this.props.verticalOffset + (event: $FlowFixMe).movementY;
       this.props.onStateChange({
         verticalOffset: updatedVerticalOffset,
         center: updatedCenter,
@@ -207,20 +455,55 @@ export class CanvasRendererImpl {
   };
 
   _mouseOut = (event: SyntheticMouseEvent<HTMLCanvasElement>) => {
+    if (this._hovered != null) {
+      this._hovered = null;
+      if (this.props.links.length > 0) {
+        this._renderCanvas();
+      }
+    }
     const tooltip = this.props.tooltip;
 
-    if (tooltip instanceof HTMLDivElement) {
+    if (tooltip != null && tooltip instanceof HTMLDivElement) {
       tooltip.hidden = true;
     }
   };
 
   _mouseUp = (event: MouseEvent) => {
+    if (this._brushStart != null) {
+      this._brushStart = null;
+      const range = this.props.rangeSelection;
+      // a shift-click without dragging clears the selection
+      this.props.onRangeSelect(range && range.end > range.start ? range : null);
+      return;
+    }
+    const groupDrag = this._groupDrag;
+    if (groupDrag) {
+      this._groupDrag = null;
+      if (!groupDrag.moved) {
+        // clicking a header toggles whether the group is collapsed
+        this.props.onToggleGroupCollapsed(groupDrag.group);
+      } else {
+        this.props.onGroupOrderChange(
+          reorderGroups(
+            this._renderedGroupLanes,
+            groupDrag.group,
+            groupDrag.dropIndex
+          )
+        );
+      }
+      return;
+    }
+    const intersecting = !this.props.dragMoved
+      ? this._getIntersectingMeasure((event: $FlowFixMe))
+      : this.props.selection;
     this.props.onStateChange({
       dragging: false,
       dragMoved: false,
-      selection: !this.props.dragMoved
-        ? this._getIntersectingMeasure((event: $FlowFixMe))
-        : this.props.selection,
+      // blocks of merged measures can't be selected
+      selection:
+        intersecting && getAggregate(intersecting.measure)
+          ? this.props.selection
+          : intersecting,
     });
   };
 
@@ -230,10 +513,34 @@ export class CanvasRendererImpl {
     this._canvasWheelHandler._handleWheel(event, this._canvas, this.props);
   };
 
+  // links in the chain of the hovered measure, or the selection
+  _getHighlightedLinks(): ?Set<FlowLink> {
+    const focused = this._hovered || this.props.selection;
+    return focused
+      ? this._getLinkedChain(this.props.links, focused.measure)
+      : null;
+  }
+
+  _getLinkedChain = memoize(getLinkedChain);
+
+  _getRulerTicks(): Array<RulerTick> {
+    const {viewportWidth, extents} = this.props;
+    return this._getRulerTicksImpl(
+      getTimeAtX(this.props, 0),
+      getTimeAtX(this.props, viewportWidth),
+      extents.startOffset,
+      viewportWidth
+    );
+  }
+
+  _getRulerTicksImpl = memoize(getRulerTicks);
+
   _getCanvasContext = memoize((canvas: HTMLCanvasElement) => {
     var ctx = canvas.getContext('2d', CANVAS_OPAQUE ? {alpha: false} : {});
     if (CANVAS_SUPPORT_RETINA) {
-      const dpr = configureRetinaCanvas(canvas);
+      const dpr = isCanvasElement(canvas)
+        ? configureRetinaCanvas(canvas)
+        : this._getDevicePixelRatio();
       // Scale all drawing operations by the dpr, so you
       // don't have to worry about the difference.
       ctx.scale(dpr, dpr);
@@ -241,49 +548,25 @@ export class CanvasRendererImpl {
     return ctx;
   });
 
-  _fitText(measureFn: string => number, label: string, textWidth: number) {
-    // binary search for smallest
-    let labelTrimmed = label;
-    let l = 0;
-    let r = label.length - 1;
-    if (measureFn(labelTrimmed) > textWidth) {
-      while (l < r) {
-        let m = l + Math.floor((r - l) / 2);
-
-        labelTrimmed = truncateText(label, m);
-
-        if (measureFn(labelTrimmed) > textWidth) {
-          r = m - 1;
-        } else {
-          l = m + 1;
-        }
-      }
+  // measure labels are measured in LABEL_FONT, which is set before they're
+  // formatted
+  _getCanvasLabelText = memoize((ctx: CanvasRenderingContext2D) =>
+    getTextLayoutCache(LABEL_FONT).getLabelText(
+      text => ctx.measureText(text).width
+    )
+  );
 
-      // this isn't quite right but close enough
-      labelTrimmed = truncateText(label, r);
-    }
-    return labelTrimmed;
+  _getLabelFormat(): FormatLabel {
+    return (
+      this.props.formatLabel || getDefaultLabelFormat(this.props.truncateLabels)
+    );
   }
 
-  _fitTextMap: WeakMap<
-    RenderableMeasure<Measure>,
-    {textWidth: number, labelTrimmed: string}
-  > = new WeakMap();
-
-  _fitTextCached(
-    measure: RenderableMeasure<Measure>,
-    measureFn: string => number,
-    label: string,
-    textWidth: number
-  ) {
-    const cached = this._fitTextMap.get(measure);
-    if (cached != null && cached.textWidth === textWidth) {
-      return cached.labelTrimmed;
-    }
-
-    const labelTrimmed = this._fitText(measureFn, label, textWidth);
-    this._fitTextMap.set(measure, {textWidth, labelTrimmed});
-    return labelTrimmed;
+  _getDevicePixelRatio(): number {
+    const {devicePixelRatio} = this.props;
+    return devicePixelRatio != null
+      ? devicePixelRatio
+      : window.devicePixelRatio || 1;
   }
 
   _renderCanvasWithFramecount() {
@@ -314,20 +597,18 @@ export class CanvasRendererImpl {
     };
   })();
 
-  _getMaxStackIndex: RenderableTrace => number = memoizeWeak(renderableTrace =>
-    renderableTrace.reduce((acc, item) => Math.max(item.stackIndex, acc), 0)
-  );
-
   __renderCanvasImpl(canvas: HTMLCanvasElement) {
     // implement in subclass
   }
 
   _renderCanvas() {
     performance.mark('_renderCanvas');
+    this._utils._setColorizer(this.props.colorizer);
+    this._utils._setTheme(this.props.theme);
     // console.time('_renderCanvas');
     const canvas = this._canvas;
-    if (canvas instanceof HTMLCanvasElement) {
-      this.__renderCanvasImpl(canvas);
+    if (isCanvas(canvas)) {
+      this.__renderCanvasImpl((canvas: $FlowFixMe));
     }
 
     performance.measure('_renderCanvas', '_renderCanvas');
@@ -339,49 +620,91 @@ export class CanvasRendererImpl {
 export class Canvas2DRendererImpl extends CanvasRendererImpl {
   __renderCanvasImpl(canvas: HTMLCanvasElement) {
     const ctx = this._getCanvasContext(canvas);
+    const {theme} = this.props;
 
     if (CANVAS_OPAQUE) {
-      ctx.fillStyle = '#ffffff';
+      ctx.fillStyle = theme.background;
       ctx.fillRect(0, 0, canvas.width, canvas.height);
     } else {
       ctx.clearRect(0, 0, canvas.width, canvas.height);
     }
 
-    this._renderedShapes = [];
+    const rulerTicks = this._getRulerTicks();
+    if (this.props.showGridLines) {
+      renderGridLines2D(
+        ctx,
+        theme,
+        rulerTicks,
+        RULER_HEIGHT,
+        this.props.viewportHeight
+      );
+    }
 
     const {renderableTraceGroups} = this.props;
-
-    const groupOrder =
-      this.props.groupOrder || Array.from(renderableTraceGroups.keys());
-
-    let startY = 0;
+    const lanes = this._layoutGroupLanes();
 
     // render main trace view
-    for (const group of groupOrder) {
-      const groupTrace = renderableTraceGroups.get(group);
-      if (!groupTrace) continue;
-      performance.mark('_renderCanvasGroup ' + group);
-      this._renderCanvasGroup(
-        groupTrace,
+    for (const lane of lanes) {
+      const groupTrace = renderableTraceGroups.get(lane.group);
+      // skip groups which are scrolled out of view
+      if (
+        groupTrace &&
+        lane.bottom > RULER_HEIGHT &&
+        lane.rowsTop < this.props.viewportHeight
+      ) {
+        performance.mark('_renderCanvasGroup ' + lane.group);
+        this._renderCanvasGroup(groupTrace, ctx, lane);
+        performance.measure(
+          '_renderCanvasGroup ' + lane.group,
+          '_renderCanvasGroup ' + lane.group
+        );
+      }
+    }
+
+    if (this.props.links.length > 0) {
+      renderFlowArrows2D(
         ctx,
-        startY + this.props.verticalOffset
+        theme,
+        getFlowArrows(
+          this.props.links,
+          this._getHighlightedLinks(),
+          this.props,
+          this._getLinkedMeasureY
+        )
       );
-      performance.measure(
-        '_renderCanvasGroup ' + group,
-        '_renderCanvasGroup ' + group
+    }
+
+    const {viewportWidth} = this.props;
+    const groupDrag = this._groupDrag;
+    renderGroupHeaders2D(
+      ctx,
+      theme,
+      lanes,
+      viewportWidth,
+      groupDrag ? groupDrag.group : null
+    );
+    if (groupDrag && groupDrag.moved) {
+      renderGroupDropIndicator2D(
+        ctx,
+        theme,
+        lanes,
+        groupDrag.dropIndex,
+        viewportWidth
       );
-      const maxStackIndex = this._getMaxStackIndex(groupTrace);
-      startY += (maxStackIndex + 1) * (BAR_HEIGHT + BAR_Y_GUTTER);
     }
+    // drawn last so measures scrolled up go underneath it
+    renderRuler2D(ctx, theme, rulerTicks, viewportWidth, RULER_HEIGHT);
     this._renderedZoom = this.props.zoom;
     this._renderedCenter = this.props.center;
-    canvas.style.transform = '';
+    if (isCanvasElement(canvas)) {
+      canvas.style.transform = '';
+    }
   }
 
   _renderCanvasGroup(
     renderableTrace: RenderableTrace,
     ctx: CanvasRenderingContext2D,
-    startY: number
+    lane: GroupLane
   ) {
     const first = renderableTrace[0];
     if (first == null) {
@@ -389,59 +712,92 @@ export class Canvas2DRendererImpl extends CanvasRendererImpl {
     }
 
     const currentGroup = first.measure.group;
+    const {rowsTop: startY, collapsed} = lane;
+
+    // only the measures which are in view are drawn
+    const index = this._getLODIndex(getLaneTrace(renderableTrace, lane));
+    const visibleRows = getVisibleRows(
+      startY,
+      RULER_HEIGHT,
+      this.props.viewportHeight,
+      index.getRowCount()
+    );
+    for (let row = visibleRows.start; row < visibleRows.end; row++) {
+      this._renderCanvasRow(index, row, ctx, startY);
+    }
 
-    for (var index = 0; index < renderableTrace.length; index++) {
-      const measure = renderableTrace[index];
-
-      const layout = getLayout(this.props, measure, startY);
-      layout.width = Math.max(layout.width, 1); // at least 1px wide
+    // render selection highlight
+    const selection = this.props.selection;
+    if (
+      selection != null &&
+      currentGroup === selection.measure.group &&
+      !(collapsed && selection.stackIndex > 0)
+    ) {
+      const layout = getLayout(this.props, selection, startY);
       const {width, height, x, y, inView} = layout;
 
-      if (!inView) {
-        continue;
-      }
+      ctx.strokeStyle = this.props.theme.selection;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x, y, width, height);
+    }
+  }
 
-      this._renderedShapes.push([layout, measure]);
+  _renderCanvasRow(
+    index: SpatialIndex,
+    row: number,
+    ctx: CanvasRenderingContext2D,
+    startY: number
+  ) {
+    const {start, end} = this._getVisibleTimeRange();
+    index.forEachInRange(row, start, end, measure => {
+      const layout = getLayout(this.props, measure, startY);
+      layout.width = Math.max(layout.width, 1); // at least 1px wide
+      const {width, height, x, y} = layout;
 
       const hovered = measure === this.props.hovered;
       const selected = measure === this.props.selection;
-
-      ctx.fillStyle =
-        hovered || selected
-          ? this._utils._getMeasureHoverColorRGB(measure.measure)
-          : this._utils._getMeasureColorRGB(measure.measure);
+      const dimmed =
+        this.props.searchMatches != null &&
+        !this.props.searchMatches.has(
+          getRepresentativeMeasure(measure.measure)
+        );
+
+      ctx.fillStyle = dimmed
+        ? this._utils._getMeasureDimmedColorRGB(measure.measure)
+        : hovered || selected
+        ? this._utils._getMeasureHoverColorRGB(measure.measure)
+        : this._utils._getMeasureColorRGB(measure.measure);
       ctx.fillRect(toInt(x), toInt(y), toInt(width), toInt(height));
 
       if (!CANVAS_DRAW_TEXT) {
         // skip text rendering
-        continue;
+        return;
       }
 
       // skip text rendering for small measures
       // text is by far the most expensive part of rendering the trace
       if (width < CANVAS_DRAW_TEXT_MIN_PX) {
-        continue;
+        return;
       }
 
       // skip text rendering while zooming
       if (CANVAS_ZOOMING_TEXT_OPT && this.props.zooming) {
-        continue;
+        return;
       }
 
       const textWidth = toInt(Math.max(width - CANVAS_TEXT_PADDING_PX, 0));
 
-      ctx.font = '10px Lucida Grande';
-      ctx.fillStyle = 'black';
+      ctx.font = LABEL_FONT;
+      ctx.fillStyle = dimmed
+        ? this.props.theme.dimmedMeasureText
+        : this.props.theme.measureText;
 
-      const label = measure.measure.name;
-      const labelTrimmed = this.props.truncateLabels
-        ? this._fitTextCached(
-            measure,
-            labelTrimmed => ctx.measureText(labelTrimmed).width,
-            label,
-            textWidth
-          )
-        : label;
+      const labelTrimmed = formatLabel(
+        this._getLabelFormat(),
+        measure.measure,
+        textWidth,
+        this._getCanvasLabelText(ctx)
+      );
 
       ctx.fillText(
         labelTrimmed,
@@ -449,24 +805,14 @@ export class Canvas2DRendererImpl extends CanvasRendererImpl {
         toInt(y + BAR_HEIGHT / 2 + 4),
         textWidth
       );
-    }
-
-    // render selection highlight
-    const selection = this.props.selection;
-    if (selection != null && currentGroup === selection.measure.group) {
-      const layout = getLayout(this.props, selection, startY);
-      const {width, height, x, y, inView} = layout;
-
-      ctx.strokeStyle = '#0000ff';
-      ctx.lineWidth = 2;
-      ctx.strokeRect(x, y, width, height);
-    }
+    });
   }
 }
 
 export class CanvasWebGlRendererImpl extends CanvasRendererImpl {
   _getCanvasGLContext = memoize((canvas: HTMLCanvasElement) => {
-    if (CANVAS_SUPPORT_RETINA) {
+    // offscreen canvases are already sized for the device pixel ratio
+    if (CANVAS_SUPPORT_RETINA && isCanvasElement(canvas)) {
       configureRetinaCanvas(canvas);
     }
     const gl = canvas.getContext('webgl');
@@ -477,91 +823,264 @@ export class CanvasWebGlRendererImpl extends CanvasRendererImpl {
   });
 
   _webglRender: ?(WebGLRenderState) => void = null;
-  _webglTextRenderInit = false;
-  _webglTextRender: ?(Array<RenderableText>) => void = null;
+  // the font which the text renderer was initialised with
+  _webglTextFontKey: ?string = null;
+  _webglTextDispose: ?() => void = null;
+  _webglTextRender: ?(
+    Array<RenderableText>,
+    color?: [number, number, number, number]
+  ) => void = null;
   _webglTextMeasure: ?(string) => number = null;
+  _webglLinkRender: ?(
+    arrows: Array<FlowArrow>,
+    viewportWidth: number,
+    viewportHeight: number,
+    theme: Theme
+  ) => void = null;
+
+  _renderLinksWebGL(canvas: HTMLCanvasElement) {
+    const {links} = this.props;
+    if (links.length === 0) {
+      return;
+    }
+    if (!this._webglLinkRender) {
+      this._webglLinkRender = initWebGLLinkRenderer(
+        this._getCanvasGLContext(canvas)
+      );
+    }
+    this._webglLinkRender(
+      getFlowArrows(
+        links,
+        this._getHighlightedLinks(),
+        this.props,
+        this._getLinkedMeasureY
+      ),
+      this.props.viewportWidth,
+      this.props.viewportHeight,
+      this.props.theme
+    );
+  }
+
+  // the hovered and selected measures are drawn over the trace, so the vertex
+  // buffers don't need to be rebuilt when they change
+  _renderHighlightsWebGL(canvas: HTMLCanvasElement) {
+    const gl = this._getCanvasGLContext(canvas);
+    const {
+      hovered,
+      selection,
+      searchMatches,
+      colorizer,
+      theme,
+      viewportWidth,
+    } = this.props;
+    for (const highlighted of [hovered, selection]) {
+      const layout = highlighted ? this._getRenderedLayout(highlighted) : null;
+      if (
+        highlighted == null ||
+        layout == null ||
+        // dimmed measures aren't highlighted
+        (searchMatches != null && !searchMatches.has(highlighted.measure))
+      ) {
+        continue;
+      }
+      fillRects(
+        gl,
+        viewportWidth,
+        getHoverColorForMeasure(colorizer, highlighted.measure),
+        [{...layout, width: Math.max(layout.width, 1)}]
+      );
+    }
+    const layout = selection ? this._getRenderedLayout(selection) : null;
+    if (layout != null) {
+      const {x, y, width, height} = layout;
+      // a 2px outline centred on the edges, like the canvas renderer's
+      fillRects(gl, viewportWidth, getWebGLColor(theme.selection), [
+        {x: x - 1, y: y - 1, width: width + 2, height: 2},
+        {x: x - 1, y: y + height - 1, width: width + 2, height: 2},
+        {x: x - 1, y: y - 1, width: 2, height: height + 2},
+        {x: x + width - 1, y: y - 1, width: 2, height: height + 2},
+      ]);
+    }
+  }
+
+  _renderGroupHeadersWebGL(canvas: HTMLCanvasElement) {
+    const gl = this._getCanvasGLContext(canvas);
+    const {theme, viewportWidth} = this.props;
+    const lanes = this._renderedGroupLanes;
+    const groupDrag = this._groupDrag;
+    renderGroupHeadersWebGL(
+      gl,
+      theme,
+      lanes,
+      viewportWidth,
+      groupDrag ? groupDrag.group : null,
+      this._webglTextRender
+    );
+    if (groupDrag && groupDrag.moved) {
+      renderGroupDropIndicatorWebGL(
+        gl,
+        theme,
+        lanes,
+        groupDrag.dropIndex,
+        viewportWidth
+      );
+    }
+  }
 
   _renderTextWebGL() {
     const textRender = this._webglTextRender;
     const measureText = this._webglTextMeasure;
     if (CANVAS_DRAW_TEXT && textRender && measureText) {
-      const renderableTrace = this.props.renderableTrace;
-      this._renderedShapes = [];
       const textToRender = [];
-      for (var index = 0; index < renderableTrace.length; index++) {
-        const measure = renderableTrace[index];
-
-        const layout = getLayout(this.props, measure, 0);
-        const {width, height, x, y, inView} = layout;
-
-        if (!inView) {
-          continue;
-        }
-
-        this._renderedShapes.push([layout, measure]);
-
-        // skip text rendering for small measures
-        // text is by far the most expensive part of rendering the trace
-        if (width < CANVAS_DRAW_TEXT_MIN_PX) {
-          continue;
+      const dimmedTextToRender = [];
+      const {start, end} = this._getVisibleTimeRange();
+      const labelFormat = this._getLabelFormat();
+      const labelText = this._getWebGLLabelText(
+        getFontKey(this.props.webglFont),
+        measureText
+      );
+      for (const lane of this._renderedGroupLanes) {
+        const groupTrace = this.props.renderableTraceGroups.get(lane.group);
+        if (groupTrace == null) continue;
+        const startY = lane.rowsTop;
+        // only the measures which are in view are drawn
+        const index = this._getLODIndex(getLaneTrace(groupTrace, lane));
+        const visibleRows = getVisibleRows(
+          startY,
+          RULER_HEIGHT,
+          this.props.viewportHeight,
+          index.getRowCount()
+        );
+        for (let row = visibleRows.start; row < visibleRows.end; row++) {
+          index.forEachInRange(row, start, end, measure => {
+            const layout = getLayout(this.props, measure, startY);
+            const {width, height, x, y} = layout;
+
+            // skip text rendering for small measures
+            // text is by far the most expensive part of rendering the trace
+            if (width < CANVAS_DRAW_TEXT_MIN_PX) {
+              return;
+            }
+
+            // skip text rendering while zooming
+            if (CANVAS_ZOOMING_TEXT_OPT && this.props.zooming) {
+              return;
+            }
+
+            const textWidth = toInt(
+              Math.max(width - CANVAS_TEXT_PADDING_PX, 0)
+            );
+
+            const labelTrimmed = formatLabel(
+              labelFormat,
+              measure.measure,
+              textWidth - WEBGL_TRUNCATE_BIAS,
+              labelText
+            );
+
+            const dimmed =
+              this.props.searchMatches != null &&
+              !this.props.searchMatches.has(
+                getRepresentativeMeasure(measure.measure)
+              );
+            (dimmed ? dimmedTextToRender : textToRender).push({
+              label: labelTrimmed,
+              x: x + CANVAS_TEXT_PADDING_PX,
+              y: y + WEBGL_TEXT_TOP_PADDING_PX + BAR_HEIGHT / 2 + 4,
+            });
+          });
         }
+      }
+      const {theme} = this.props;
+      textRender(textToRender, getWebGLColor(theme.measureText));
+      if (dimmedTextToRender.length) {
+        textRender(dimmedTextToRender, getWebGLColor(theme.dimmedMeasureText));
+      }
+    }
+  }
 
-        // skip text rendering while zooming
-        if (CANVAS_ZOOMING_TEXT_OPT && this.props.zooming) {
-          continue;
-        }
+  _renderRulerWebGL(canvas: HTMLCanvasElement, rulerTicks: Array<RulerTick>) {
+    const gl = this._getCanvasGLContext(canvas);
+    WebGLRulerRenderUtils.renderRuler(
+      gl,
+      this.props.viewportWidth,
+      rulerTicks,
+      RULER_HEIGHT,
+      this.props.theme
+    );
+    const textRender = this._webglTextRender;
+    if (textRender) {
+      textRender(
+        rulerTicks.map(tick => ({
+          label: tick.label,
+          x: Math.floor(tick.x) + RULER_TEXT_PADDING_PX,
+          y: WEBGL_TEXT_TOP_PADDING_PX + RULER_HEIGHT / 2 + 4,
+        })),
+        getWebGLColor(this.props.theme.rulerText)
+      );
+    }
+  }
 
-        const measureText = this._webglTextMeasure;
-        if (!measureText) {
-          continue;
-        }
+  // (re)initialises the text renderer when the font changes
+  _getWebGLLabelText = memoize(
+    (fontKey: string, measureText: string => number) =>
+      getTextLayoutCache(`webgl ${fontKey}`).getLabelText(measureText)
+  );
 
-        const textWidth = toInt(Math.max(width - CANVAS_TEXT_PADDING_PX, 0));
-
-        const label = measure.measure.name;
-        const labelTrimmed = this.props.truncateLabels // TODO: fix
-          ? this._fitTextCached(
-              measure,
-              measureText,
-              label,
-              textWidth - WEBGL_TRUNCATE_BIAS
-            )
-          : label;
-
-        textToRender.push({
-          label: labelTrimmed,
-          x: x + CANVAS_TEXT_PADDING_PX,
-          y: y + WEBGL_TEXT_TOP_PADDING_PX + BAR_HEIGHT / 2 + 4,
-        });
-      }
-      textRender(textToRender);
+  _initWebGLText(canvas: HTMLCanvasElement) {
+    const font = this.props.webglFont;
+    const fontKey = getFontKey(font);
+    if (fontKey === this._webglTextFontKey) {
+      return;
     }
+    this._webglTextFontKey = fontKey;
+    if (this._webglTextDispose) {
+      this._webglTextDispose();
+    }
+    this._webglTextRender = null;
+    this._webglTextMeasure = null;
+    this._webglTextDispose = null;
+    WebGLTextRenderUtils.init(
+      this._getCanvasGLContext(canvas),
+      ({render, measureText, dispose}) => {
+        // the font changed again while this was loading
+        if (fontKey !== this._webglTextFontKey) {
+          dispose();
+          return;
+        }
+        this._webglTextRender = render;
+        this._webglTextMeasure = measureText;
+        this._webglTextDispose = dispose;
+        this._renderCanvas();
+      },
+      CANVAS_SUPPORT_RETINA ? this._getDevicePixelRatio() : 1,
+      font
+    );
   }
 
   _renderWebGL(canvas: HTMLCanvasElement) {
+    const rulerTicks = this._getRulerTicks();
+    const renderState = {
+      ...this.props,
+      gridLines: this.props.showGridLines ? rulerTicks : [],
+      lanes: this._layoutGroupLanes(),
+    };
     if (!this._webglRender) {
       const gl = this._getCanvasGLContext(canvas);
       this._webglRender = (WEBGL_USE_GPU_TRANSFORM
         ? initWebGLGPUTransformRenderer
-        : initWebGLRenderer)(gl, this.props);
+        : initWebGLRenderer)(gl, renderState);
     }
-    this._webglRender(this.props);
+    this._webglRender(renderState);
 
-    if (!this._webglTextRenderInit) {
-      this._webglTextRenderInit = true;
-      const gl = this._getCanvasGLContext(canvas);
-      WebGLTextRenderUtils.init(
-        gl,
-        ({render, measureText}) => {
-          this._webglTextRender = render;
-          this._webglTextMeasure = measureText;
-          this._renderCanvas();
-        },
-        CANVAS_SUPPORT_RETINA ? window.devicePixelRatio : 1
-      );
-    }
+    this._initWebGLText(canvas);
 
+    this._renderHighlightsWebGL(canvas);
+    this._renderLinksWebGL(canvas);
     this._renderTextWebGL();
+    // drawn last so measures scrolled up go underneath them
+    this._renderGroupHeadersWebGL(canvas);
+    this._renderRulerWebGL(canvas, rulerTicks);
   }
 
   __renderCanvasImpl(canvas: HTMLCanvasElement) {
@@ -0,0 +1,75 @@
+// @flow
+import React from 'react';
+import type {Color, Legend} from './colorScheme';
+import type {Theme} from './theme';
+
+type Props = {
+  legend: Legend,
+  theme: Theme,
+};
+
+const SWATCH_SIZE = 10;
+const GRADIENT_WIDTH = 200;
+
+function toCSS(color: Color) {
+  return `rgb(${color[0]},${color[1]},${color[2]})`;
+}
+
+function renderCategorical(legend: Legend, theme: Theme) {
+  return (
+    <div style={{display: 'flex', flexWrap: 'wrap'}}>
+      {legend.items.map((item, index) => (
+        <span
+          key={index}
+          style={{display: 'flex', alignItems: 'center', marginRight: 8}}
+        >
+          <span
+            style={{
+              display: 'inline-block',
+              width: SWATCH_SIZE,
+              height: SWATCH_SIZE,
+              marginRight: 4,
+              backgroundColor: toCSS(item.color),
+            }}
+          />
+          {item.label}
+        </span>
+      ))}
+      {legend.more > 0 && (
+        <span style={{color: theme.secondaryText}}>+{legend.more} more</span>
+      )}
+    </div>
+  );
+}
+
+function renderSequential(legend: Legend) {
+  const {items} = legend;
+  return (
+    <div style={{width: GRADIENT_WIDTH}}>
+      <div
+        style={{
+          height: SWATCH_SIZE,
+          backgroundImage: `linear-gradient(to right, ${items
+            .map(item => toCSS(item.color))
+            .join(', ')})`,
+        }}
+      />
+      <div style={{display: 'flex', justifyContent: 'space-between'}}>
+        {items.map((item, index) => (
+          <span key={index}>{item.label}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function ColorLegend(props: Props) {
+  const {legend, theme} = props;
+  return (
+    <div style={{padding: 4, fontSize: 10, fontFamily: 'Lucida Grande'}}>
+      {legend.type === 'categorical'
+        ? renderCategorical(legend, theme)
+        : renderSequential(legend)}
+    </div>
+  );
+}
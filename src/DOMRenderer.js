@@ -1,9 +1,18 @@
 // @flow
 import React from 'react';
+import type {Element as ReactElement} from 'react';
 import {PX_PER_MS} from './constants';
-import {getLayout, UtilsWithCache} from './renderUtils';
+import {getLayout, getTimeAtX, UtilsWithCache} from './renderUtils';
 import type {RenderableTrace, Measure, Extents} from './renderUtils';
 import type {RenderableMeasure} from './calculateTraceLayout';
+import type {Colorizer} from './colorScheme';
+import type {Theme} from './theme';
+import getSpatialIndex from './spatialIndex';
+import memoize from 'memoize-one';
+import {getTextLayoutCache} from './textLayoutCache';
+import {formatLabel, getDefaultLabelFormat} from './labelFormat';
+import type {FormatLabel} from './labelFormat';
+import {updateTooltip} from './tooltip';
 
 type Props = {
   center: number,
@@ -12,23 +21,54 @@ type Props = {
   viewportWidth: number,
   viewportHeight: number,
   renderableTrace: RenderableTrace,
+  selection: ?RenderableMeasure<Measure>,
+  searchMatches: ?Set<Measure>,
+  colorizer: Colorizer,
+  theme: Theme,
+  truncateLabels?: boolean,
+  // overrides truncateLabels
+  formatLabel?: FormatLabel,
+  tooltip?: ?Node,
+  renderTooltip?: Measure => ReactElement<any>,
   onSelectionChange: (selection: ?RenderableMeasure<Measure>) => void,
 };
 
 const DOM_DRAW_LIMIT = 500;
 const DOM_DRAW_MIN_PERCENT = 0.3;
 const DOM_SCROLLABLE = false;
+// labels are measured with a canvas, in the font they're drawn in
+const LABEL_FONT_SIZE = 10;
+const LABEL_FONT_FAMILY = 'Lucida Grande';
+// the space before each label
+const LABEL_PADDING_PX = 4;
 
 export default class DOMRenderer extends React.Component<Props, void> {
   _utils = new UtilsWithCache();
+  // measures drawn in the last render, which data-index refers to
+  _drawnMeasures: Array<RenderableMeasure<Measure>> = [];
+  _container: ?HTMLDivElement = null;
 
   _getContentWidth() {
     const {size} = this.props.extents;
     return size * PX_PER_MS * this.props.zoom;
   }
 
+  _getLabelText = memoize(() => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    const font = `${LABEL_FONT_SIZE}px ${LABEL_FONT_FAMILY}`;
+    // without a canvas to measure with, labels aren't shortened, and are just
+    // clipped by their measure
+    if (ctx == null) {
+      return getTextLayoutCache(`dom ${font}`).getLabelText(() => 0);
+    }
+    ctx.font = font;
+    return getTextLayoutCache(font).getLabelText(
+      text => ctx.measureText(text).width
+    );
+  });
+
   _handleMeasureClick = (event: SyntheticMouseEvent<HTMLDivElement>) => {
-    const selected = this.props.renderableTrace[
+    const selected = this._drawnMeasures[
       parseInt(event.currentTarget.getAttribute('data-index'))
     ];
 
@@ -37,53 +77,113 @@ export default class DOMRenderer extends React.Component<Props, void> {
     }
   };
 
+  _onContainer = (node: ?HTMLDivElement) => {
+    this._container = node;
+  };
+
+  _handleMouseMove = (event: SyntheticMouseEvent<HTMLDivElement>) => {
+    const {tooltip} = this.props;
+    const container = this._container;
+    if (
+      tooltip == null ||
+      !(tooltip instanceof HTMLDivElement) ||
+      container == null
+    ) {
+      return;
+    }
+    const target: $FlowFixMe = event.target;
+    const measureNode =
+      target instanceof Element ? target.closest('[data-index]') : null;
+    const hovered = measureNode
+      ? this._drawnMeasures[parseInt(measureNode.getAttribute('data-index'))]
+      : null;
+    const rect = container.getBoundingClientRect();
+    updateTooltip(
+      tooltip,
+      event.clientX - rect.left,
+      event.clientY - rect.top,
+      hovered,
+      null,
+      this.props.renderTooltip,
+      {
+        renderableTrace: this.props.renderableTrace,
+        traceStart: this.props.extents.startOffset,
+        viewportWidth: this.props.viewportWidth,
+        viewportHeight: this.props.viewportHeight,
+      }
+    );
+  };
+
+  _handleMouseLeave = () => {
+    const {tooltip} = this.props;
+    if (tooltip != null && tooltip instanceof HTMLDivElement) {
+      tooltip.hidden = true;
+    }
+  };
+
+  // the measures in view which are wide enough to draw, up to the limit
+  _getDrawnMeasures() {
+    const {viewportWidth} = this.props;
+    const index = getSpatialIndex(this.props.renderableTrace);
+    const start = getTimeAtX(this.props, 0);
+    const end = getTimeAtX(this.props, viewportWidth);
+    const measures = [];
+    for (let row = 0; row < index.getRowCount(); row++) {
+      index.forEachInRange(row, start, end, measure => {
+        const {width} = getLayout(this.props, measure, 0);
+        if (
+          measures.length < DOM_DRAW_LIMIT &&
+          width >= viewportWidth * (DOM_DRAW_MIN_PERCENT / 100)
+        ) {
+          measures.push(measure);
+        }
+      });
+    }
+    return measures;
+  }
+
   render() {
     const {startOffset, endOffset} = this.props.extents;
+    const {theme} = this.props;
+    this._utils._setColorizer(this.props.colorizer);
+    this._utils._setTheme(theme);
 
-    // number of measures drawn, used to cap render complexity
-    let drawn = 0;
+    this._drawnMeasures = this._getDrawnMeasures();
+    const drawn = this._drawnMeasures.length;
+    const labelFormat =
+      this.props.formatLabel ||
+      getDefaultLabelFormat(this.props.truncateLabels);
+    const labelText = this._getLabelText();
 
     return (
       <div>
         <div
+          ref={this._onContainer}
+          onMouseMove={this._handleMouseMove}
+          onMouseLeave={this._handleMouseLeave}
           style={{
             width: this.props.viewportWidth,
             overflowX: DOM_SCROLLABLE ? 'scroll' : null,
             height: this.props.viewportHeight,
+            backgroundColor: theme.background,
           }}
         >
           <div
             style={{
               position: 'relative',
-              fontSize: '10px',
+              fontSize: LABEL_FONT_SIZE,
+              fontFamily: LABEL_FONT_FAMILY,
+              color: theme.measureText,
               whiteSpace: 'nowrap',
               width: DOM_SCROLLABLE ? this._getContentWidth() : null,
             }}
           >
-            {this.props.renderableTrace.map((measure, index) => {
-              const {width, height, x, y, inView} = getLayout(
-                this.props,
-                measure,
-                0
-              );
-              if (!inView) {
-                return null;
-              }
-              if (
-                width <
-                this.props.viewportWidth * (DOM_DRAW_MIN_PERCENT / 100)
-              ) {
-                return null;
-              }
-              drawn++;
-              if (drawn > DOM_DRAW_LIMIT) {
-                return null;
-              }
+            {this._drawnMeasures.map((measure, index) => {
+              const {width, height, x, y} = getLayout(this.props, measure, 0);
               return (
                 <div
                   key={index}
                   data-index={index}
-                  title={`${(measure.measure.duration || 0).toFixed(2)}ms`}
                   style={{
                     position: 'absolute',
                     width,
@@ -96,12 +196,24 @@ export default class DOMRenderer extends React.Component<Props, void> {
                     left: x,
                     top: y,
                     border:
-                      this.props.selection == measure ? 'solid red 1px' : null,
+                      this.props.selection == measure
+                        ? `solid ${theme.selection} 1px`
+                        : null,
+                    opacity:
+                      this.props.searchMatches != null &&
+                      !this.props.searchMatches.has(measure.measure)
+                        ? 0.3
+                        : null,
                   }}
                   onClick={this._handleMeasureClick}
                 >
                   &nbsp;
-                  {measure.measure.name}
+                  {formatLabel(
+                    labelFormat,
+                    measure.measure,
+                    Math.max(width - LABEL_PADDING_PX, 0),
+                    labelText
+                  )}
                 </div>
               );
             })}
@@ -0,0 +1,68 @@
+// @flow
+import React from 'react';
+import Trace from './Trace';
+import type {Measure} from './renderUtils';
+import type {PerformanceRecorder} from './createPerformanceRecorder';
+import type {Element as ReactElement} from 'react';
+import type {ColorBy, PaletteName} from './colorScheme';
+import type {ThemeProp} from './theme';
+
+type Props = {
+  recorder: PerformanceRecorder,
+  groupOrder?: Array<string>,
+  persistView: boolean,
+  truncateLabels: boolean,
+  showGridLines?: boolean,
+  colorBy?: ColorBy,
+  palette?: PaletteName,
+  theme?: ThemeProp,
+  renderer: 'canvas' | 'dom' | 'webgl',
+  renderTooltip?: Measure => ReactElement<any>,
+  viewportWidth: number,
+  viewportHeight: number,
+};
+
+type State = {
+  // the recorded trace grows in place, so this is used to trigger rerenders
+  traceLength: number,
+};
+
+// renders a Trace which updates as the recorder records new entries
+export default class LiveTrace extends React.Component<Props, State> {
+  _unsubscribe: ?() => void = null;
+
+  state = {
+    traceLength: this.props.recorder.getTrace().length,
+  };
+
+  componentDidMount() {
+    this._subscribe();
+  }
+
+  componentDidUpdate(prevProps: Props) {
+    if (prevProps.recorder !== this.props.recorder) {
+      this._unsubscribe && this._unsubscribe();
+      this._subscribe();
+    }
+  }
+
+  componentWillUnmount() {
+    this._unsubscribe && this._unsubscribe();
+  }
+
+  _subscribe() {
+    const {recorder} = this.props;
+    this._unsubscribe = recorder.subscribe(() => {
+      this.setState({traceLength: recorder.getTrace().length});
+    });
+  }
+
+  render() {
+    const {recorder, ...traceProps} = this.props;
+    const trace = recorder.getTrace();
+    if (trace.length === 0) {
+      return <div>waiting for performance entries</div>;
+    }
+    return <Trace {...traceProps} trace={trace} />;
+  }
+}
@@ -0,0 +1,87 @@
+// @flow
+import React from 'react';
+import {formatMs} from './renderUtils';
+import type {MeasureDetails} from './traceAnalysis';
+
+type Props = {
+  details: MeasureDetails,
+};
+
+// args beyond the first MAX_ARGS are summarised as '+n more'
+const MAX_ARGS = 12;
+const MAX_ARG_LENGTH = 80;
+const MAX_WIDTH = 400;
+
+function formatArg(value: mixed): string {
+  let text;
+  if (typeof value === 'string') {
+    text = value;
+  } else {
+    try {
+      text = JSON.stringify(value);
+    } catch (err) {
+      // eg. cycles
+      text = String(value);
+    }
+    if (text == null) {
+      text = String(value);
+    }
+  }
+  return text.length > MAX_ARG_LENGTH
+    ? `${text.slice(0, MAX_ARG_LENGTH - 1)}\u{2026}`
+    : text;
+}
+
+function renderRow(label: string, value: string) {
+  return (
+    <tr key={label}>
+      <td style={{opacity: 0.7, paddingRight: 8, verticalAlign: 'top'}}>
+        {label}
+      </td>
+      <td style={{wordBreak: 'break-all'}}>{value}</td>
+    </tr>
+  );
+}
+
+// the default tooltip content for a measure
+export default function MeasureTooltip(props: Props) {
+  const {details} = props;
+  const {measure} = details.renderableMeasure;
+  const args = measure.args != null ? Object.keys(measure.args) : [];
+  const shownArgs = args.slice(0, MAX_ARGS);
+  return (
+    <div style={{maxWidth: MAX_WIDTH}}>
+      <div style={{fontWeight: 'bold', wordBreak: 'break-all'}}>
+        {measure.name}
+      </div>
+      <table style={{borderCollapse: 'collapse', fontSize: 'inherit'}}>
+        <tbody>
+          {renderRow('start', formatMs(details.start))}
+          {renderRow('end', formatMs(details.end))}
+          {renderRow('total', formatMs(details.totalTime))}
+          {renderRow('self', formatMs(details.selfTime))}
+          {renderRow('depth', String(details.depth))}
+          {details.group != null && renderRow('group', details.group)}
+        </tbody>
+      </table>
+      {shownArgs.length > 0 && (
+        <table
+          style={{
+            borderCollapse: 'collapse',
+            borderTop: 'solid 1px',
+            marginTop: 2,
+            fontSize: 'inherit',
+          }}
+        >
+          <tbody>
+            {shownArgs.map(key =>
+              renderRow(key, formatArg((measure.args: $FlowFixMe)[key]))
+            )}
+            {args.length > shownArgs.length &&
+              renderRow('', `+${args.length - shownArgs.length} more`)}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -1,15 +1,26 @@
 // @flow
 import React from 'react';
 
-import {PX_PER_MS} from './constants';
+import {PX_PER_MS, RULER_HEIGHT} from './constants';
 // $FlowFixMe
 import memoize from 'memoize-one';
 import {getLayout, UtilsWithCache} from './renderUtils';
 
 import {CANVAS_OPAQUE, CANVAS_SUPPORT_RETINA} from './canvasConstants';
-import type {RenderableTrace, Measure, Extents, Layout} from './renderUtils';
+import type {
+  RenderableTrace,
+  Measure,
+  Extents,
+  Layout,
+  TimeRange,
+} from './renderUtils';
 import type {RenderableMeasure} from './calculateTraceLayout';
 import type {HandleStateChangeFn} from './State';
+import {getRulerTicks, renderRuler2D} from './timeRuler';
+import getSpatialIndex from './spatialIndex';
+import getLODIndex, {getRepresentativeMeasure} from './levelOfDetail';
+import type {Colorizer} from './colorScheme';
+import type {Theme} from './theme';
 import {
   configureRetinaCanvas,
   getCanvasMousePos,
@@ -27,6 +38,7 @@ type Props = {
   viewportHeight: number,
   center: number,
   defaultCenter: number,
+  verticalOffset: number,
   dragging: boolean,
   dragMoved: boolean,
   hovered: ?RenderableMeasure<Measure>,
@@ -35,9 +47,14 @@ type Props = {
   defaultZoom: number,
   zooming: boolean,
   minZoom: number,
+  searchMatches: ?Set<Measure>,
+  colorizer: Colorizer,
+  theme: Theme,
+  rangeSelection: ?TimeRange,
   renderableTrace: RenderableTrace,
   renderableTraceGroups: Map<string, RenderableTrace>,
   groupOrder?: Array<string>,
+  onRangeSelect: (range: ?TimeRange) => void,
   onStateChange: HandleStateChangeFn,
 };
 
@@ -46,6 +63,8 @@ export default class Minimap extends React.Component<Props, void> {
   _mouseX = 0;
   _mouseY = 0;
   _isMouseDown = false;
+  // time at which the current range selection drag started
+  _brushStart: ?number = null;
   _onCanvas = (node: ?Node) => {
     this._canvas = node;
   };
@@ -80,9 +99,11 @@ export default class Minimap extends React.Component<Props, void> {
     const canvas = this._canvas;
     if (canvas instanceof HTMLCanvasElement) {
       const ctx = this._getCanvasContext(canvas);
+      this._utils._setColorizer(this.props.colorizer);
+      this._utils._setTheme(this.props.theme);
 
       // fill background
-      ctx.fillStyle = '#ffffff';
+      ctx.fillStyle = this.props.theme.background;
       ctx.fillRect(0, 0, canvas.width, canvas.height);
 
       const {renderableTraceGroups} = this.props;
@@ -91,51 +112,83 @@ export default class Minimap extends React.Component<Props, void> {
         this.props.groupOrder || Array.from(renderableTraceGroups.keys());
       // render minimap
       performance.mark('_renderMinimap');
-      let startY = 0;
+      // the ruler covers the whole trace, for orientation
+      const {extents, viewportWidth} = this.props;
+      renderRuler2D(
+        ctx,
+        this.props.theme,
+        this._getRulerTicks(
+          extents.startOffset,
+          extents.endOffset,
+          extents.startOffset,
+          viewportWidth
+        ),
+        viewportWidth,
+        RULER_HEIGHT
+      );
+
+      let startY = RULER_HEIGHT;
       const minimapTop = startY;
       for (const group of groupOrder) {
         const groupTrace = renderableTraceGroups.get(group);
         if (!groupTrace) continue;
-        this._renderCanvasGroupMinimap(groupTrace, ctx, startY);
-        const maxStackIndex = this._utils._getMaxStackIndex(groupTrace);
-        startY += (maxStackIndex + 1) * MINMAP_BAR_HEIGHT;
+        this._renderCanvasGroupMinimap(groupTrace, ctx, startY, canvas.height);
+        startY += getSpatialIndex(groupTrace).getRowCount() * MINMAP_BAR_HEIGHT;
       }
       const minimapBottom = startY;
       this._renderMinimapShade(ctx, minimapTop, minimapBottom);
+      this._renderRangeSelection(ctx, minimapTop, minimapBottom);
       performance.measure('_renderMinimap', '_renderMinimap');
     }
   }
 
+  _getRulerTicks = memoize(getRulerTicks);
+
   _renderCanvasGroupMinimap(
     renderableTrace: RenderableTrace,
     ctx: CanvasRenderingContext2D,
-    startY: number
+    startY: number,
+    bottom: number
   ) {
-    const first = renderableTrace[0];
-    if (first == null) {
-      return;
-    }
-
     const {extents} = this.props;
+    // tiny measures are merged, as for the main chart
+    const index = getLODIndex(
+      renderableTrace,
+      extents.size / this.props.viewportWidth
+    );
 
-    const currentGroup = first.measure.group;
-
-    for (var index = 0; index < renderableTrace.length; index++) {
-      const measure = renderableTrace[index];
-
-      const width = Math.max(
-        (measure.measure.duration / extents.size) * this.props.viewportWidth,
-        1
-      ); // at least 1px wide
-      const height = MINMAP_BAR_HEIGHT;
-      const x =
-        ((measure.measure.startTime - this.props.extents.startOffset) /
-          extents.size) *
-        this.props.viewportWidth;
-      const y = measure.stackIndex * MINMAP_BAR_HEIGHT + startY;
-
-      ctx.fillStyle = this._utils._getMeasureColorRGB(measure.measure);
-      ctx.fillRect(x, y, width, height);
+    // rows below the bottom of the canvas are skipped
+    for (
+      let row = 0;
+      row < index.getRowCount() && startY + row * MINMAP_BAR_HEIGHT < bottom;
+      row++
+    ) {
+      index.forEachInRange(
+        row,
+        extents.startOffset,
+        extents.endOffset,
+        measure => {
+          const width = Math.max(
+            (measure.measure.duration / extents.size) *
+              this.props.viewportWidth,
+            1
+          ); // at least 1px wide
+          const height = MINMAP_BAR_HEIGHT;
+          const x =
+            ((measure.measure.startTime - extents.startOffset) / extents.size) *
+            this.props.viewportWidth;
+          const y = measure.stackIndex * MINMAP_BAR_HEIGHT + startY;
+
+          ctx.fillStyle =
+            this.props.searchMatches != null &&
+            !this.props.searchMatches.has(
+              getRepresentativeMeasure(measure.measure)
+            )
+              ? this._utils._getMeasureDimmedColorRGB(measure.measure)
+              : this._utils._getMeasureColorRGB(measure.measure);
+          ctx.fillRect(x, y, width, height);
+        }
+      );
     }
   }
 
@@ -152,7 +205,7 @@ export default class Minimap extends React.Component<Props, void> {
     const zoomBoxStartAbs = centerAbs - zoomBoxWidthAbs / 2;
     const zoomBoxEndAbs = centerAbs + zoomBoxWidthAbs / 2;
 
-    ctx.fillStyle = 'rgba(200,200,200,0.4)';
+    ctx.fillStyle = this.props.theme.minimapShade;
     ctx.fillRect(
       0,
       minimapTop,
@@ -168,6 +221,27 @@ export default class Minimap extends React.Component<Props, void> {
     );
   }
 
+  _renderRangeSelection(
+    ctx: CanvasRenderingContext2D,
+    minimapTop: number,
+    minimapBottom: number
+  ) {
+    const {rangeSelection, extents, viewportWidth} = this.props;
+    if (rangeSelection == null) {
+      return;
+    }
+    const startX =
+      ((rangeSelection.start - extents.startOffset) / extents.size) *
+      viewportWidth;
+    const width = Math.max(
+      ((rangeSelection.end - rangeSelection.start) / extents.size) *
+        viewportWidth,
+      1
+    );
+    ctx.fillStyle = this.props.theme.minimapRangeSelection;
+    ctx.fillRect(startX, minimapTop, width, minimapBottom - minimapTop);
+  }
+
   _canvasWheelHandler = new CanvasWheelHandler();
 
   _handleWheel = (event: SyntheticWheelEvent<HTMLCanvasElement>) => {
@@ -182,7 +256,9 @@ export default class Minimap extends React.Component<Props, void> {
     this._mouseX = canvasMouseX;
     this._mouseY = canvasMouseY;
 
-    if (this._isMouseDown) {
+    if (this._brushStart != null) {
+      this._updateRangeSelection(event, this._brushStart);
+    } else if (this._isMouseDown) {
       this._setCenterFromMousePos(event);
       // const updated =
       //   this.props.center -
@@ -194,6 +270,13 @@ export default class Minimap extends React.Component<Props, void> {
   };
 
   _mouseDown = (event: SyntheticMouseEvent<HTMLCanvasElement>) => {
+    // shift-drag selects a time range instead of moving the viewport
+    if (event.shiftKey) {
+      const brushStart = this._getTimeAtMouse(event);
+      this._brushStart = brushStart;
+      this._updateRangeSelection(event, brushStart);
+      return;
+    }
     this._isMouseDown = true;
   };
 
@@ -203,22 +286,45 @@ export default class Minimap extends React.Component<Props, void> {
 
   _mouseUp = (event: SyntheticMouseEvent<HTMLCanvasElement>) => {
     this._isMouseDown = false;
+    if (this._brushStart != null) {
+      this._brushStart = null;
+      const range = this.props.rangeSelection;
+      // a shift-click without dragging clears the selection
+      this.props.onRangeSelect(range && range.end > range.start ? range : null);
+    }
   };
 
-  _setCenterFromMousePos(event: SyntheticMouseEvent<HTMLCanvasElement>) {
-    const {canvasMouseX, canvasMouseY} = this._getCanvasMousePos(
-      (event: $FlowFixMe)
-    );
-    const updated =
-      (canvasMouseX / this.props.viewportWidth) * this.props.extents.size +
-      this.props.extents.startOffset;
+  _getTimeAtMouse(event: SyntheticMouseEvent<HTMLCanvasElement>) {
+    const {canvasMouseX} = this._getCanvasMousePos((event: $FlowFixMe));
+    const {extents, viewportWidth} = this.props;
+    const time =
+      (canvasMouseX / viewportWidth) * extents.size + extents.startOffset;
+    return Math.max(extents.startOffset, Math.min(extents.endOffset, time));
+  }
 
+  _updateRangeSelection(
+    event: SyntheticMouseEvent<HTMLCanvasElement>,
+    brushStart: number
+  ) {
+    const time = this._getTimeAtMouse(event);
+    this.props.onStateChange({
+      rangeSelection: {
+        start: Math.min(brushStart, time),
+        end: Math.max(brushStart, time),
+      },
+    });
+  }
+
+  _setCenterFromMousePos(event: SyntheticMouseEvent<HTMLCanvasElement>) {
     this.props.onStateChange({
-      center: updated,
+      center: this._getTimeAtMouse(event),
     });
   }
 
   _click = (event: SyntheticMouseEvent<HTMLCanvasElement>) => {
+    if (event.shiftKey) {
+      return;
+    }
     this._setCenterFromMousePos(event);
   };
 
@@ -237,8 +343,9 @@ export default class Minimap extends React.Component<Props, void> {
           onClick={this._click}
           width={this.props.viewportWidth}
           height={
+            RULER_HEIGHT +
             MINMAP_BAR_HEIGHT *
-            this._utils._getMaxStackIndex(this.props.renderableTrace)
+              this._utils._getMaxStackIndex(this.props.renderableTrace)
           }
         />
       </div>
@@ -0,0 +1,33 @@
+// @flow
+import React from 'react';
+import {formatMs} from './renderUtils';
+import type {TimeRange} from './renderUtils';
+import type {Theme} from './theme';
+
+type Props = {
+  rangeSelection: ?TimeRange,
+  theme: Theme,
+  onZoomToSelection: () => void,
+  onClear: () => void,
+};
+
+export default function RangeSelectionBar(props: Props) {
+  const {rangeSelection} = props;
+  return (
+    <div style={{padding: 4, fontSize: 12, fontFamily: 'Lucida Grande'}}>
+      {rangeSelection ? (
+        <span>
+          selection: {formatMs(rangeSelection.start)} &ndash;{' '}
+          {formatMs(rangeSelection.end)} (
+          {formatMs(rangeSelection.end - rangeSelection.start)}){' '}
+          <button onClick={props.onZoomToSelection}>zoom to selection</button>
+          <button onClick={props.onClear}>clear</button>
+        </span>
+      ) : (
+        <span style={{color: props.theme.secondaryText}}>
+          shift-drag to select a time range
+        </span>
+      )}
+    </div>
+  );
+}
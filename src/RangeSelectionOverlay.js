@@ -0,0 +1,55 @@
+// @flow
+import React from 'react';
+import {getXAtTime, formatMs} from './renderUtils';
+import type {TimeRange} from './renderUtils';
+import type {Theme} from './theme';
+
+type Props = {
+  rangeSelection: TimeRange,
+  center: number,
+  zoom: number,
+  viewportWidth: number,
+  viewportHeight: number,
+  theme: Theme,
+};
+
+// shades the selected time range over the main chart. it doesn't handle any
+// mouse events, so the renderer underneath keeps receiving them
+export default function RangeSelectionOverlay(props: Props) {
+  const {rangeSelection, viewportWidth, theme} = props;
+  const startX = Math.max(getXAtTime(props, rangeSelection.start), 0);
+  const endX = Math.min(getXAtTime(props, rangeSelection.end), viewportWidth);
+  if (endX < 0 || startX > viewportWidth) {
+    return null;
+  }
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        pointerEvents: 'none',
+        left: startX,
+        top: 0,
+        width: Math.max(endX - startX, 1),
+        height: props.viewportHeight,
+        backgroundColor: theme.rangeSelection,
+        borderLeft: `solid 1px ${theme.rangeSelectionBorder}`,
+        borderRight: `solid 1px ${theme.rangeSelectionBorder}`,
+        boxSizing: 'border-box',
+      }}
+    >
+      <div
+        style={{
+          display: 'inline-block',
+          backgroundColor: theme.rangeSelectionBorder,
+          color: theme.rangeSelectionText,
+          fontSize: 10,
+          fontFamily: 'Lucida Grande',
+          padding: '1px 4px',
+          whiteSpace: 'nowrap',
+        }}
+      >
+        {formatMs(rangeSelection.end - rangeSelection.start)}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+// @flow
+import React from 'react';
+import type {SearchQuery} from './search';
+import {getSearchQueryError} from './search';
+
+type Props = {
+  query: SearchQuery,
+  matchCount: number,
+  // index of the currently focused match, or -1 if none
+  matchIndex: number,
+  onQueryChange: (query: SearchQuery) => void,
+  onNext: () => void,
+  onPrev: () => void,
+};
+
+export default class SearchBar extends React.Component<Props, void> {
+  _handleText = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.props.onQueryChange({
+      ...this.props.query,
+      text: event.currentTarget.value,
+    });
+  };
+
+  _handleRegex = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.props.onQueryChange({
+      ...this.props.query,
+      isRegex: event.currentTarget.checked,
+    });
+  };
+
+  _handleMatchArgs = (event: SyntheticInputEvent<HTMLInputElement>) => {
+    this.props.onQueryChange({
+      ...this.props.query,
+      matchArgs: event.currentTarget.checked,
+    });
+  };
+
+  _handleKeyDown = (event: SyntheticKeyboardEvent<HTMLInputElement>) => {
+    if (event.key === 'Enter') {
+      if (event.shiftKey) {
+        this.props.onPrev();
+      } else {
+        this.props.onNext();
+      }
+    }
+  };
+
+  _renderStatus() {
+    const {query, matchCount, matchIndex} = this.props;
+    const error = getSearchQueryError(query);
+    if (error != null) {
+      return <span style={{color: 'red'}}>{error}</span>;
+    }
+    if (query.text === '') {
+      return null;
+    }
+    if (matchCount === 0) {
+      return <span>no matches</span>;
+    }
+    return (
+      <span>
+        {matchIndex === -1 ? '' : `${matchIndex + 1} of `}
+        {matchCount} {matchCount === 1 ? 'match' : 'matches'}
+      </span>
+    );
+  }
+
+  render() {
+    const {query, matchCount} = this.props;
+    return (
+      <div style={{padding: 4, fontSize: 12, fontFamily: 'Lucida Grande'}}>
+        <input
+          type="search"
+          placeholder="search"
+          value={query.text}
+          onChange={this._handleText}
+          onKeyDown={this._handleKeyDown}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={query.isRegex}
+            onChange={this._handleRegex}
+          />
+          regex
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={query.matchArgs}
+            onChange={this._handleMatchArgs}
+          />
+          args
+        </label>
+        <button disabled={matchCount === 0} onClick={this.props.onPrev}>
+          prev
+        </button>
+        <button disabled={matchCount === 0} onClick={this.props.onNext}>
+          next
+        </button>{' '}
+        {this._renderStatus()}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,313 @@
+// @flow
+import React from 'react';
+// $FlowFixMe
+import memoize from 'memoize-one';
+import {
+  getMeasureAncestors,
+  getMeasureChildren,
+  getMeasureDetails,
+} from './traceAnalysis';
+import {formatMs} from './renderUtils';
+import type {Measure, RenderableTrace} from './renderUtils';
+import type {RenderableMeasure} from './calculateTraceLayout';
+import resolveTheme from './theme';
+import type {ThemeProp} from './theme';
+
+// details of the selected measure: its timing, the measures it's nested in
+// and those nested in it, and its args. it can be used on its own, with a
+// renderableTrace from calculateTraceLayout
+
+type Props = {
+  // the layout which the selection is from
+  renderableTrace: RenderableTrace,
+  selection: ?RenderableMeasure<Measure>,
+  // times are shown relative to this, eg. the start of the trace
+  traceStart: number,
+  // called when an ancestor or child of the selection is clicked
+  onSelectionChange: (selection: RenderableMeasure<Measure>) => void,
+  // as for Trace, light by default
+  theme?: ThemeProp,
+};
+
+type State = {
+  // paths of the args which are expanded
+  expanded: Set<string>,
+};
+
+// caps on the number of rows rendered, to keep rendering cheap for measures
+// with lots of children or big args
+const MAX_CHILDREN = 200;
+const MAX_ARG_ROWS = 500;
+const INDENT_PX = 12;
+const NUMERIC_COLUMN_WIDTH = 90;
+
+const cellStyle = {
+  padding: '1px 6px',
+  whiteSpace: 'nowrap',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+};
+
+const linkStyle = {
+  cursor: 'pointer',
+  textDecoration: 'underline',
+};
+
+const headingStyle = {
+  padding: '4px 6px 2px',
+  fontWeight: 'bold',
+};
+
+function isExpandable(value: mixed) {
+  return (
+    value != null && typeof value === 'object' && Object.keys(value).length > 0
+  );
+}
+
+// a one line preview of a value, like the devtools console
+function formatValue(value: mixed): string {
+  if (Array.isArray(value)) {
+    return `Array(${value.length})`;
+  }
+  if (value != null && typeof value === 'object') {
+    return Object.keys(value).length > 0 ? '{…}' : '{}';
+  }
+  if (value === undefined) {
+    return 'undefined';
+  }
+  return JSON.stringify(value) || String(value);
+}
+
+export default class SelectionDetails extends React.Component<Props, State> {
+  state = {
+    expanded: new Set(),
+  };
+
+  componentDidUpdate(prevProps: Props) {
+    if (prevProps.selection !== this.props.selection) {
+      this.setState({expanded: new Set()});
+    }
+  }
+
+  _getAncestors = memoize(
+    (renderableTrace: RenderableTrace, selection: RenderableMeasure<Measure>) =>
+      getMeasureAncestors(renderableTrace, selection)
+  );
+
+  _getChildren = memoize(
+    (renderableTrace: RenderableTrace, selection: RenderableMeasure<Measure>) =>
+      getMeasureChildren(renderableTrace, selection)
+  );
+
+  _getTheme = memoize(resolveTheme);
+
+  _toggleExpanded(path: string) {
+    this.setState(state => {
+      const expanded = new Set(state.expanded);
+      if (expanded.has(path)) {
+        expanded.delete(path);
+      } else {
+        expanded.add(path);
+      }
+      return {expanded};
+    });
+  }
+
+  _renderBreadcrumb(selection: RenderableMeasure<Measure>) {
+    const ancestors = this._getAncestors(this.props.renderableTrace, selection);
+    return (
+      <div style={{padding: '4px 6px', overflowWrap: 'break-word'}}>
+        {ancestors.map((ancestor, index) => (
+          <span key={index}>
+            <span
+              style={linkStyle}
+              onClick={() => this.props.onSelectionChange(ancestor)}
+            >
+              {ancestor.measure.name}
+            </span>
+            {' › '}
+          </span>
+        ))}
+        <span style={{fontWeight: 'bold'}}>{selection.measure.name}</span>
+      </div>
+    );
+  }
+
+  _renderTiming(selection: RenderableMeasure<Measure>) {
+    const details = getMeasureDetails(
+      this.props.renderableTrace,
+      selection,
+      this.props.traceStart
+    );
+    const rows = [
+      ['Start', formatMs(details.start)],
+      ['End', formatMs(details.end)],
+      ['Total Time', formatMs(details.totalTime)],
+      ['Self Time', formatMs(details.selfTime)],
+      ['Depth', String(details.depth)],
+    ];
+    if (details.group != null) {
+      rows.push(['Group', details.group]);
+    }
+    return (
+      <table style={{borderCollapse: 'collapse'}}>
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}>
+              <td
+                style={{
+                  ...cellStyle,
+                  color: this._getTheme(this.props.theme).secondaryText,
+                }}
+              >
+                {label}
+              </td>
+              <td style={cellStyle}>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  _renderChildren(selection: RenderableMeasure<Measure>) {
+    const children = this._getChildren(this.props.renderableTrace, selection);
+    if (children.length === 0) {
+      return null;
+    }
+    return (
+      <div>
+        <div style={headingStyle}>Children ({children.length})</div>
+        <table
+          style={{
+            width: '100%',
+            borderCollapse: 'collapse',
+            tableLayout: 'fixed',
+          }}
+        >
+          <tbody>
+            {children.slice(0, MAX_CHILDREN).map((child, index) => (
+              <tr
+                key={index}
+                style={{cursor: 'pointer'}}
+                onClick={() => this.props.onSelectionChange(child)}
+              >
+                <td
+                  style={{
+                    ...cellStyle,
+                    width: NUMERIC_COLUMN_WIDTH,
+                    textAlign: 'right',
+                  }}
+                >
+                  {formatMs(child.measure.duration)}
+                </td>
+                <td style={cellStyle}>{child.measure.name}</td>
+              </tr>
+            ))}
+            {children.length > MAX_CHILDREN && (
+              <tr>
+                <td />
+                <td
+                  style={{
+                    ...cellStyle,
+                    color: this._getTheme(this.props.theme).secondaryText,
+                  }}
+                >
+                  +{children.length - MAX_CHILDREN} more
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  _renderArgRows(
+    value: Object,
+    path: string,
+    depth: number,
+    rows: Array<React$Node>
+  ) {
+    for (const key of Object.keys(value)) {
+      if (rows.length >= MAX_ARG_ROWS) return;
+      const child = value[key];
+      const childPath = `${path}[${JSON.stringify(key)}]`;
+      const expandable = isExpandable(child);
+      const expanded = expandable && this.state.expanded.has(childPath);
+      rows.push(
+        <tr
+          key={childPath}
+          style={{cursor: expandable ? 'pointer' : null}}
+          onClick={expandable ? () => this._toggleExpanded(childPath) : null}
+        >
+          <td style={{...cellStyle, paddingLeft: 6 + depth * INDENT_PX}}>
+            {expandable ? (expanded ? '▾ ' : '▸ ') : '  '}
+            {key}
+          </td>
+          <td style={cellStyle}>{formatValue(child)}</td>
+        </tr>
+      );
+      if (expanded) {
+        this._renderArgRows(child, childPath, depth + 1, rows);
+      }
+    }
+  }
+
+  _renderArgs(selection: RenderableMeasure<Measure>) {
+    const {args} = selection.measure;
+    if (!isExpandable(args)) {
+      return null;
+    }
+    const rows = [];
+    this._renderArgRows((args: $FlowFixMe), '', 0, rows);
+    return (
+      <div>
+        <div style={headingStyle}>Args</div>
+        <table
+          style={{
+            width: '100%',
+            borderCollapse: 'collapse',
+            tableLayout: 'fixed',
+          }}
+        >
+          <tbody>{rows}</tbody>
+        </table>
+      </div>
+    );
+  }
+
+  render() {
+    const {selection} = this.props;
+    return (
+      <div
+        style={{
+          borderTop: `solid 1px ${
+            this._getTheme(this.props.theme).panelBorder
+          }`,
+          minHeight: 100,
+          fontSize: 11,
+          fontFamily: 'Lucida Grande',
+        }}
+      >
+        {selection == null ? (
+          <div
+            style={{
+              padding: '4px 6px',
+              color: this._getTheme(this.props.theme).secondaryText,
+            }}
+          >
+            Click a measure to see its details
+          </div>
+        ) : (
+          <div style={{maxHeight: 300, overflowY: 'auto'}}>
+            {this._renderBreadcrumb(selection)}
+            {this._renderTiming(selection)}
+            {this._renderChildren(selection)}
+            {this._renderArgs(selection)}
+          </div>
+        )}
+      </div>
+    );
+  }
+}
@@ -1,9 +1,11 @@
 export type HandleStateChangeFn = (changes: {
   zoom?: number,
   center?: number,
+  verticalOffset?: number,
   dragging?: boolean,
   dragMoved?: boolean,
   hovered?: ?RenderableMeasure<Measure>,
   selection?: ?RenderableMeasure<Measure>,
   zooming?: boolean,
+  rangeSelection?: ?{start: number, end: number},
 }) => void;
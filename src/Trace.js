@@ -2,16 +2,35 @@
 import React from 'react';
 // $FlowFixMe
 import memoize from 'memoize-one';
-import transformTrace from './calculateTraceLayout';
+import {GroupedTraceLayout} from './calculateTraceLayout';
 import type {RenderableMeasure} from './calculateTraceLayout';
-import type {Measure, Layout, RenderableTrace} from './renderUtils';
+import type {Measure, Layout, RenderableTrace, TimeRange} from './renderUtils';
 import {UtilsWithCache} from './renderUtils';
 import Controls from './Controls';
 import DOMRenderer from './DOMRenderer';
 import CanvasRenderer from './CanvasRenderer';
+import WorkerCanvasRenderer from './WorkerCanvasRenderer';
+import TraceWorkerClient from './TraceWorkerClient';
 import type {HandleStateChangeFn} from './State';
 import type {Element as ReactElement} from 'react';
 import Minimap from './Minimap';
+import SearchBar from './SearchBar';
+import AnalysisPanel from './AnalysisPanel';
+import SelectionDetails from './SelectionDetails';
+import RangeSelectionBar from './RangeSelectionBar';
+import RangeSelectionOverlay from './RangeSelectionOverlay';
+import {EMPTY_SEARCH_QUERY, findSearchMatches} from './search';
+import type {SearchQuery} from './search';
+import {getFlowLinks} from './flowLinks';
+import type {FlowLink} from './flowLinks';
+import {updateColorizer} from './colorScheme';
+import type {ColorBy, Colorizer, PaletteName} from './colorScheme';
+import ColorLegend from './ColorLegend';
+import resolveTheme from './theme';
+import type {Theme, ThemeProp} from './theme';
+import type {WebGLFont} from './WebGLTextRenderUtils';
+import type {FormatLabel} from './labelFormat';
+import VerticalScrollbar from './VerticalScrollbar';
 
 import {
   PX_PER_MS,
@@ -22,20 +41,51 @@ import {
   MAX_ZOOM,
   TOOLTIP_OFFSET,
   TOOLTIP_HEIGHT,
+  RULER_HEIGHT,
+  GROUP_HEADER_HEIGHT,
 } from './constants';
 
 const SHOW_CONTROLS = false;
 const USE_PERSISTENT_STATE = false;
+// proportion of the viewport a search match (or a measure picked in the
+// selection details) is zoomed to fill
+const ZOOM_TO_MEASURE_VIEWPORT_FILL = 0.5;
+// px scrolled by the up and down arrow keys
+const KEYBOARD_SCROLL_PX = 40;
 
 type Props = {
   groupOrder?: Array<string>,
   persistView: boolean,
   truncateLabels: boolean,
+  // the label of each measure, given the width available for it: a function,
+  // or a built in format (see labelFormat). overrides truncateLabels
+  formatLabel?: FormatLabel,
+  // draw vertical lines across the chart at each time ruler tick
+  showGridLines?: boolean,
   trace: Array<Measure>,
+  // causal links between measures, drawn as arrows. links can also be given
+  // by measures' `args.flowOut` and `args.flowIn` ids
+  links?: Array<FlowLink>,
+  // what measures are coloured by. a legend is shown when this is set
+  colorBy?: ColorBy,
+  palette?: PaletteName,
+  // 'light' (the default), 'dark', or overrides of a preset's colours
+  theme?: ThemeProp,
   renderer: 'canvas' | 'dom' | 'webgl',
+  // font family and size of the webgl renderer's text
+  webglFont?: WebGLFont,
   renderTooltip?: Measure => ReactElement<any>,
+  // lay out the trace in a worker, and draw it there with the canvas and webgl
+  // renderers. ignored where OffscreenCanvas isn't supported
+  worker?: boolean,
   viewportWidth: number,
   viewportHeight: number,
+  // called when a time range is selected by shift-dragging
+  onRangeSelect?: (start: number, end: number) => void,
+  // called when groups are reordered by dragging their headers
+  onGroupOrderChange?: (groupOrder: Array<string>) => void,
+  // called when a measure is selected, or the selection is cleared
+  onSelectionChange?: (selection: ?Measure) => void,
 };
 
 type State = {
@@ -49,6 +99,13 @@ type State = {
   zoom: number,
   defaultZoom: number,
   zooming: boolean,
+  search: SearchQuery,
+  searchMatchIndex: number,
+  // time range selected by shift-dragging on the chart or minimap
+  rangeSelection: ?TimeRange,
+  // set when groups are reordered by dragging their headers
+  userGroupOrder: ?Array<string>,
+  collapsedGroups: Set<string>,
 };
 
 // const run = fn => requestAnimationFrame(fn);
@@ -57,13 +114,18 @@ const run = fn => fn();
 export default class Trace extends React.Component<Props, State> {
   _mouseX = 0;
   _mouseY = 0;
+  _utils = new UtilsWithCache();
+  _workerClient: ?TraceWorkerClient = null;
 
   constructor(props: Props) {
     super(props);
-    const {startOffset, size} = this._getExtents();
+    if (props.worker && TraceWorkerClient.isSupported()) {
+      const workerClient = new TraceWorkerClient(this._handleWorkerLayout);
+      workerClient.setTrace(props.trace);
+      this._workerClient = workerClient;
+    }
     const defaultZoom = 1;
-    const defaultCenter =
-      startOffset + this.props.viewportWidth / PX_PER_MS / 2;
+    const defaultCenter = this._getDefaultCenter();
     const zoom = this.loadValue('zoom', defaultZoom);
     this.state = {
       dragging: false,
@@ -76,6 +138,11 @@ export default class Trace extends React.Component<Props, State> {
       zoom,
       defaultZoom,
       zooming: false,
+      search: EMPTY_SEARCH_QUERY,
+      searchMatchIndex: -1,
+      rangeSelection: null,
+      userGroupOrder: null,
+      collapsedGroups: new Set(),
     };
   }
 
@@ -104,22 +171,317 @@ export default class Trace extends React.Component<Props, State> {
     };
   }
 
-  _transformTrace = memoize(trace => transformTrace(trace));
-
-  _transformTraceGroups = memoize(trace => {
-    const groupedTraces = trace.reduce((groupsTraces, item) => {
-      const group = item.group;
-      const groupTrace = groupsTraces.get(group) || [];
-      groupTrace.push(item);
-      groupsTraces.set(group, groupTrace);
-      return groupsTraces;
-    }, new Map());
-    const groupedRenderableTraces = new Map();
-    for (let [group, trace] of groupedTraces) {
-      groupedRenderableTraces.set(group, transformTrace(trace));
+  componentDidUpdate(prevProps: Props, prevState: State) {
+    if (this._workerClient) {
+      this._workerClient.setTrace(this.props.trace);
+    }
+    const {selection} = this.state;
+    if (selection !== prevState.selection && this.props.onSelectionChange) {
+      this.props.onSelectionChange(selection ? selection.measure : null);
+    }
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keypress', this._handleKey);
+    if (this._workerClient) {
+      this._workerClient.terminate();
+    }
+  }
+
+  _getDefaultCenter() {
+    const {startOffset} = this._getExtents();
+    return startOffset + this.props.viewportWidth / PX_PER_MS / 2;
+  }
+
+  _hasWorkerLayout = false;
+
+  // in worker mode, the trace is laid out asynchronously, so the initial view
+  // is only known once it's first laid out
+  _handleWorkerLayout = () => {
+    if (this._hasWorkerLayout) {
+      this.forceUpdate();
+      return;
+    }
+    this._hasWorkerLayout = true;
+    const defaultCenter = this._getDefaultCenter();
+    this.setState({
+      defaultCenter,
+      center: this.loadValue('center', defaultCenter),
+    });
+  };
+
+  _layout: ?{
+    trace: Array<Measure>,
+    length: number,
+    layout: GroupedTraceLayout<Measure>,
+  } = null;
+
+  // the trace array may be appended to in place (eg. when recording a live
+  // trace), in which case only the appended measures are laid out, and the
+  // renderable traces are updated in place
+  _getLayout() {
+    const {trace} = this.props;
+    let layout = this._layout;
+    if (
+      layout == null ||
+      layout.trace !== trace ||
+      trace.length < layout.length
+    ) {
+      layout = {trace, length: 0, layout: new GroupedTraceLayout()};
+      this._layout = layout;
+    }
+    if (trace.length > layout.length) {
+      layout.layout.append(
+        layout.length === 0 ? trace : trace.slice(layout.length)
+      );
+      layout.length = trace.length;
+    }
+    return layout.layout;
+  }
+
+  _getRenderableTraces() {
+    if (this._workerClient) {
+      return this._workerClient.getRenderableTraces();
+    }
+    const layout = this._getLayout();
+    return {
+      renderableTrace: layout.traceLayout.renderableTrace,
+      renderableTraceGroups: layout.renderableTraceGroups,
+    };
+  }
+
+  // the groupOrder prop, or the order the groups have been dragged into
+  _getGroupOrder(): Array<string> {
+    const {renderableTraceGroups} = this._getRenderableTraces();
+    return this._getGroupOrderImpl(
+      this.props.groupOrder,
+      this.state.userGroupOrder,
+      renderableTraceGroups,
+      // groups can be added when the trace grows
+      renderableTraceGroups.size
+    );
+  }
+
+  _getGroupOrderImpl = memoize(
+    (
+      groupOrderProp: ?Array<string>,
+      userGroupOrder: ?Array<string>,
+      renderableTraceGroups: Map<string, RenderableTrace>,
+      groupCount: number
+    ) => {
+      const groupOrder =
+        groupOrderProp || Array.from(renderableTraceGroups.keys());
+      if (userGroupOrder == null) {
+        return groupOrder;
+      }
+      // include any groups which were added after the groups were reordered
+      return userGroupOrder.concat(
+        groupOrder.filter(group => !userGroupOrder.includes(group))
+      );
     }
-    return groupedRenderableTraces;
-  });
+  );
+
+  _handleGroupOrderChange = (userGroupOrder: Array<string>) => {
+    this.setState({userGroupOrder});
+    if (this.props.onGroupOrderChange) {
+      this.props.onGroupOrderChange(userGroupOrder);
+    }
+  };
+
+  _handleToggleGroupCollapsed = (group: string) => {
+    this.setState(state => {
+      const collapsedGroups = new Set(state.collapsedGroups);
+      if (collapsedGroups.has(group)) {
+        collapsedGroups.delete(group);
+      } else {
+        collapsedGroups.add(group);
+      }
+      return {collapsedGroups};
+    });
+  };
+
+  // the renderable traces which the current renderer draws, and which
+  // selection and hover state refer to
+  _getRenderedTraces(): Array<RenderableTrace> {
+    const {
+      renderableTrace,
+      renderableTraceGroups,
+    } = this._getRenderableTraces();
+    return this._getRenderedTracesImpl(
+      this.props.renderer,
+      this._getGroupOrder(),
+      renderableTrace,
+      renderableTraceGroups
+    );
+  }
+
+  _getRenderedTracesImpl = memoize(
+    (
+      renderer: string,
+      groupOrder: Array<string>,
+      renderableTrace: RenderableTrace,
+      renderableTraceGroups: Map<string, RenderableTrace>
+    ) => {
+      if (renderer === 'dom') {
+        return [renderableTrace];
+      }
+      const renderedTraces = [];
+      for (const group of groupOrder) {
+        const groupTrace = renderableTraceGroups.get(group);
+        if (groupTrace) {
+          renderedTraces.push(groupTrace);
+        }
+      }
+      return renderedTraces;
+    }
+  );
+
+  // the trace length is passed so matches are updated when the trace grows
+  _findSearchMatches = memoize(
+    (
+      renderedTraces: Array<RenderableTrace>,
+      traceLength: number,
+      query: SearchQuery
+    ) => {
+      const matches = findSearchMatches(renderedTraces, query);
+      return matches
+        ? {matches, matchSet: new Set(matches.map(match => match.measure))}
+        : null;
+    }
+  );
+
+  // the trace length is passed so links are updated when the trace grows
+  _getFlowLinks = memoize(
+    (trace: Array<Measure>, traceLength: number, links: ?Array<FlowLink>) =>
+      getFlowLinks(trace, links)
+  );
+
+  // kept as the trace grows, so appended measures don't re-colour the trace
+  _colorizer: ?Colorizer = null;
+
+  _getColorizer(): Colorizer {
+    this._colorizer = updateColorizer(
+      this._colorizer,
+      this.props.trace,
+      this.props.colorBy || undefined,
+      this.props.palette || undefined
+    );
+    return this._colorizer;
+  }
+
+  _resolveTheme = memoize(resolveTheme);
+
+  // the trace length is passed as the colorizer is updated when the trace grows
+  _getLegend = memoize((colorizer: Colorizer, traceLength: number) =>
+    colorizer.getLegend()
+  );
+
+  _renderLegend(theme: Theme) {
+    if (this.props.colorBy == null) {
+      return null;
+    }
+    const legend = this._getLegend(
+      this._getColorizer(),
+      this.props.trace.length
+    );
+    return legend ? <ColorLegend legend={legend} theme={theme} /> : null;
+  }
+
+  _getSearchMatches() {
+    return this._findSearchMatches(
+      this._getRenderedTraces(),
+      this.props.trace.length,
+      this.state.search
+    );
+  }
+
+  _handleSearchQueryChange = (search: SearchQuery) => {
+    this.setState({search, searchMatchIndex: -1});
+  };
+
+  _handleSearchNext = () => {
+    this._focusSearchMatch(1);
+  };
+
+  _handleSearchPrev = () => {
+    this._focusSearchMatch(-1);
+  };
+
+  _focusSearchMatch(direction: 1 | -1) {
+    const searchMatches = this._getSearchMatches();
+    if (searchMatches == null || searchMatches.matches.length === 0) {
+      return;
+    }
+    const {matches} = searchMatches;
+    const {searchMatchIndex} = this.state;
+    const nextIndex =
+      searchMatchIndex === -1
+        ? direction === 1
+          ? 0
+          : matches.length - 1
+        : (searchMatchIndex + direction + matches.length) % matches.length;
+    this.setState({searchMatchIndex: nextIndex});
+    this._selectAndZoomTo(matches[nextIndex]);
+  }
+
+  _selectAndZoomTo = (selection: RenderableMeasure<Measure>) => {
+    this._handleStateChange({
+      center: selection.measure.startTime + selection.measure.duration / 2,
+      zoom:
+        (this.props.viewportWidth * ZOOM_TO_MEASURE_VIEWPORT_FILL) /
+        (selection.measure.duration * PX_PER_MS),
+      selection,
+    });
+  };
+
+  // the renderable trace which the selection is from (see _getRenderedTraces)
+  _getSelectionTrace(selection: ?RenderableMeasure<Measure>) {
+    const {
+      renderableTrace,
+      renderableTraceGroups,
+    } = this._getRenderableTraces();
+    if (selection == null || this.props.renderer === 'dom') {
+      return renderableTrace;
+    }
+    return (
+      renderableTraceGroups.get((selection.measure.group: $FlowFixMe)) ||
+      renderableTrace
+    );
+  }
+
+  _getVisibleRange() {
+    const {startOffset, endOffset} = this._getExtents();
+    const halfWidth =
+      this.props.viewportWidth / 2 / PX_PER_MS / this.state.zoom;
+    return {
+      start: Math.max(startOffset, this.state.center - halfWidth),
+      end: Math.min(endOffset, this.state.center + halfWidth),
+    };
+  }
+
+  _handleRangeSelect = (rangeSelection: ?TimeRange) => {
+    this.setState({rangeSelection});
+    if (rangeSelection && this.props.onRangeSelect) {
+      this.props.onRangeSelect(rangeSelection.start, rangeSelection.end);
+    }
+  };
+
+  _handleRangeSelectionClear = () => {
+    this.setState({rangeSelection: null});
+  };
+
+  _handleZoomToRangeSelection = () => {
+    const {rangeSelection} = this.state;
+    if (rangeSelection == null) {
+      return;
+    }
+    this._handleStateChange({
+      center: (rangeSelection.start + rangeSelection.end) / 2,
+      zoom:
+        this.props.viewportWidth /
+        ((rangeSelection.end - rangeSelection.start) * PX_PER_MS),
+    });
+  };
 
   _handleSelectionChange = (selection: ?RenderableMeasure<Measure>) => {
     this.setState({selection});
@@ -140,6 +502,10 @@ export default class Trace extends React.Component<Props, State> {
   }
 
   _handleKey = (event: KeyboardEvent) => {
+    // don't steal keys being typed into the search box
+    if (event.target instanceof HTMLInputElement) {
+      return;
+    }
     const {size} = this._getExtents();
     switch (event.key) {
       case 'w': {
@@ -173,14 +539,103 @@ export default class Trace extends React.Component<Props, State> {
     }
   };
 
-  _getExtents() {
-    const renderableTrace = this._transformTrace(this.props.trace);
+  // arrow keys aren't sent as keypress events. these are only handled while
+  // the chart is focused, so they don't stop the page (or other charts, or
+  // text fields) from scrolling
+  _handleKeyDown = (event: SyntheticKeyboardEvent<HTMLDivElement>) => {
+    const pageHeight = this.props.viewportHeight - RULER_HEIGHT;
+    const verticalOffset = this._clampVerticalOffset(this.state.verticalOffset);
+    let updated = null;
+    switch (event.key) {
+      case 'ArrowUp':
+        updated = verticalOffset + KEYBOARD_SCROLL_PX;
+        break;
+      case 'ArrowDown':
+        updated = verticalOffset - KEYBOARD_SCROLL_PX;
+        break;
+      case 'PageUp':
+        updated = verticalOffset + pageHeight;
+        break;
+      case 'PageDown':
+        updated = verticalOffset - pageHeight;
+        break;
+      case 'Home':
+        updated = 0;
+        break;
+      case 'End':
+        updated = -Infinity;
+        break;
+    }
+    if (updated != null) {
+      event.preventDefault();
+      this._handleStateChange({verticalOffset: updated});
+    }
+  };
+
+  // height of the rows (and group headers) which are scrolled vertically,
+  // below the ruler
+  _getContentHeight(): number {
+    const {
+      renderableTrace,
+      renderableTraceGroups,
+    } = this._getRenderableTraces();
+    return this._getContentHeightImpl(
+      this.props.renderer,
+      this._getGroupOrder(),
+      renderableTrace,
+      renderableTraceGroups,
+      this.state.collapsedGroups,
+      this.props.trace.length
+    );
+  }
+
+  // the trace length is passed so the height is updated when the trace grows
+  _getContentHeightImpl = memoize(
+    (
+      renderer: string,
+      groupOrder: Array<string>,
+      renderableTrace: RenderableTrace,
+      renderableTraceGroups: Map<string, RenderableTrace>,
+      collapsedGroups: Set<string>,
+      traceLength: number
+    ) => {
+      const rowHeight = BAR_HEIGHT + BAR_Y_GUTTER;
+      if (renderer === 'dom') {
+        return (this._utils._getMaxStackIndex(renderableTrace) + 1) * rowHeight;
+      }
+      let height = 0;
+      for (const group of groupOrder) {
+        const groupTrace = renderableTraceGroups.get(group);
+        if (!groupTrace) continue;
+        const rows = collapsedGroups.has(group)
+          ? 1
+          : this._utils._getMaxStackIndex(groupTrace) + 1;
+        height += GROUP_HEADER_HEIGHT + rows * rowHeight;
+      }
+      return height;
+    }
+  );
+
+  _clampVerticalOffset(updated: number) {
+    const minVerticalOffset = Math.min(
+      0,
+      this.props.viewportHeight - RULER_HEIGHT - this._getContentHeight()
+    );
+    return Math.max(minVerticalOffset, Math.min(0, updated));
+  }
 
-    const renderableTraceGroups = this._transformTraceGroups(this.props.trace);
+  _handleVerticalScroll = (scrollTop: number) => {
+    this._handleStateChange({verticalOffset: -scrollTop});
+  };
+
+  _getExtents() {
+    if (this._workerClient) {
+      return this._workerClient.getExtents();
+    }
+    const {traceLayout} = this._getLayout();
 
-    const startOffset = renderableTrace[0].measure.startTime;
-    const last = renderableTrace[renderableTrace.length - 1];
-    const endOffset = last.measure.startTime + last.measure.duration;
+    const startOffset = traceLayout.getStartOffset();
+    const endOffset = traceLayout.getEndOffset();
 
     return {
       startOffset,
@@ -196,25 +651,29 @@ export default class Trace extends React.Component<Props, State> {
   };
 
   _renderTooltip() {
+    const theme = this._resolveTheme(this.props.theme);
     const tooltipX = this._mouseX + TOOLTIP_OFFSET;
     const tooltipY = this._mouseY + TOOLTIP_OFFSET;
+    // hidden until something is hovered. its content is rendered into it by
+    // the renderers (see tooltip.js)
     return (
       <div
         ref={this._onTooltip}
+        hidden={true}
         style={{
           userSelect: 'none',
+          pointerEvents: 'none',
           position: 'absolute',
           left: tooltipX,
           top: tooltipY,
-          backgroundColor: 'white',
+          backgroundColor: theme.tooltipBackground,
+          color: theme.tooltipText,
           fontSize: 10,
           fontFamily: ' Lucida Grande',
           padding: '2px 4px',
-          boxShadow: '3px 3px 5px rgba(0,0,0,0.4)',
+          boxShadow: `3px 3px 5px ${theme.tooltipShadow}`,
         }}
-      >
-        {this.state.hovered ? this.state.hovered.measure.name : ''}
-      </div>
+      />
     );
   }
 
@@ -228,14 +687,80 @@ export default class Trace extends React.Component<Props, State> {
           changes.center != null
             ? this._clampCenter(changes.center)
             : prevState.center,
+        verticalOffset:
+          changes.verticalOffset != null
+            ? this._clampVerticalOffset(changes.verticalOffset)
+            : prevState.verticalOffset,
       };
     });
   };
 
-  render() {
-    const renderableTrace = this._transformTrace(this.props.trace);
+  _renderCanvasRenderer(
+    renderer: 'canvas' | 'webgl',
+    verticalOffset: number,
+    searchMatches: ?Set<Measure>,
+    colorizer: Colorizer,
+    theme: Theme
+  ) {
+    const {
+      renderableTrace,
+      renderableTraceGroups,
+    } = this._getRenderableTraces();
+    const props = {
+      renderableTrace,
+      renderableTraceGroups,
+      ...this.state,
+      verticalOffset,
+      groupOrder: this._getGroupOrder(),
+      searchMatches,
+      colorizer,
+      theme,
+      extents: this._getExtents(),
+      minZoom: this._getMinZoom(),
+      viewportWidth: this.props.viewportWidth,
+      viewportHeight: this.props.viewportHeight,
+      tooltip: this._tooltip,
+      renderTooltip: this.props.renderTooltip,
+      truncateLabels: this.props.truncateLabels,
+      formatLabel: this.props.formatLabel,
+      webglFont: this.props.webglFont,
+      showGridLines: this.props.showGridLines,
+      links: this._getFlowLinks(
+        this.props.trace,
+        this.props.trace.length,
+        this.props.links
+      ),
+      renderer,
+      onStateChange: this._handleStateChange,
+      onSelectionChange: this._handleSelectionChange,
+      onRangeSelect: this._handleRangeSelect,
+      onToggleGroupCollapsed: this._handleToggleGroupCollapsed,
+      onGroupOrderChange: this._handleGroupOrderChange,
+    };
+    const workerClient = this._workerClient;
+    if (workerClient) {
+      return (
+        <WorkerCanvasRenderer
+          // the canvas can only be handed over to the worker once
+          key={`${renderer}-${props.viewportWidth}x${props.viewportHeight}`}
+          client={workerClient}
+          colorBy={this.props.colorBy}
+          palette={this.props.palette}
+          {...props}
+        />
+      );
+    }
+    return <CanvasRenderer {...props} />;
+  }
 
-    const renderableTraceGroups = this._transformTraceGroups(this.props.trace);
+  render() {
+    const {
+      renderableTrace,
+      renderableTraceGroups,
+    } = this._getRenderableTraces();
+    if (this._workerClient && !this._workerClient.hasLayout) {
+      return <div>laying out trace...</div>;
+    }
     if (renderableTrace[0] == null) {
       return <div>empty trace</div>;
     }
@@ -245,8 +770,28 @@ export default class Trace extends React.Component<Props, State> {
 
     const centerOffset = this.state.center;
     const renderer = this.props.renderer;
+    const searchMatches = this._getSearchMatches();
+    const colorizer = this._getColorizer();
+    const theme = this._resolveTheme(this.props.theme);
+    // the content height can shrink, eg. when a group is collapsed
+    const verticalOffset = this._clampVerticalOffset(this.state.verticalOffset);
     const rendered = (
-      <div>
+      <div style={{backgroundColor: theme.background, color: theme.text}}>
+        <SearchBar
+          query={this.state.search}
+          matchCount={searchMatches ? searchMatches.matches.length : 0}
+          matchIndex={this.state.searchMatchIndex}
+          onQueryChange={this._handleSearchQueryChange}
+          onNext={this._handleSearchNext}
+          onPrev={this._handleSearchPrev}
+        />
+        <RangeSelectionBar
+          rangeSelection={this.state.rangeSelection}
+          onZoomToSelection={this._handleZoomToRangeSelection}
+          onClear={this._handleRangeSelectionClear}
+          theme={theme}
+        />
+        {this._renderLegend(theme)}
         {(SHOW_CONTROLS || this.props.renderer === 'dom') && (
           <Controls
             zoom={this.state.zoom}
@@ -258,8 +803,11 @@ export default class Trace extends React.Component<Props, State> {
         <Minimap
           renderableTrace={renderableTrace}
           renderableTraceGroups={renderableTraceGroups}
-          groupOrder={this.props.groupOrder}
           {...this.state}
+          groupOrder={this._getGroupOrder()}
+          searchMatches={searchMatches ? searchMatches.matchSet : null}
+          colorizer={colorizer}
+          theme={theme}
           extents={this._getExtents()}
           minZoom={this._getMinZoom()}
           viewportWidth={this.props.viewportWidth}
@@ -270,54 +818,82 @@ export default class Trace extends React.Component<Props, State> {
           renderer={renderer}
           onStateChange={this._handleStateChange}
           onSelectionChange={this._handleSelectionChange}
+          onRangeSelect={this._handleRangeSelect}
         />
         <div
+          // focusable, for keyboard scrolling. clicking the chart focuses it
+          tabIndex={0}
+          onKeyDown={this._handleKeyDown}
           style={{
             cursor: this.state.dragging ? 'grabbing' : 'grab',
             position: 'relative',
+            outline: 'none',
           }}
         >
           {renderer === 'canvas' || renderer === 'webgl' ? (
-            <CanvasRenderer
+            this._renderCanvasRenderer(
+              renderer,
+              verticalOffset,
+              searchMatches ? searchMatches.matchSet : null,
+              colorizer,
+              theme
+            )
+          ) : (
+            <DOMRenderer
               renderableTrace={renderableTrace}
-              renderableTraceGroups={renderableTraceGroups}
-              groupOrder={this.props.groupOrder}
-              {...this.state}
+              zoom={this.state.zoom}
+              center={this.state.center}
               extents={this._getExtents()}
-              minZoom={this._getMinZoom()}
               viewportWidth={this.props.viewportWidth}
               viewportHeight={this.props.viewportHeight}
+              selection={this.state.selection}
+              searchMatches={searchMatches ? searchMatches.matchSet : null}
+              colorizer={colorizer}
+              theme={theme}
+              truncateLabels={this.props.truncateLabels}
+              formatLabel={this.props.formatLabel}
               tooltip={this._tooltip}
               renderTooltip={this.props.renderTooltip}
-              truncateLabels={this.props.truncateLabels}
-              renderer={renderer}
-              onStateChange={this._handleStateChange}
               onSelectionChange={this._handleSelectionChange}
             />
-          ) : (
-            <DOMRenderer
-              renderableTrace={renderableTrace}
-              zoom={this.state.zoom}
+          )}
+          {renderer !== 'dom' && (
+            <VerticalScrollbar
+              top={RULER_HEIGHT}
+              height={this.props.viewportHeight - RULER_HEIGHT}
+              contentHeight={this._getContentHeight()}
+              scrollTop={-verticalOffset}
+              theme={theme}
+              onScroll={this._handleVerticalScroll}
+            />
+          )}
+          {this.state.rangeSelection && (
+            <RangeSelectionOverlay
+              rangeSelection={this.state.rangeSelection}
               center={this.state.center}
-              extents={this._getExtents()}
+              zoom={this.state.zoom}
               viewportWidth={this.props.viewportWidth}
               viewportHeight={this.props.viewportHeight}
-              onSelectionChange={this._handleSelectionChange}
+              theme={theme}
             />
           )}
           {this._renderTooltip()}
         </div>
-        <pre
-          style={{
-            borderTop: 'solid 1px #ccc',
-            minHeight: 100,
-            margin: 0,
-          }}
-        >
-          {this.state.selection
-            ? JSON.stringify(this.state.selection.measure, null, 2)
-            : null}
-        </pre>
+        <AnalysisPanel
+          renderableTraces={this._getRenderedTraces()}
+          traceLength={this.props.trace.length}
+          range={this.state.rangeSelection || this._getVisibleRange()}
+          rangeLabel={this.state.rangeSelection ? 'selection' : 'visible range'}
+          onSelectMeasure={this._handleSelectionChange}
+          theme={theme}
+        />
+        <SelectionDetails
+          renderableTrace={this._getSelectionTrace(this.state.selection)}
+          selection={this.state.selection}
+          traceStart={this._getExtents().startOffset}
+          onSelectionChange={this._selectAndZoomTo}
+          theme={theme}
+        />
       </div>
     );
 
@@ -0,0 +1,366 @@
+// @flow
+import type {RenderableMeasure} from './calculateTraceLayout';
+import type {Measure, RenderableTrace, Extents, TimeRange} from './renderUtils';
+import type {Props as RendererProps} from './CanvasRendererImpl';
+import type {ColorBy, PaletteName} from './colorScheme';
+import type {FlowLink} from './flowLinks';
+import type {Theme} from './theme';
+import type {WebGLFont} from './WebGLTextRenderUtils';
+import type {LabelFormat} from './labelFormat';
+
+// in worker mode (see Trace's `worker` prop), the trace is laid out and drawn
+// in a worker (see traceWorker.js), which gets a copy of the trace. measures
+// are referred to by their index in the trace when talking to the worker
+
+// flow doesn't know about OffscreenCanvas yet
+type OffscreenCanvas = $FlowFixMe;
+
+// the renderer props which the worker needs to draw the trace, other than those
+// it keeps a copy of
+export type WorkerRenderProps = {
+  renderer: 'canvas' | 'webgl',
+  extents: Extents,
+  viewportWidth: number,
+  viewportHeight: number,
+  center: number,
+  defaultCenter: number,
+  verticalOffset: number,
+  dragging: boolean,
+  dragMoved: boolean,
+  zoom: number,
+  defaultZoom: number,
+  zooming: boolean,
+  minZoom: number,
+  theme: Theme,
+  rangeSelection: ?TimeRange,
+  truncateLabels?: boolean,
+  // functions can't be sent to the worker either
+  formatLabel: ?LabelFormat,
+  webglFont?: WebGLFont,
+  showGridLines?: boolean,
+  groupOrder?: Array<string>,
+  collapsedGroups: Set<string>,
+  selection: ?number,
+  // functions can't be sent to the worker, so colorBy functions aren't
+  // supported in worker mode
+  colorBy: ?ColorBy,
+  palette: ?PaletteName,
+  // the number of state changes from the worker which these props include
+  stateChangeCount: number,
+};
+
+// the parts of mouse and wheel events used by the renderers, with coordinates
+// relative to the canvas
+export type ProxiedEvent = {
+  clientX: number,
+  clientY: number,
+  movementX: number,
+  movementY: number,
+  shiftKey: boolean,
+  deltaX: number,
+  deltaY: number,
+  deltaMode: number,
+};
+
+export type ProxiedEventName =
+  | 'mouseDown'
+  | 'mouseMove'
+  | 'mouseOut'
+  | 'mouseUp'
+  | 'wheel';
+
+export type ToWorkerMessage =
+  | {
+      type: 'append',
+      measures: Array<Measure>,
+      // incremented each time the trace is replaced, rather than appended to
+      generation: number,
+    }
+  | {type: 'canvas', canvas: OffscreenCanvas, devicePixelRatio: number}
+  | {type: 'props', props: WorkerRenderProps}
+  | {type: 'searchMatches', matches: ?Array<number>}
+  | {type: 'links', links: Array<[number, number]>}
+  | {type: 'event', name: ProxiedEventName, event: ProxiedEvent};
+
+// renderable traces, as the order of their measures and their stack indexes
+type LaidOutTrace = {
+  order: Int32Array,
+  stackIndexes: Int32Array,
+};
+
+export type WorkerLayout = {
+  generation: number,
+  startOffset: number,
+  endOffset: number,
+  trace: LaidOutTrace,
+  groups: Array<{group: string, trace: LaidOutTrace}>,
+};
+
+export type WorkerStateChanges = {
+  zoom?: number,
+  center?: number,
+  verticalOffset?: number,
+  dragging?: boolean,
+  dragMoved?: boolean,
+  zooming?: boolean,
+  rangeSelection?: ?TimeRange,
+};
+
+export type FromWorkerMessage =
+  | {type: 'layout', layout: WorkerLayout}
+  | {
+      type: 'stateChange',
+      changes: WorkerStateChanges,
+      // set if the selection changed
+      selection?: ?number,
+    }
+  | {type: 'rangeSelect', range: ?TimeRange}
+  | {type: 'toggleGroupCollapsed', group: string}
+  | {type: 'groupOrderChange', groupOrder: Array<string>}
+  | {
+      type: 'hover',
+      index: ?number,
+      // set when hovering over a block of merged measures
+      aggregate: ?{
+        count: number,
+        totalDuration: number,
+        representative: number,
+      },
+    };
+
+const EMPTY_RENDERABLE_TRACES = {
+  renderableTrace: [],
+  renderableTraceGroups: new Map(),
+};
+
+export default class TraceWorkerClient {
+  static isSupported(): boolean {
+    return (
+      typeof Worker !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' &&
+      typeof (HTMLCanvasElement.prototype: $FlowFixMe)
+        .transferControlToOffscreen === 'function'
+    );
+  }
+
+  _worker: Worker;
+  _onLayout: () => void;
+  // set by the renderer drawing in the worker (see WorkerCanvasRenderer)
+  onRendererMessage: ?(FromWorkerMessage) => void = null;
+
+  _trace: ?Array<Measure> = null;
+  _length = 0;
+  _generation = 0;
+  _indexes: Map<Measure, number> = new Map();
+
+  // renderable measures by index, reused across layouts so they can be
+  // compared by identity (eg. for the current selection)
+  _renderableMeasures: Array<RenderableMeasure<Measure>> = [];
+  _groupRenderableMeasures: Array<RenderableMeasure<Measure>> = [];
+  _renderableTraces: {
+    renderableTrace: RenderableTrace,
+    renderableTraceGroups: Map<string, RenderableTrace>,
+  } = EMPTY_RENDERABLE_TRACES;
+  _extents: Extents = {startOffset: 0, endOffset: 0, size: 0};
+  hasLayout = false;
+
+  _sentSearchMatches: ?Set<Measure> = null;
+  _sentLinks: ?Array<FlowLink> = null;
+  _stateChangeCount = 0;
+
+  constructor(onLayout: () => void) {
+    this._onLayout = onLayout;
+    this._worker = new Worker('./traceWorker.js');
+    this._worker.onmessage = (event: MessageEvent) =>
+      this._handleMessage((event.data: $FlowFixMe));
+  }
+
+  _post(message: ToWorkerMessage, transfer?: Array<mixed>) {
+    this._worker.postMessage(message, (transfer: $FlowFixMe));
+  }
+
+  // like Trace's own layout, the trace can be appended to in place, in which
+  // case only the appended measures are sent
+  setTrace(trace: Array<Measure>) {
+    const reset = trace !== this._trace || trace.length < this._length;
+    if (reset) {
+      this._generation++;
+      this._trace = trace;
+      this._length = 0;
+      this._indexes = new Map();
+      this._renderableMeasures = [];
+      this._groupRenderableMeasures = [];
+    }
+    if (trace.length > this._length || reset) {
+      const measures = this._length === 0 ? trace : trace.slice(this._length);
+      for (let i = this._length; i < trace.length; i++) {
+        this._indexes.set(trace[i], i);
+      }
+      this._length = trace.length;
+      this._post({type: 'append', measures, generation: this._generation});
+    }
+  }
+
+  setCanvas(canvas: OffscreenCanvas, devicePixelRatio: number) {
+    this._post({type: 'canvas', canvas, devicePixelRatio}, [canvas]);
+  }
+
+  render(props: RendererProps, colorBy: ?ColorBy, palette: ?PaletteName) {
+    const {searchMatches, links} = props;
+    if (searchMatches !== this._sentSearchMatches) {
+      this._sentSearchMatches = searchMatches;
+      this._post({
+        type: 'searchMatches',
+        matches: searchMatches ? this._getIndexes(searchMatches) : null,
+      });
+    }
+    if (links !== this._sentLinks) {
+      this._sentLinks = links;
+      const linkIndexes = [];
+      for (const {from, to} of links) {
+        const fromIndex = this._indexes.get(from);
+        const toIndex = this._indexes.get(to);
+        if (fromIndex != null && toIndex != null) {
+          linkIndexes.push([fromIndex, toIndex]);
+        }
+      }
+      this._post({type: 'links', links: linkIndexes});
+    }
+    const {selection} = props;
+    this._post({
+      type: 'props',
+      props: {
+        renderer: props.renderer,
+        extents: props.extents,
+        viewportWidth: props.viewportWidth,
+        viewportHeight: props.viewportHeight,
+        center: props.center,
+        defaultCenter: props.defaultCenter,
+        verticalOffset: props.verticalOffset,
+        dragging: props.dragging,
+        dragMoved: props.dragMoved,
+        zoom: props.zoom,
+        defaultZoom: props.defaultZoom,
+        zooming: props.zooming,
+        minZoom: props.minZoom,
+        theme: props.theme,
+        rangeSelection: props.rangeSelection,
+        truncateLabels: props.truncateLabels,
+        formatLabel:
+          typeof props.formatLabel === 'function' ? null : props.formatLabel,
+        webglFont: props.webglFont,
+        showGridLines: props.showGridLines,
+        groupOrder: props.groupOrder,
+        collapsedGroups: props.collapsedGroups,
+        selection: selection ? this._indexes.get(selection.measure) : null,
+        colorBy: typeof colorBy === 'function' ? null : colorBy,
+        palette,
+        stateChangeCount: this._stateChangeCount,
+      },
+    });
+  }
+
+  sendEvent(name: ProxiedEventName, event: ProxiedEvent) {
+    this._post({type: 'event', name, event});
+  }
+
+  terminate() {
+    this._worker.terminate();
+  }
+
+  _getIndexes(measures: Iterable<Measure>): Array<number> {
+    const indexes = [];
+    for (const measure of measures) {
+      const index = this._indexes.get(measure);
+      if (index != null) {
+        indexes.push(index);
+      }
+    }
+    return indexes;
+  }
+
+  getMeasure(index: number): ?Measure {
+    return this._trace ? this._trace[index] : null;
+  }
+
+  // the renderable measure which the renderer draws for a measure, from its
+  // group's layout, as the renderers draw a lane per group
+  getRenderableMeasure(index: number): ?RenderableMeasure<Measure> {
+    return this._groupRenderableMeasures[index];
+  }
+
+  getRenderableTraces() {
+    return this._renderableTraces;
+  }
+
+  getExtents(): Extents {
+    return this._extents;
+  }
+
+  _handleMessage(message: FromWorkerMessage) {
+    if (message.type === 'layout') {
+      this._updateLayout(message.layout);
+      this._onLayout();
+      return;
+    }
+    if (message.type === 'stateChange') {
+      this._stateChangeCount++;
+    }
+    if (this.onRendererMessage) {
+      this.onRendererMessage(message);
+    }
+  }
+
+  _getRenderableTrace(
+    {order, stackIndexes}: LaidOutTrace,
+    renderableMeasures: Array<RenderableMeasure<Measure>>
+  ): RenderableTrace {
+    const trace = this._trace;
+    const renderableTrace = [];
+    if (trace == null) {
+      return renderableTrace;
+    }
+    for (let i = 0; i < order.length; i++) {
+      const index = order[i];
+      let renderableMeasure = renderableMeasures[index];
+      if (renderableMeasure) {
+        renderableMeasure.stackIndex = stackIndexes[i];
+      } else {
+        renderableMeasure = {
+          stackIndex: stackIndexes[i],
+          measure: trace[index],
+        };
+        renderableMeasures[index] = renderableMeasure;
+      }
+      renderableTrace.push(renderableMeasure);
+    }
+    return renderableTrace;
+  }
+
+  _updateLayout(layout: WorkerLayout) {
+    // a layout of an earlier trace can arrive after the trace is replaced
+    if (layout.generation !== this._generation) {
+      return;
+    }
+    const renderableTraceGroups = new Map();
+    for (const {group, trace} of layout.groups) {
+      renderableTraceGroups.set(
+        group,
+        this._getRenderableTrace(trace, this._groupRenderableMeasures)
+      );
+    }
+    this._renderableTraces = {
+      renderableTrace: this._getRenderableTrace(
+        layout.trace,
+        this._renderableMeasures
+      ),
+      renderableTraceGroups,
+    };
+    this._extents = {
+      startOffset: layout.startOffset,
+      endOffset: layout.endOffset,
+      size: layout.endOffset - layout.startOffset,
+    };
+    this.hasLayout = true;
+  }
+}
@@ -0,0 +1,126 @@
+// @flow
+import React from 'react';
+import type {Theme} from './theme';
+
+type Props = {
+  // position and size of the track, which covers the scrollable area
+  top: number,
+  height: number,
+  contentHeight: number,
+  scrollTop: number,
+  theme: Theme,
+  onScroll: (scrollTop: number) => void,
+};
+
+const SCROLLBAR_WIDTH = 8;
+const MIN_THUMB_HEIGHT = 20;
+
+// an overlay scrollbar for the chart, which is drawn on a canvas so can't
+// scroll natively
+export default class VerticalScrollbar extends React.Component<Props, void> {
+  _dragStart: ?{clientY: number, scrollTop: number} = null;
+
+  componentWillUnmount() {
+    this._endDrag();
+  }
+
+  _getThumbHeight() {
+    const {height, contentHeight} = this.props;
+    return Math.min(
+      height,
+      Math.max(MIN_THUMB_HEIGHT, (height * height) / contentHeight)
+    );
+  }
+
+  _getMaxScrollTop() {
+    return Math.max(0, this.props.contentHeight - this.props.height);
+  }
+
+  _handleThumbMouseDown = (event: SyntheticMouseEvent<HTMLDivElement>) => {
+    // don't also page the track
+    event.stopPropagation();
+    event.preventDefault();
+    this._dragStart = {
+      clientY: event.clientY,
+      scrollTop: this.props.scrollTop,
+    };
+    document.addEventListener('mousemove', this._handleMouseMove);
+    document.addEventListener('mouseup', this._endDrag);
+  };
+
+  _handleMouseMove = (event: MouseEvent) => {
+    const dragStart = this._dragStart;
+    if (dragStart == null) {
+      return;
+    }
+    const trackSpace = this.props.height - this._getThumbHeight();
+    if (trackSpace <= 0) {
+      return;
+    }
+    this.props.onScroll(
+      dragStart.scrollTop +
+        ((event.clientY - dragStart.clientY) / trackSpace) *
+          this._getMaxScrollTop()
+    );
+  };
+
+  _endDrag = () => {
+    this._dragStart = null;
+    document.removeEventListener('mousemove', this._handleMouseMove);
+    document.removeEventListener('mouseup', this._endDrag);
+  };
+
+  // clicking the track pages towards the click
+  _handleTrackMouseDown = (event: SyntheticMouseEvent<HTMLDivElement>) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const {scrollTop, height} = this.props;
+    const thumbTop = this._getThumbTop();
+    this.props.onScroll(
+      event.clientY - rect.top < thumbTop
+        ? scrollTop - height
+        : scrollTop + height
+    );
+  };
+
+  _getThumbTop() {
+    const maxScrollTop = this._getMaxScrollTop();
+    return maxScrollTop > 0
+      ? (this.props.scrollTop / maxScrollTop) *
+          (this.props.height - this._getThumbHeight())
+      : 0;
+  }
+
+  render() {
+    const {top, height, contentHeight, theme} = this.props;
+    if (contentHeight <= height) {
+      return null;
+    }
+    return (
+      <div
+        style={{
+          position: 'absolute',
+          right: 0,
+          top,
+          width: SCROLLBAR_WIDTH,
+          height,
+          backgroundColor: theme.scrollbarTrack,
+          cursor: 'default',
+        }}
+        onMouseDown={this._handleTrackMouseDown}
+      >
+        <div
+          style={{
+            position: 'absolute',
+            left: 1,
+            right: 1,
+            top: this._getThumbTop(),
+            height: this._getThumbHeight(),
+            borderRadius: SCROLLBAR_WIDTH / 2,
+            backgroundColor: theme.scrollbarThumb,
+          }}
+          onMouseDown={this._handleThumbMouseDown}
+        />
+      </div>
+    );
+  }
+}
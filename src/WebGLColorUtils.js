@@ -1,19 +1,73 @@
 // @flow
 
 import type {Measure} from './renderUtils';
+import type {Colorizer, Color as RGBColor} from './colorScheme';
 import memoizeWeak from './memoizeWeak';
+import {parseColor, DIMMED_COLOR_MIX} from './theme';
+import type {ParsedColor} from './theme';
+import {getRepresentativeMeasure} from './levelOfDetail';
 
 type Color = [number, number, number, number];
 
-export function getRandomColor() {
-  return [
-    1 - Math.random() * 0.5,
-    1 - Math.random() * 0.7,
-    1 - Math.random() * 0.3,
-    1.0,
-  ];
-}
+// converted colours are cached by colour, as colorizers return the same colour
+// object for each measure (and often the same one for many measures)
+const toWebGLColor: RGBColor => Color = memoizeWeak(color => [
+  color[0] / 255,
+  color[1] / 255,
+  color[2] / 255,
+  1.0,
+]);
+
+// same as the canvas renderer's hover colour
+const toHoverWebGLColor: RGBColor => Color = memoizeWeak(color => [
+  Math.min(color[0] + 20, 255) / 255,
+  Math.min(color[1] + 20, 255) / 255,
+  Math.min(color[2] + 20, 255) / 255,
+  1.0,
+]);
 
-export const getColorForMeasure: Measure => Color = memoizeWeak(measure =>
-  getRandomColor()
+const toDimmedWebGLColor: ParsedColor => RGBColor => Color = memoizeWeak(
+  background =>
+    memoizeWeak(color => {
+      const [r, g, b] = color.map(
+        (c, i) => (c + (background[i] - c) * DIMMED_COLOR_MIX) / 255
+      );
+      return [r, g, b, 1.0];
+    })
 );
+
+export function getColorForMeasure(
+  colorizer: Colorizer,
+  measure: Measure
+): Color {
+  return toWebGLColor(colorizer.getColor(measure));
+}
+
+export function getHoverColorForMeasure(
+  colorizer: Colorizer,
+  measure: Measure
+): Color {
+  return toHoverWebGLColor(colorizer.getColor(measure));
+}
+
+export function getDimmedColorForMeasure(
+  colorizer: Colorizer,
+  measure: Measure,
+  background: string
+): Color {
+  return toDimmedWebGLColor(parseColor(background))(
+    colorizer.getColor(measure)
+  );
+}
+
+export function getRenderColorForMeasure(
+  colorizer: Colorizer,
+  measure: Measure,
+  searchMatches: ?Set<Measure>,
+  background: string
+): Color {
+  return searchMatches != null &&
+    !searchMatches.has(getRepresentativeMeasure(measure))
+    ? getDimmedColorForMeasure(colorizer, measure, background)
+    : getColorForMeasure(colorizer, measure);
+}
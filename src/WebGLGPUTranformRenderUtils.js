@@ -1,39 +1,121 @@
 // @flow
 
-import * as mat4 from 'gl-matrix/mat4';
 import type {RenderableTrace, Measure, Extents, Layout} from './renderUtils';
-import {getLayout, UtilsWithCache} from './renderUtils';
-import memoizeWeak from './memoizeWeak';
 import type {WebGLRenderState} from './WebGLRenderState';
-import {getRandomColor, getColorForMeasure} from './WebGLColorUtils';
-import {PX_PER_MS} from './constants';
-
-// this renderer builds arrays of vertices and vertex colors once and then
-// just applies a transform matrix each render
+import {getRenderColorForMeasure} from './WebGLColorUtils';
+import {renderGridLines} from './WebGLRulerRenderUtils';
+import {getWebGLColor} from './theme';
+import {
+  PX_PER_MS,
+  RULER_HEIGHT,
+  BAR_HEIGHT,
+  BAR_Y_GUTTER,
+  BAR_X_GUTTER,
+} from './constants';
+import {getLODTrace} from './levelOfDetail';
+import {getLayoutVersion, getFirstChangedIndex} from './calculateTraceLayout';
+import {getLaneTrace} from './groupLanes';
+
+// this renderer uploads one instance per measure (start and end time, stack
+// index and colour index) once, and then the vertex shader does
+// the transform from time to clip space each render, so panning and zooming
+// only change uniforms.
+//
+// times are split into a high and low part (see splitFloat), so that they are
+// as precise as the doubles which the canvas renderer uses, even when zoomed
+// right in on a long trace. the shader subtracts the high and low parts of the
+// center separately. the high parts of times near the center are close to it,
+// so their difference is exact, and the edges of bars which are in view are
+// near the center
+//
+// each group's measures are drawn with a single instanced draw call (see
+// ANGLE_instanced_arrays). where that extension is missing, the instances are
+// expanded into 6 vertices each (two triangles) and drawn with a single
+// drawArrays call instead, with the same shader
+//
+// the colours are looked up from a texture, as there are only a few distinct
+// ones, and each group's lane is positioned from a uniform, so scrolling and
+// reordering groups doesn't touch the instance data. collapsed groups are
+// drawn from their own instances (see getCollapsedTrace). when measures are
+// appended to a live trace, only those which were laid out again are uploaded
 //
-const vsSource = `
-    attribute vec4 aVertexPosition;
-    attribute vec4 aVertexColor;
 
-    uniform mat4 uModelViewMatrix;
-    uniform mat4 uProjectionMatrix;
+// width of the colour lookup texture
+const COLORS_TEXTURE_WIDTH = 256;
 
-    varying lowp vec4 vColor;
+const vsSource = `
+    // corner of the unit square (0 or 1 in each axis)
+    attribute vec2 aCorner;
+    // high and low parts of the times
+    attribute vec2 aStartTime;
+    attribute vec2 aEndTime;
+    attribute float aStackIndex;
+    attribute float aColorIndex;
+
+    uniform vec2 uCenter;
+    // px per ms
+    uniform float uScale;
+    uniform vec2 uViewportSize;
+    uniform float uRowHeight;
+    uniform float uBarHeight;
+    uniform float uXGutter;
+    uniform vec2 uColorsSize;
+    // top of the group's lane
+    uniform float uRowsTop;
+
+    varying vec2 vColorCoord;
+
+    // x of a time relative to the center, in px
+    float getX(vec2 time) {
+      return ((time.x - uCenter.x) + (time.y - uCenter.y)) * uScale;
+    }
 
     void main(void) {
-      gl_Position = uProjectionMatrix * uModelViewMatrix * aVertexPosition;
-      vColor = aVertexColor;
+      float left = getX(aStartTime);
+      float right = max(getX(aEndTime) - uXGutter, left);
+      float x = mix(left, right, aCorner.x) + uViewportSize.x / 2.0;
+      float y = uRowsTop + aStackIndex * uRowHeight + aCorner.y * uBarHeight;
+      gl_Position = vec4(
+        x / uViewportSize.x * 2.0 - 1.0,
+        1.0 - y / uViewportSize.y * 2.0,
+        0.0,
+        1.0
+      );
+
+      float column = mod(aColorIndex, uColorsSize.x);
+      float row = floor(aColorIndex / uColorsSize.x);
+      vColorCoord = (vec2(column, row) + 0.5) / uColorsSize;
     }
   `;
 
 const fsSource = `
-    varying lowp vec4 vColor;
+    precision mediump float;
+
+    uniform sampler2D uColors;
+
+    varying vec2 vColorCoord;
 
     void main(void) {
-      gl_FragColor = vColor;
+      gl_FragColor = texture2D(uColors, vColorCoord);
     }
   `;
 
+// start and end (high and low parts), stack index, colour
+const INSTANCE_FLOATS = 6;
+const SQUARE_VERTICES = 4; // triangle strip
+const SQUARE_CORNERS = [0, 0, 1, 0, 0, 1, 1, 1];
+// two triangles, for when instancing is not available
+const FALLBACK_SQUARE_VERTICES = 6;
+const FALLBACK_SQUARE_CORNERS = [0, 0, 1, 0, 0, 1, 0, 1, 1, 0, 1, 1];
+const FALLBACK_VERTEX_FLOATS = 2 + INSTANCE_FLOATS;
+
+// splits a double into the float32 nearest it, and the float32 nearest to the
+// remainder
+function splitFloat(value: number): [number, number] {
+  const high = Math.fround(value);
+  return [high, value - high];
+}
+
 //
 // Initialize a shader program, so WebGL knows how to draw our data
 //
@@ -87,188 +169,302 @@ function loadShader(gl, type, source) {
   return shader;
 }
 
-const SQUARE_VERTICES = 4; // square
-function initBuffers(gl, state, programInfo) {
-  const positions = [];
-  const colors = [];
-
-  let positionLength = 0;
+// colours as rgba bytes packed into a number, so colours which are equal but
+// not the same object (eg. from colorBy: 'duration') share a texel
+function packColor(color) {
+  return (
+    ((Math.round(color[0] * 255) << 24) |
+      (Math.round(color[1] * 255) << 16) |
+      (Math.round(color[2] * 255) << 8) |
+      Math.round(color[3] * 255)) >>>
+    0
+  );
+}
 
-  // init vertices using some zoom+center that we can use as the basis for
-  // view transforms later
-  const defaultLayoutState = {
-    center: state.defaultCenter,
-    viewportWidth: state.viewportWidth,
-    viewportHeight: state.viewportHeight,
-    zoom: state.defaultZoom,
+// the distinct colours of the measures, shared by the instance buffers
+function createPalette(gl) {
+  return {
+    // packed colours, and their indexes in the colours texture
+    colors: [],
+    indexes: new Map(),
+    maxColors: COLORS_TEXTURE_WIDTH * gl.getParameter(gl.MAX_TEXTURE_SIZE),
+    texture: gl.createTexture(),
+    width: COLORS_TEXTURE_WIDTH,
+    height: 1,
+    // colours in the texture, which is uploaded again when more are added
+    uploaded: -1,
   };
-  for (let i = 0; i < state.renderableTrace.length; i++) {
-    const measure = state.renderableTrace[i];
-    const layout = getLayout(defaultLayoutState, measure, 0 /*startY*/);
-
-    // TODO: move these transformations to screen coords to transform stage
-    const x = layout.x / state.viewportWidth * 2 - 1;
-    const y = layout.y / state.viewportHeight * 2 - 1; // flip sign
-    const width = layout.width / state.viewportWidth * 2;
-    const height = layout.height / state.viewportHeight * 2;
-    positions.push(x, y, 1);
-    positions.push(x + width, y, 1);
-    positions.push(x, y + height, 1);
-    positions.push(x + width, y + height, 1);
-    positionLength += SQUARE_VERTICES;
-
-    const color = getColorForMeasure(measure.measure);
-    for (let k = 0; k < SQUARE_VERTICES; k++) {
-      colors.push(...color);
+}
+
+function getColorIndex(palette, state, measure) {
+  const color = packColor(
+    getRenderColorForMeasure(
+      state.colorizer,
+      measure,
+      state.searchMatches,
+      state.theme.background
+    )
+  );
+  let colorIndex = palette.indexes.get(color);
+  if (colorIndex == null) {
+    if (palette.colors.length < palette.maxColors) {
+      colorIndex = palette.colors.length;
+      palette.colors.push(color);
+      palette.indexes.set(color, colorIndex);
+    } else {
+      // the texture can't be any taller, so reuse the last colour
+      colorIndex = palette.colors.length - 1;
     }
   }
-  // vertices that will be reused each render
-  const positionBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
-
-  // vertex colors that will be reused each render
-  const colorBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, colorBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(colors), gl.STATIC_DRAW);
-
-  const buffers = {
-    position: positionBuffer,
-    positionLength,
-    color: colorBuffer,
+  return colorIndex;
+}
+
+function uploadPalette(gl, palette) {
+  const {colors, width} = palette;
+  if (palette.uploaded === colors.length) {
+    return;
+  }
+  const height = Math.max(Math.ceil(colors.length / width), 1);
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < colors.length; i++) {
+    for (let c = 0; c < 4; c++) {
+      pixels[i * 4 + c] = (colors[i] >>> ((3 - c) * 8)) & 0xff;
+    }
+  }
+  gl.bindTexture(gl.TEXTURE_2D, palette.texture);
+  gl.texImage2D(
+    gl.TEXTURE_2D,
+    0,
+    gl.RGBA,
+    width,
+    height,
+    0,
+    gl.RGBA,
+    gl.UNSIGNED_BYTE,
+    pixels
+  );
+  // exact texels only
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  palette.height = height;
+  palette.uploaded = colors.length;
+}
+
+// the instance data of the measures of a renderable trace from `start` on.
+// without instancing, each instance's attributes are repeated for each of its
+// vertices
+function getInstanceData(renderableTrace, start, palette, state, instanced) {
+  const vertices = instanced ? 1 : FALLBACK_SQUARE_VERTICES;
+  const data = new Float32Array(
+    (renderableTrace.length - start) *
+      (instanced ? INSTANCE_FLOATS : vertices * FALLBACK_VERTEX_FLOATS)
+  );
+  let offset = 0;
+  for (let i = start; i < renderableTrace.length; i++) {
+    const {measure, stackIndex} = renderableTrace[i];
+    const [startHigh, startLow] = splitFloat(measure.startTime);
+    const [endHigh, endLow] = splitFloat(measure.startTime + measure.duration);
+    const colorIndex = getColorIndex(palette, state, measure);
+    for (let v = 0; v < vertices; v++) {
+      if (!instanced) {
+        data[offset++] = FALLBACK_SQUARE_CORNERS[v * 2];
+        data[offset++] = FALLBACK_SQUARE_CORNERS[v * 2 + 1];
+      }
+      data[offset++] = startHigh;
+      data[offset++] = startLow;
+      data[offset++] = endHigh;
+      data[offset++] = endLow;
+      data[offset++] = stackIndex;
+      data[offset++] = colorIndex;
+    }
+  }
+  return data;
+}
+
+// uploads the instances of a group's renderable trace, at some level of
+// detail. when the group's trace is laid out again in place (eg. as measures
+// are appended to a live trace, see IncrementalTraceLayout), only the
+// measures from the first one which changed are uploaded again, into a buffer
+// with room to grow
+function updateInstanceBuffer(
+  gl,
+  instanceBuffer,
+  renderableTrace,
+  groupTrace,
+  palette,
+  state,
+  instanced
+) {
+  const version = getLayoutVersion(renderableTrace);
+  if (instanceBuffer != null && instanceBuffer.version === version) {
+    return instanceBuffer;
+  }
+  const bytesPerInstance =
+    4 *
+    (instanced
+      ? INSTANCE_FLOATS
+      : FALLBACK_SQUARE_VERTICES * FALLBACK_VERTEX_FLOATS);
+  const count = renderableTrace.length;
+  if (instanceBuffer != null && count <= instanceBuffer.capacity) {
+    const start = getFirstChangedIndex(renderableTrace, instanceBuffer.version);
+    gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer.buffer);
+    gl.bufferSubData(
+      gl.ARRAY_BUFFER,
+      start * bytesPerInstance,
+      getInstanceData(renderableTrace, start, palette, state, instanced)
+    );
+  } else {
+    const grown = instanceBuffer != null;
+    const capacity = grown
+      ? Math.max(count, instanceBuffer.capacity * 2)
+      : count;
+    const buffer = grown ? instanceBuffer.buffer : gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      capacity * bytesPerInstance,
+      grown ? gl.DYNAMIC_DRAW : gl.STATIC_DRAW
+    );
+    gl.bufferSubData(
+      gl.ARRAY_BUFFER,
+      0,
+      getInstanceData(renderableTrace, 0, palette, state, instanced)
+    );
+    instanceBuffer = {buffer, capacity, count: 0, version: 0};
+  }
+  return {
+    ...instanceBuffer,
+    count,
+    version,
+    groupTrace,
+    groupVersion: getLayoutVersion(groupTrace),
   };
+}
 
-  return buffers;
+function bindInstanceAttribs(gl, programInfo, buffer, instancing) {
+  const {attribLocations} = programInfo;
+  // locations and sizes, in the order of the instance data
+  const instanceAttribs = [
+    [attribLocations.startTime, 2],
+    [attribLocations.endTime, 2],
+    [attribLocations.stackIndex, 1],
+    [attribLocations.colorIndex, 1],
+  ];
+  if (instancing != null) {
+    // the corners are shared by every instance
+    gl.bindBuffer(gl.ARRAY_BUFFER, programInfo.cornerBuffer);
+    gl.vertexAttribPointer(attribLocations.corner, 2, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(attribLocations.corner);
+    instancing.vertexAttribDivisorANGLE(attribLocations.corner, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    const stride = INSTANCE_FLOATS * 4;
+    let offset = 0;
+    for (const [location, size] of instanceAttribs) {
+      gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+      gl.enableVertexAttribArray(location);
+      instancing.vertexAttribDivisorANGLE(location, 1);
+      offset += size * 4;
+    }
+  } else {
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    const stride = FALLBACK_VERTEX_FLOATS * 4;
+    gl.vertexAttribPointer(
+      attribLocations.corner,
+      2,
+      gl.FLOAT,
+      false,
+      stride,
+      0
+    );
+    gl.enableVertexAttribArray(attribLocations.corner);
+    let offset = 2 * 4;
+    for (const [location, size] of instanceAttribs) {
+      gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+      gl.enableVertexAttribArray(location);
+      offset += size * 4;
+    }
+  }
+  return [
+    attribLocations.corner,
+    ...instanceAttribs.map(([location]) => location),
+  ];
 }
 
-function drawScene(gl, programInfo, buffers, state) {
-  let drawCalls = 0;
-  gl.clearColor(1, 1, 1, 1.0); // white, fully opaque
+// groups are drawn with their instance buffers and lanes
+function drawScene(gl, programInfo, palette, groups, state) {
+  gl.clearColor(...getWebGLColor(state.theme.background));
   gl.clearDepth(1.0); // Clear everything
   gl.enable(gl.DEPTH_TEST); // Enable depth testing
   gl.depthFunc(gl.LEQUAL); // Near things obscure far things
   gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT); // execute clear canvas
-
-  // Orthographic projection with a width/height
-  // ratio that matches the display size of the canvas
-  // and we only want to see objects between 0.1 units
-  // and 100 units away from the camera.
-
-  const zNear = 0.1;
-  const zFar = 100.0;
-  const projectionMatrix = mat4.create();
-
-  // orthographic projection. flip y axis
-  mat4.ortho(projectionMatrix, -1, 1, 1, -1, zNear, zFar);
-
-  // drawing position starts as the identity point, which is the center of the
-  // scene
-  const modelViewMatrix = mat4.create();
-
-  // offset to top left
-  mat4.translate(
-    modelViewMatrix, // destination matrix
-    modelViewMatrix, // matrix to translate
-    [
-      0.0,
-      0.0,
-      -6.0, // ??? don't get clipped ??? needs to be < -1.0
-    ]
-  ); // amount to translate
-
-  // TODO: extract transformation logic to render utils
-  const offsetX = (state.defaultCenter - state.center) * PX_PER_MS;
-  if (state.defaultZoom == 0) {
-    throw new Error('will divide by state.defaultZoom of zero');
-  }
-  const scale = state.zoom / state.defaultZoom;
-  mat4.translate(
-    modelViewMatrix, // destination matrix
-    modelViewMatrix, // matrix to translate
-    [
-      // TODO: extract transformation logic to render utils
-      scale * offsetX / state.viewportWidth * 2, // transform to clip space coords
-      0.0,
-      0.0,
-    ]
-  );
-  mat4.scale(
-    modelViewMatrix, // destination matrix
-    modelViewMatrix, // matrix to translate
-    [scale, 1.0, 1.0]
+  renderGridLines(
+    gl,
+    state.viewportWidth,
+    state.gridLines,
+    RULER_HEIGHT,
+    state.viewportHeight,
+    state.theme
   );
 
+  const {uniformLocations, instancing} = programInfo;
+
   // Tell WebGL to use our program when drawing
   gl.useProgram(programInfo.program);
 
   // Set the shader uniforms
-
-  gl.uniformMatrix4fv(
-    programInfo.uniformLocations.projectionMatrix,
-    false,
-    projectionMatrix
-  );
-  gl.uniformMatrix4fv(
-    programInfo.uniformLocations.modelViewMatrix,
-    false,
-    modelViewMatrix
+  gl.uniform2f(uniformLocations.center, ...splitFloat(state.center));
+  gl.uniform1f(uniformLocations.scale, PX_PER_MS * state.zoom);
+  gl.uniform2f(
+    uniformLocations.viewportSize,
+    state.viewportWidth,
+    state.viewportHeight
   );
-
-  // Tell WebGL how to pull out the positions from the position
-  // buffer into the vertexPosition attribute
-  {
-    const numComponents = 3;
-    const type = gl.FLOAT;
-    const normalize = false;
-    const stride = 0;
-    const offset = numComponents * SQUARE_VERTICES;
-    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.position);
-    gl.vertexAttribPointer(
-      programInfo.attribLocations.vertexPosition,
-      numComponents,
-      type,
-      normalize,
-      stride,
-      0 //offset
+  gl.uniform1f(uniformLocations.rowHeight, BAR_HEIGHT + BAR_Y_GUTTER);
+  gl.uniform1f(uniformLocations.barHeight, BAR_HEIGHT);
+  gl.uniform1f(uniformLocations.xGutter, BAR_X_GUTTER);
+
+  gl.activeTexture(gl.TEXTURE0);
+  gl.bindTexture(gl.TEXTURE_2D, palette.texture);
+  gl.uniform1i(uniformLocations.colors, 0);
+  gl.uniform2f(uniformLocations.colorsSize, palette.width, palette.height);
+
+  for (const {instanceBuffer, lane} of groups) {
+    if (instanceBuffer.count === 0) continue;
+    gl.uniform1f(uniformLocations.rowsTop, lane.rowsTop);
+
+    const attribs = bindInstanceAttribs(
+      gl,
+      programInfo,
+      instanceBuffer.buffer,
+      instancing
     );
-    gl.enableVertexAttribArray(programInfo.attribLocations.vertexPosition);
-  }
-
-  // Tell WebGL how to pull out the colors from the color buffer
-  // into the vertexColor attribute.
-  {
-    const numComponents = 4;
-    const type = gl.FLOAT;
-    const normalize = false;
-    const stride = 0;
-    const offset = numComponents * SQUARE_VERTICES;
-    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.color);
-    gl.vertexAttribPointer(
-      programInfo.attribLocations.vertexColor,
-      numComponents,
-      type,
-      normalize,
-      stride,
-      0 //offset
-    );
-    gl.enableVertexAttribArray(programInfo.attribLocations.vertexColor);
-  }
-
-  for (
-    let primitiveIdx = 0;
-    primitiveIdx < buffers.positionLength / 4;
-    primitiveIdx++
-  ) {
-    {
-      const offset = SQUARE_VERTICES * primitiveIdx;
-      const count = SQUARE_VERTICES;
-      gl.drawArrays(gl.TRIANGLE_STRIP, offset, count);
-      drawCalls++;
+    if (instancing != null) {
+      instancing.drawArraysInstancedANGLE(
+        gl.TRIANGLE_STRIP,
+        0,
+        SQUARE_VERTICES,
+        instanceBuffer.count
+      );
+      // leave the attributes as other renderers expect them
+      for (const location of attribs) {
+        instancing.vertexAttribDivisorANGLE(location, 0);
+      }
+    } else {
+      gl.drawArrays(
+        gl.TRIANGLES,
+        0,
+        instanceBuffer.count * FALLBACK_SQUARE_VERTICES
+      );
+    }
+    for (const location of attribs) {
+      gl.disableVertexAttribArray(location);
     }
   }
-
-  // console.log('drawCalls', drawCalls);
 }
+
 export function initWebGLRenderer(
   gl: WebGLRenderingContext,
   initState: WebGLRenderState
@@ -279,28 +475,125 @@ export function initWebGLRenderer(
   // for the vertices and so forth is established.
   const shaderProgram = initShaderProgram(gl, vsSource, fsSource);
 
+  // null if not supported, in which case instances are expanded to vertices
+  const instancing = gl.getExtension('ANGLE_instanced_arrays');
+
+  // the unit square which each instance is drawn as
+  let cornerBuffer = null;
+  if (instancing != null) {
+    cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      new Float32Array(SQUARE_CORNERS),
+      gl.STATIC_DRAW
+    );
+  }
+
   // Collect all the info needed to use the shader program.
-  // Look up which attribute our shader program is using
-  // for aVertexPosition and look up uniform locations.
+  // Look up which attributes our shader program is using
+  // and look up uniform locations.
   const programInfo = {
     program: shaderProgram,
+    instancing,
+    cornerBuffer,
     attribLocations: {
-      vertexPosition: gl.getAttribLocation(shaderProgram, 'aVertexPosition'),
-      vertexColor: gl.getAttribLocation(shaderProgram, 'aVertexColor'),
+      corner: gl.getAttribLocation(shaderProgram, 'aCorner'),
+      startTime: gl.getAttribLocation(shaderProgram, 'aStartTime'),
+      endTime: gl.getAttribLocation(shaderProgram, 'aEndTime'),
+      stackIndex: gl.getAttribLocation(shaderProgram, 'aStackIndex'),
+      colorIndex: gl.getAttribLocation(shaderProgram, 'aColorIndex'),
     },
     uniformLocations: {
-      projectionMatrix: gl.getUniformLocation(
-        shaderProgram,
-        'uProjectionMatrix'
-      ),
-      modelViewMatrix: gl.getUniformLocation(shaderProgram, 'uModelViewMatrix'),
+      center: gl.getUniformLocation(shaderProgram, 'uCenter'),
+      scale: gl.getUniformLocation(shaderProgram, 'uScale'),
+      viewportSize: gl.getUniformLocation(shaderProgram, 'uViewportSize'),
+      rowHeight: gl.getUniformLocation(shaderProgram, 'uRowHeight'),
+      barHeight: gl.getUniformLocation(shaderProgram, 'uBarHeight'),
+      xGutter: gl.getUniformLocation(shaderProgram, 'uXGutter'),
+      colors: gl.getUniformLocation(shaderProgram, 'uColors'),
+      colorsSize: gl.getUniformLocation(shaderProgram, 'uColorsSize'),
+      rowsTop: gl.getUniformLocation(shaderProgram, 'uRowsTop'),
     },
   };
   console.log({programInfo});
 
-  const buffers = initBuffers(gl, initState, programInfo);
+  // instance buffers of each group's renderable trace at each level of detail
+  // used so far, keyed by the renderable trace. levels where nothing is merged
+  // are the group's trace itself, so they share a buffer (see levelOfDetail)
+  let instanceBuffers = new Map();
+  let palette = createPalette(gl);
+  let buffersTrace = initState.renderableTrace;
+  let buffersTraceGroups = initState.renderableTraceGroups;
+  let buffersSearchMatches = initState.searchMatches;
+  let buffersColorizer = initState.colorizer;
+  let buffersBackground = initState.theme.background;
+
+  function deleteInstanceBuffer(renderableTrace, instanceBuffer) {
+    gl.deleteBuffer(instanceBuffer.buffer);
+    instanceBuffers.delete(renderableTrace);
+  }
 
   return function rerender(state: WebGLRenderState) {
-    drawScene(gl, programInfo, buffers, state);
+    // instances only need to be rebuilt when the trace itself changes.
+    // colours change when searching (dimmed measures fade into the theme
+    // background), or when the colour scheme changes. traces which are laid
+    // out again in place are updated by updateInstanceBuffer
+    if (
+      state.renderableTrace !== buffersTrace ||
+      state.renderableTraceGroups !== buffersTraceGroups ||
+      state.searchMatches !== buffersSearchMatches ||
+      state.colorizer !== buffersColorizer ||
+      state.theme.background !== buffersBackground
+    ) {
+      for (const [renderableTrace, instanceBuffer] of instanceBuffers) {
+        deleteInstanceBuffer(renderableTrace, instanceBuffer);
+      }
+      gl.deleteTexture(palette.texture);
+      palette = createPalette(gl);
+      buffersTrace = state.renderableTrace;
+      buffersTraceGroups = state.renderableTraceGroups;
+      buffersSearchMatches = state.searchMatches;
+      buffersColorizer = state.colorizer;
+      buffersBackground = state.theme.background;
+    }
+    const msPerPx = 1 / PX_PER_MS / state.zoom;
+    const lanesByGroup = new Map();
+    for (const lane of state.lanes) {
+      lanesByGroup.set(lane.group, lane);
+    }
+    const groups = [];
+    for (const [group, groupTrace] of state.renderableTraceGroups) {
+      const lane = lanesByGroup.get(group);
+      // groups without a lane have no rows to draw
+      if (lane == null) continue;
+      // with tiny measures merged, and collapsed groups drawn as a single row
+      const lodTrace = getLODTrace(getLaneTrace(groupTrace, lane), msPerPx);
+      const instanceBuffer = updateInstanceBuffer(
+        gl,
+        instanceBuffers.get(lodTrace),
+        lodTrace,
+        groupTrace,
+        palette,
+        state,
+        instancing != null
+      );
+      instanceBuffers.set(lodTrace, instanceBuffer);
+      groups.push({instanceBuffer, lane});
+    }
+    // merged levels (and collapsed rows) of a trace which has since been laid
+    // out again are merged again into new renderable traces, so their buffers
+    // are stale
+    for (const [renderableTrace, instanceBuffer] of instanceBuffers) {
+      const {groupTrace, groupVersion} = instanceBuffer;
+      if (
+        renderableTrace !== groupTrace &&
+        getLayoutVersion(groupTrace) !== groupVersion
+      ) {
+        deleteInstanceBuffer(renderableTrace, instanceBuffer);
+      }
+    }
+    uploadPalette(gl, palette);
+    drawScene(gl, programInfo, palette, groups, state);
   };
 }
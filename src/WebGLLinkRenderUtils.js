@@ -0,0 +1,147 @@
+// @flow
+import type {FlowArrow} from './flowLinks';
+import {getArrowHeadPoints, getBezierPoints} from './flowLinks';
+import type {Theme} from './theme';
+import {getWebGLColor} from './theme';
+
+// draws flow arrows as triangles: each curve is split into straight segments,
+// which are drawn as thin quads
+
+const CURVE_SEGMENTS = 16;
+
+const vsSource = `
+  attribute vec2 a_pos;
+  uniform vec2 u_viewport;
+
+  void main() {
+    // css px from the top left to clip space
+    gl_Position = vec4(
+      a_pos.x / u_viewport.x * 2.0 - 1.0,
+      1.0 - a_pos.y / u_viewport.y * 2.0,
+      0,
+      1
+    );
+  }
+`;
+
+const fsSource = `
+  precision mediump float;
+  uniform vec4 u_color;
+
+  void main() {
+    gl_FragColor = u_color;
+  }
+`;
+
+function loadShader(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(
+      'An error occurred compiling the shaders: ' +
+        (gl.getShaderInfoLog(shader) || '')
+    );
+  }
+  return shader;
+}
+
+function initShaderProgram(gl, vsSource, fsSource) {
+  const shaderProgram = gl.createProgram();
+  gl.attachShader(shaderProgram, loadShader(gl, gl.VERTEX_SHADER, vsSource));
+  gl.attachShader(shaderProgram, loadShader(gl, gl.FRAGMENT_SHADER, fsSource));
+  gl.linkProgram(shaderProgram);
+  if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
+    throw new Error(
+      'Unable to initialize the shader program: ' +
+        (gl.getProgramInfoLog(shaderProgram) || '')
+    );
+  }
+  return shaderProgram;
+}
+
+function pushLineTriangles(
+  vertices: Array<number>,
+  points: Array<number>,
+  lineWidth: number
+) {
+  for (let i = 0; i + 3 < points.length; i += 2) {
+    const x1 = points[i];
+    const y1 = points[i + 1];
+    const x2 = points[i + 2];
+    const y2 = points[i + 3];
+    const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+    // offset perpendicular to the segment
+    const nx = (-(y2 - y1) / length) * (lineWidth / 2);
+    const ny = ((x2 - x1) / length) * (lineWidth / 2);
+    vertices.push(
+      x1 + nx,
+      y1 + ny,
+      x2 + nx,
+      y2 + ny,
+      x1 - nx,
+      y1 - ny,
+      x2 + nx,
+      y2 + ny,
+      x2 - nx,
+      y2 - ny,
+      x1 - nx,
+      y1 - ny
+    );
+  }
+}
+
+export function initWebGLLinkRenderer(gl: WebGLRenderingContext) {
+  const program = initShaderProgram(gl, vsSource, fsSource);
+  const aPos = gl.getAttribLocation(program, 'a_pos');
+  const uViewport = gl.getUniformLocation(program, 'u_viewport');
+  const uColor = gl.getUniformLocation(program, 'u_color');
+  const vertexBuffer = gl.createBuffer();
+
+  return function render(
+    arrows: Array<FlowArrow>,
+    viewportWidth: number,
+    viewportHeight: number,
+    theme: Theme
+  ) {
+    if (arrows.length === 0) {
+      return;
+    }
+    gl.useProgram(program);
+    gl.disable(gl.DEPTH_TEST);
+    // link colours can be translucent. same blending as the text renderer
+    gl.enable(gl.BLEND);
+    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE);
+    gl.uniform2f(uViewport, viewportWidth, viewportHeight);
+
+    // highlighted arrows are drawn last, on top
+    for (const highlighted of [false, true]) {
+      const vertices = [];
+      for (const arrow of arrows) {
+        if (arrow.highlighted !== highlighted) continue;
+        pushLineTriangles(
+          vertices,
+          getBezierPoints(arrow, CURVE_SEGMENTS),
+          highlighted ? 2 : 1
+        );
+        vertices.push(...getArrowHeadPoints(arrow));
+      }
+      if (vertices.length === 0) continue;
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+      gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array(vertices),
+        gl.DYNAMIC_DRAW
+      );
+      gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 0, 0);
+      gl.enableVertexAttribArray(aPos);
+      gl.uniform4fv(
+        uColor,
+        getWebGLColor(highlighted ? theme.highlightedLink : theme.link)
+      );
+      gl.drawArrays(gl.TRIANGLES, 0, vertices.length / 2);
+    }
+    gl.disableVertexAttribArray(aPos);
+  };
+}
@@ -5,5 +5,14 @@ export type WebGLRenderState = {
   viewportHeight: number,
   zoom: number,
   defaultZoom: number,
+  verticalOffset: number,
   renderableTrace: RenderableTrace,
+  renderableTraceGroups: Map<string, RenderableTrace>,
+  // where each group's measures are drawn
+  lanes: Array<GroupLane>,
+  searchMatches: ?Set<Measure>,
+  colorizer: Colorizer,
+  theme: Theme,
+  // ruler ticks to draw grid lines at, if enabled
+  gridLines: Array<RulerTick>,
 };
@@ -2,10 +2,20 @@
 
 import * as mat4 from 'gl-matrix/mat4';
 import type {RenderableTrace, Measure, Extents, Layout} from './renderUtils';
-import {getLayout, UtilsWithCache} from './renderUtils';
+import {
+  getLayout,
+  getTimeAtX,
+  getVisibleRows,
+  UtilsWithCache,
+} from './renderUtils';
 import memoizeWeak from './memoizeWeak';
 import type {WebGLRenderState} from './WebGLRenderState';
-import {getRandomColor, getColorForMeasure} from './WebGLColorUtils';
+import {getRenderColorForMeasure} from './WebGLColorUtils';
+import {renderGridLines} from './WebGLRulerRenderUtils';
+import {getWebGLColor} from './theme';
+import {RULER_HEIGHT} from './constants';
+import getLODIndex from './levelOfDetail';
+import {getLaneTrace} from './groupLanes';
 
 // this renderer builds arrays of vertices and vertex colors each render
 
@@ -91,26 +101,48 @@ function initBuffers(gl, state) {
   const colors = [];
 
   let positionLength = 0;
-  for (let i = 0; i < state.renderableTrace.length; i++) {
-    const measure = state.renderableTrace[i];
-    const layout = getLayout(state, measure, 0 /*startY*/);
-    if (!layout.inView) {
-      continue;
-    }
-
-    const x = layout.x / state.viewportWidth * 2 - 1;
-    const y = layout.y / state.viewportHeight * 2 - 1; // flip sign
-    const width = layout.width / state.viewportWidth * 2;
-    const height = layout.height / state.viewportHeight * 2;
-    positions.push(x, y, 1);
-    positions.push(x + width, y, 1);
-    positions.push(x, y + height, 1);
-    positions.push(x + width, y + height, 1);
-    positionLength += SQUARE_VERTICES;
-
-    const color = getColorForMeasure(measure.measure);
-    for (let k = 0; k < SQUARE_VERTICES; k++) {
-      colors.push(...color);
+  // only the measures which are in view are drawn
+  const start = getTimeAtX(state, 0);
+  const end = getTimeAtX(state, state.viewportWidth);
+  for (const lane of state.lanes) {
+    const groupTrace = state.renderableTraceGroups.get(lane.group);
+    if (groupTrace == null) continue;
+    const startY = lane.rowsTop;
+    // with tiny measures merged
+    const index = getLODIndex(
+      getLaneTrace(groupTrace, lane),
+      getTimeAtX(state, 1) - start
+    );
+    const visibleRows = getVisibleRows(
+      startY,
+      RULER_HEIGHT,
+      state.viewportHeight,
+      index.getRowCount()
+    );
+    for (let row = visibleRows.start; row < visibleRows.end; row++) {
+      index.forEachInRange(row, start, end, measure => {
+        const layout = getLayout(state, measure, startY);
+
+        const x = layout.x / state.viewportWidth * 2 - 1;
+        const y = layout.y / state.viewportHeight * 2 - 1; // flip sign
+        const width = layout.width / state.viewportWidth * 2;
+        const height = layout.height / state.viewportHeight * 2;
+        positions.push(x, y, 1);
+        positions.push(x + width, y, 1);
+        positions.push(x, y + height, 1);
+        positions.push(x + width, y + height, 1);
+        positionLength += SQUARE_VERTICES;
+
+        const color = getRenderColorForMeasure(
+          state.colorizer,
+          measure.measure,
+          state.searchMatches,
+          state.theme.background
+        );
+        for (let k = 0; k < SQUARE_VERTICES; k++) {
+          colors.push(...color);
+        }
+      });
     }
   }
 
@@ -133,11 +165,19 @@ function initBuffers(gl, state) {
 
 function drawScene(gl, programInfo, buffers, state) {
   let drawCalls = 0;
-  gl.clearColor(1, 1, 1, 1.0); // white, fully opaque
+  gl.clearColor(...getWebGLColor(state.theme.background));
   gl.clearDepth(1.0); // Clear everything
   gl.enable(gl.DEPTH_TEST); // Enable depth testing
   gl.depthFunc(gl.LEQUAL); // Near things obscure far things
   gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT); // execute clear canvas
+  renderGridLines(
+    gl,
+    state.viewportWidth,
+    state.gridLines,
+    RULER_HEIGHT,
+    state.viewportHeight,
+    state.theme
+  );
 
   // Orthographic projection with a width/height
   // ratio that matches the display size of the canvas
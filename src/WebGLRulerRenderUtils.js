@@ -0,0 +1,101 @@
+// @flow
+import type {RulerTick} from './timeRuler';
+import type {Theme} from './theme';
+import {getWebGLColor} from './theme';
+
+type Color = [number, number, number, number];
+
+// the ruler and grid lines are just axis aligned rectangles of solid colour,
+// so rather than building vertex buffers for them they are drawn by clearing
+// small scissor rectangles of the canvas. the same goes for group headers and
+// highlighted measures
+
+export type Rect = {x: number, y: number, width: number, height: number};
+
+// fills a rect given in css px from the top left of the canvas
+function fillRect(
+  gl: WebGLRenderingContext,
+  pixelRatio: number,
+  x: number,
+  y: number,
+  width: number,
+  height: number
+) {
+  gl.scissor(
+    Math.floor(x * pixelRatio),
+    Math.floor(gl.drawingBufferHeight - (y + height) * pixelRatio),
+    Math.max(Math.floor(width * pixelRatio), 1),
+    Math.max(Math.floor(height * pixelRatio), 1)
+  );
+  gl.clear(gl.COLOR_BUFFER_BIT);
+}
+
+function withScissor(
+  gl: WebGLRenderingContext,
+  color: Color,
+  draw: () => void
+) {
+  gl.enable(gl.SCISSOR_TEST);
+  gl.clearColor(...color);
+  draw();
+  gl.disable(gl.SCISSOR_TEST);
+}
+
+// fills rects given in css px from the top left of the canvas, clipped to it
+export function fillRects(
+  gl: WebGLRenderingContext,
+  viewportWidth: number,
+  color: Color,
+  rects: Array<Rect>
+) {
+  const pixelRatio = gl.drawingBufferWidth / viewportWidth;
+  const viewportHeight = gl.drawingBufferHeight / pixelRatio;
+  withScissor(gl, color, () => {
+    for (const {x, y, width, height} of rects) {
+      const left = Math.max(x, 0);
+      const top = Math.max(y, 0);
+      const right = Math.min(x + width, viewportWidth);
+      const bottom = Math.min(y + height, viewportHeight);
+      if (right > left && bottom > top) {
+        fillRect(gl, pixelRatio, left, top, right - left, bottom - top);
+      }
+    }
+  });
+}
+
+// should be drawn before the measures, so they are drawn over the grid lines
+export function renderGridLines(
+  gl: WebGLRenderingContext,
+  viewportWidth: number,
+  ticks: Array<RulerTick>,
+  top: number,
+  bottom: number,
+  theme: Theme
+) {
+  const pixelRatio = gl.drawingBufferWidth / viewportWidth;
+  withScissor(gl, getWebGLColor(theme.gridLine), () => {
+    for (const tick of ticks) {
+      fillRect(gl, pixelRatio, Math.floor(tick.x), top, 1, bottom - top);
+    }
+  });
+}
+
+// tick labels are drawn separately by the text renderer
+export function renderRuler(
+  gl: WebGLRenderingContext,
+  viewportWidth: number,
+  ticks: Array<RulerTick>,
+  height: number,
+  theme: Theme
+) {
+  const pixelRatio = gl.drawingBufferWidth / viewportWidth;
+  withScissor(gl, getWebGLColor(theme.rulerBackground), () => {
+    fillRect(gl, pixelRatio, 0, 0, viewportWidth, height);
+  });
+  withScissor(gl, getWebGLColor(theme.rulerTick), () => {
+    fillRect(gl, pixelRatio, 0, height - 1, viewportWidth, 1);
+    for (const tick of ticks) {
+      fillRect(gl, pixelRatio, Math.floor(tick.x), 0, 1, height);
+    }
+  });
+}
@@ -1,60 +1,99 @@
 // @flow
 import * as OpenSans from './OpenSans';
 import * as mat4 from 'gl-matrix/mat4';
+import GlyphAtlas, {
+  GLYPH_ATLAS_PAGE_SIZE,
+  GLYPH_ATLAS_FONT_SIZE,
+  GLYPH_ATLAS_BUFFER,
+} from './glyphAtlas';
+import type {Glyph} from './glyphAtlas';
 
 export type RenderableText = {label: string, x: number, y: number};
 
+// by default, glyphs come from the pre-baked OpenSans atlas, and any it doesn't
+// have (eg. symbols, CJK or emoji) are rasterised at runtime. with a family
+// set, all glyphs are rasterised at runtime from it
+export type WebGLFont = {family?: string, size?: number};
+
 const RENDER_TEXT_GLOW = false;
 
-const scale = 11;
+const DEFAULT_FONT_SIZE = 11;
+// for glyphs missing from the pre-baked atlas
+const FALLBACK_FONT_FAMILY = '"Open Sans", sans-serif';
 const buffer = 0.3;
 const angle = 0;
 const gamma = 1;
 const debug = false;
 const {metrics, getAtlas} = OpenSans;
 
-// TODO: fix memory leack
-const sanitizeTextCache = new Map();
-const sanitizeText = input => {
-  if (!sanitizeTextCache.has(input)) {
-    sanitizeTextCache.set(input, input.replace(/\W/, ' '));
-  }
-  return sanitizeTextCache.get(input) || 'sanitizeText_ERR';
-};
+// the page of glyphs from the pre-baked atlas
+const BAKED_PAGE = -1;
+
+export function getFontKey(font: ?WebGLFont): string {
+  return font ? `${font.size || DEFAULT_FONT_SIZE}px ${font.family || ''}` : '';
+}
 
-function drawGlyph(chr, pen, size, vertexElements, textureElements) {
+// the pre-baked atlas has metrics for some glyphs which it doesn't contain
+function getBakedGlyph(chr: string): ?Glyph {
   const metric = metrics.chars[chr];
-  if (!metric) return;
+  if (!metric) return null;
+  const [width, height, bearingX, bearingY, advance, x, y] = metric;
+  if (width > 0 && height > 0 && (x == null || y == null)) return null;
+  return {
+    width,
+    height,
+    bearingX,
+    bearingY,
+    advance,
+    page: BAKED_PAGE,
+    x: x || 0,
+    y: y || 0,
+  };
+}
+
+// the glyphs of each page are drawn together, with that page's texture
+type GlyphQuads = {
+  vertexElements: Array<number>,
+  textureElements: Array<number>,
+};
 
-  const scale = size / metrics.size;
+function drawGlyph(glyph: Glyph, pen, size, quadsByPage) {
+  const scale = size / GLYPH_ATLAS_FONT_SIZE;
 
   const factor = 1;
 
-  let width = metric[0];
-  let height = metric[1];
-  const horiBearingX = metric[2];
-  const horiBearingY = metric[3];
-  const horiAdvance = metric[4];
-  const posX = metric[5];
-  const posY = metric[6];
+  let width = glyph.width;
+  let height = glyph.height;
+  const horiBearingX = glyph.bearingX;
+  const horiBearingY = glyph.bearingY;
+  const horiAdvance = glyph.advance;
+  const posX = glyph.x;
+  const posY = glyph.y;
 
   if (width > 0 && height > 0) {
-    width += metrics.buffer * 2;
-    height += metrics.buffer * 2;
+    width += GLYPH_ATLAS_BUFFER * 2;
+    height += GLYPH_ATLAS_BUFFER * 2;
+
+    let quads = quadsByPage.get(glyph.page);
+    if (quads == null) {
+      quads = {vertexElements: [], textureElements: []};
+      quadsByPage.set(glyph.page, quads);
+    }
+    const {vertexElements, textureElements} = quads;
 
     // Add a quad (= two triangles) per glyph.
     vertexElements.push(
-      factor * (pen.x + (horiBearingX - metrics.buffer) * scale),
+      factor * (pen.x + (horiBearingX - GLYPH_ATLAS_BUFFER) * scale),
       factor * (pen.y - horiBearingY * scale),
-      factor * (pen.x + (horiBearingX - metrics.buffer + width) * scale),
+      factor * (pen.x + (horiBearingX - GLYPH_ATLAS_BUFFER + width) * scale),
       factor * (pen.y - horiBearingY * scale),
-      factor * (pen.x + (horiBearingX - metrics.buffer) * scale),
+      factor * (pen.x + (horiBearingX - GLYPH_ATLAS_BUFFER) * scale),
       factor * (pen.y + (height - horiBearingY) * scale),
-      factor * (pen.x + (horiBearingX - metrics.buffer + width) * scale),
+      factor * (pen.x + (horiBearingX - GLYPH_ATLAS_BUFFER + width) * scale),
       factor * (pen.y - horiBearingY * scale),
-      factor * (pen.x + (horiBearingX - metrics.buffer) * scale),
+      factor * (pen.x + (horiBearingX - GLYPH_ATLAS_BUFFER) * scale),
       factor * (pen.y + (height - horiBearingY) * scale),
-      factor * (pen.x + (horiBearingX - metrics.buffer + width) * scale),
+      factor * (pen.x + (horiBearingX - GLYPH_ATLAS_BUFFER + width) * scale),
       factor * (pen.y + (height - horiBearingY) * scale)
     );
 
@@ -79,15 +118,15 @@ function drawGlyph(chr, pen, size, vertexElements, textureElements) {
   pen.x = pen.x + horiAdvance * scale;
 }
 
-function measureText(text: string, size) {
+function measureText(text: string, size, getGlyph) {
   const dimensions = {
     advance: 0,
   };
 
-  const scale = size / metrics.size;
-  for (let i = 0; i < text.length; i++) {
-    const horiAdvance = metrics.chars[text[i]][4];
-    dimensions.advance += horiAdvance * scale;
+  const scale = size / GLYPH_ATLAS_FONT_SIZE;
+  // by code point, so surrogate pairs (eg. emoji) are one glyph
+  for (const chr of text) {
+    dimensions.advance += getGlyph(chr).advance * scale;
   }
 
   return dimensions;
@@ -177,14 +216,23 @@ void main() {
 export function init(
   gl: WebGLRenderingContext,
   onReady: (fns: {
-    render: (Array<RenderableText>) => void,
+    render: (
+      Array<RenderableText>,
+      color?: [number, number, number, number]
+    ) => void,
     measureText: (text: string) => number,
+    // frees the textures, buffers and shaders
+    dispose: () => void,
   }) => void,
-  pixelRatio: number
+  pixelRatio: number,
+  font?: ?WebGLFont
 ) {
   const canvas = gl.canvas;
   gl.getExtension('OES_standard_derivatives');
 
+  const size = (font && font.size) || DEFAULT_FONT_SIZE;
+  const family = font && font.family;
+
   const shaderProgram = initShaderProgram(gl, vsSource, fsSource);
 
   // Initialize shaders
@@ -207,6 +255,71 @@ export function init(
   console.log({programInfo});
 
   const texture = gl.createTexture();
+  let textureSize = [0, 0];
+
+  // glyphs missing from the pre-baked atlas (or all of them, with a family
+  // set) are rasterised into pages, which are uploaded to textures when they
+  // change
+  const atlas = new GlyphAtlas(family || FALLBACK_FONT_FAMILY);
+  // the pre-baked atlas isn't used with a family set, or if it fails to load
+  let useBakedAtlas = family == null;
+  const pageTextures: Array<{texture: WebGLTexture, version: number}> = [];
+  const glyphs: Map<string, Glyph> = new Map();
+
+  function getGlyph(chr: string): Glyph {
+    let glyph = glyphs.get(chr);
+    if (glyph == null) {
+      glyph = (useBakedAtlas && getBakedGlyph(chr)) || atlas.getGlyph(chr);
+      glyphs.set(chr, glyph);
+    }
+    return glyph;
+  }
+
+  function setTextureParameters() {
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  }
+
+  function bindPage(page: number) {
+    if (page === BAKED_PAGE) {
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.uniform2f(
+        programInfo.uniformLocations.u_texsize,
+        textureSize[0],
+        textureSize[1]
+      );
+      return;
+    }
+    const {data, version} = atlas.pages[page];
+    let pageTexture = pageTextures[page];
+    if (pageTexture == null) {
+      pageTexture = {texture: gl.createTexture(), version: -1};
+      pageTextures[page] = pageTexture;
+    }
+    gl.bindTexture(gl.TEXTURE_2D, pageTexture.texture);
+    if (pageTexture.version !== version) {
+      pageTexture.version = version;
+      gl.texImage2D(
+        gl.TEXTURE_2D,
+        0,
+        gl.LUMINANCE,
+        GLYPH_ATLAS_PAGE_SIZE,
+        GLYPH_ATLAS_PAGE_SIZE,
+        0,
+        gl.LUMINANCE,
+        gl.UNSIGNED_BYTE,
+        data
+      );
+      setTextureParameters();
+    }
+    gl.uniform2f(
+      programInfo.uniformLocations.u_texsize,
+      GLYPH_ATLAS_PAGE_SIZE,
+      GLYPH_ATLAS_PAGE_SIZE
+    );
+  }
 
   function switchToProgram() {
     gl.useProgram(programInfo.program);
@@ -231,16 +344,11 @@ export function init(
 
   const vertexBuffer = gl.createBuffer();
   const textureBuffer = gl.createBuffer();
-  let vertexBufferItems = 0;
-  let textureBufferItems = 0;
   const mvMatrix = mat4.create();
   const mvpMatrix = mat4.create();
 
   function createText(toRender: Array<RenderableText>) {
-    const size = scale;
-
-    const vertexElements = [];
-    const textureElements = [];
+    const quadsByPage: Map<number, GlyphQuads> = new Map();
     const pen = {
       x: 0,
       y: 0,
@@ -248,37 +356,24 @@ export function init(
 
     for (let labelIdx = 0; labelIdx < toRender.length; labelIdx++) {
       const str = toRender[labelIdx].label;
-      const dimensions = measureText(str, size);
 
       pen.x = toRender[labelIdx].x; // scale to screen space
       pen.y = toRender[labelIdx].y;
-      for (let chIdx = 0; chIdx < str.length; chIdx++) {
-        const chr = str[chIdx];
-        drawGlyph(chr, pen, size, vertexElements, textureElements);
+      // by code point, so surrogate pairs (eg. emoji) are one glyph
+      for (const chr of str) {
+        drawGlyph(getGlyph(chr), pen, size, quadsByPage);
       }
     }
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-    gl.bufferData(
-      gl.ARRAY_BUFFER,
-      new Float32Array(vertexElements),
-      gl.STATIC_DRAW
-    );
-    vertexBufferItems = vertexElements.length / 2;
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, textureBuffer);
-    gl.bufferData(
-      gl.ARRAY_BUFFER,
-      new Float32Array(textureElements),
-      gl.STATIC_DRAW
-    );
-    textureBufferItems = textureElements.length / 2;
+    return quadsByPage;
   }
 
-  function draw(toRender: Array<RenderableText>) {
+  function draw(
+    toRender: Array<RenderableText>,
+    color: [number, number, number, number]
+  ) {
     switchToProgram();
 
-    createText(toRender);
+    const quadsByPage = createText(toRender);
 
     mat4.identity(mvMatrix);
 
@@ -290,46 +385,91 @@ export function init(
     );
 
     gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, texture);
     gl.uniform1i(programInfo.uniformLocations.u_texture, 0);
 
     // gl.uniform1f(programInfo.uniformLocations.u_scale, 1.0);
     gl.uniform1f(programInfo.uniformLocations.u_debug, debug ? 1 : 0);
 
-    gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-    gl.vertexAttribPointer(
-      programInfo.attribLocations.a_pos,
-      2,
-      gl.FLOAT,
-      false,
-      0,
-      0
-    );
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, textureBuffer);
-    gl.vertexAttribPointer(
-      programInfo.attribLocations.a_texcoord,
-      2,
-      gl.FLOAT,
-      false,
-      0,
-      0
-    );
+    for (const [page, {vertexElements, textureElements}] of quadsByPage) {
+      bindPage(page);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+      gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array(vertexElements),
+        gl.STATIC_DRAW
+      );
+      gl.vertexAttribPointer(
+        programInfo.attribLocations.a_pos,
+        2,
+        gl.FLOAT,
+        false,
+        0,
+        0
+      );
+      const vertexBufferItems = vertexElements.length / 2;
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, textureBuffer);
+      gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array(textureElements),
+        gl.STATIC_DRAW
+      );
+      gl.vertexAttribPointer(
+        programInfo.attribLocations.a_texcoord,
+        2,
+        gl.FLOAT,
+        false,
+        0,
+        0
+      );
+
+      // glow
+      if (RENDER_TEXT_GLOW) {
+        gl.uniform4fv(programInfo.uniformLocations.u_color, [1, 1, 1, 1]);
+        gl.uniform1f(programInfo.uniformLocations.u_buffer, buffer);
+        gl.drawArrays(gl.TRIANGLES, 0, vertexBufferItems);
+      }
 
-    // glow
-    if (RENDER_TEXT_GLOW) {
-      gl.uniform4fv(programInfo.uniformLocations.u_color, [1, 1, 1, 1]);
-      gl.uniform1f(programInfo.uniformLocations.u_buffer, buffer);
+      gl.uniform4fv(programInfo.uniformLocations.u_color, color);
+      gl.uniform1f(programInfo.uniformLocations.u_buffer, 192 / 256);
+      gl.uniform1f(
+        programInfo.uniformLocations.u_gamma,
+        gamma * 1.4142 / size
+      );
       gl.drawArrays(gl.TRIANGLES, 0, vertexBufferItems);
     }
+  }
+
+  function dispose() {
+    gl.deleteTexture(texture);
+    for (const pageTexture of pageTextures) {
+      gl.deleteTexture(pageTexture.texture);
+    }
+    gl.deleteBuffer(vertexBuffer);
+    gl.deleteBuffer(textureBuffer);
+    gl.deleteProgram(shaderProgram);
+  }
+
+  function ready() {
+    onReady({
+      render: (
+        toRender: Array<RenderableText>,
+        color?: [number, number, number, number] = [0, 0, 0, 1]
+      ) => {
+        draw(toRender, color);
+      },
+      measureText: (text: string) => measureText(text, size, getGlyph).advance,
+      dispose,
+    });
+  }
 
-    gl.uniform4fv(programInfo.uniformLocations.u_color, [0, 0, 0, 1]);
-    gl.uniform1f(programInfo.uniformLocations.u_buffer, 192 / 256);
-    gl.uniform1f(programInfo.uniformLocations.u_gamma, gamma * 1.4142 / scale);
-    gl.drawArrays(gl.TRIANGLES, 0, vertexBufferItems);
+  if (!useBakedAtlas) {
+    Promise.resolve().then(ready);
+    return;
   }
 
-  getAtlas(atlas => {
+  getAtlas(image => {
     switchToProgram();
     // loaded atlas texture
     gl.bindTexture(gl.TEXTURE_2D, texture);
@@ -340,27 +480,18 @@ export function init(
       gl.LUMINANCE, //internalformat
       gl.LUMINANCE, //format
       gl.UNSIGNED_BYTE, //type
-      atlas
+      image
     );
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-
-    gl.uniform2f(
-      programInfo.uniformLocations.u_texsize,
-      atlas.width,
-      atlas.height
-    );
-
-    // ready
-    onReady({
-      render: (toRender: Array<RenderableText>) => {
-        toRender.forEach(item => (item.label = sanitizeText(item.label)));
-        draw(toRender);
-      },
-      measureText: (text: string) =>
-        measureText(sanitizeText(text), scale).advance,
-    });
+    setTextureParameters();
+    textureSize = [image.width, image.height];
+
+    // the atlas can already be loaded, but onReady is always called
+    // asynchronously, as it is with a family set
+    Promise.resolve().then(ready);
+  }, () => {
+    // rasterise all of the glyphs instead, so labels are still drawn
+    useBakedAtlas = false;
+    glyphs.clear();
+    ready();
   });
 }
@@ -0,0 +1,217 @@
+// @flow
+import React from 'react';
+import {positionTooltip, updateTooltip} from './tooltip';
+import type {Props as RendererProps} from './CanvasRendererImpl';
+import type {ColorBy, PaletteName} from './colorScheme';
+import TraceWorkerClient from './TraceWorkerClient';
+import type {
+  FromWorkerMessage,
+  ProxiedEvent,
+  ProxiedEventName,
+} from './TraceWorkerClient';
+
+type Props = {
+  ...RendererProps,
+  client: TraceWorkerClient,
+  colorBy?: ColorBy,
+  palette?: PaletteName,
+};
+
+// draws the trace in worker mode. the canvas is handed over to the worker,
+// which draws it with the usual renderers, and which mouse and wheel events are
+// forwarded to. as canvases can only be handed over once, this needs to be
+// remounted when the renderer or viewport size changes
+export default class WorkerCanvasRenderer extends React.Component<Props, void> {
+  _canvas: ?HTMLCanvasElement = null;
+  _mouseX = 0;
+  _mouseY = 0;
+
+  componentDidMount() {
+    const canvas = this._canvas;
+    if (canvas == null) {
+      return;
+    }
+    const {client, viewportWidth, viewportHeight} = this.props;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = viewportWidth * dpr;
+    canvas.height = viewportHeight * dpr;
+    client.onRendererMessage = this._handleWorkerMessage;
+    client.setCanvas((canvas: $FlowFixMe).transferControlToOffscreen(), dpr);
+    this._renderInWorker();
+    document.addEventListener('mouseup', this._mouseUp);
+    // not passive, as scrolling the page is prevented
+    canvas.addEventListener('wheel', this._handleWheel, {passive: false});
+  }
+
+  componentDidUpdate() {
+    this._renderInWorker();
+  }
+
+  componentWillUnmount() {
+    if (this.props.client.onRendererMessage === this._handleWorkerMessage) {
+      this.props.client.onRendererMessage = null;
+    }
+    document.removeEventListener('mouseup', this._mouseUp);
+    const canvas = this._canvas;
+    if (canvas != null) {
+      canvas.removeEventListener('wheel', this._handleWheel);
+    }
+  }
+
+  _renderInWorker() {
+    this.props.client.render(
+      this.props,
+      this.props.colorBy,
+      this.props.palette
+    );
+  }
+
+  _onCanvas = (node: ?HTMLCanvasElement) => {
+    this._canvas = node;
+  };
+
+  _sendEvent(name: ProxiedEventName, event: MouseEvent | WheelEvent) {
+    const canvas = this._canvas;
+    if (canvas == null) {
+      return;
+    }
+    const rect = canvas.getBoundingClientRect();
+    const proxied: ProxiedEvent = {
+      clientX: event.clientX - rect.left,
+      clientY: event.clientY - rect.top,
+      movementX: event.movementX,
+      movementY: event.movementY,
+      shiftKey: event.shiftKey,
+      deltaX: event instanceof WheelEvent ? event.deltaX : 0,
+      deltaY: event instanceof WheelEvent ? event.deltaY : 0,
+      deltaMode: event instanceof WheelEvent ? event.deltaMode : 0,
+    };
+    this._mouseX = proxied.clientX;
+    this._mouseY = proxied.clientY;
+    this.props.client.sendEvent(name, proxied);
+  }
+
+  _mouseDown = (event: SyntheticMouseEvent<HTMLCanvasElement>) => {
+    this._sendEvent('mouseDown', event.nativeEvent);
+  };
+
+  _mouseMove = (event: SyntheticMouseEvent<HTMLCanvasElement>) => {
+    this._sendEvent('mouseMove', event.nativeEvent);
+    // the tooltip follows the mouse without waiting for the worker, which only
+    // says when the hovered measure changes
+    const {tooltip} = this.props;
+    if (tooltip != null && tooltip instanceof HTMLDivElement) {
+      positionTooltip(
+        tooltip,
+        this._mouseX,
+        this._mouseY,
+        this.props.viewportWidth,
+        this.props.viewportHeight
+      );
+    }
+  };
+
+  _mouseOut = (event: SyntheticMouseEvent<HTMLCanvasElement>) => {
+    this._sendEvent('mouseOut', event.nativeEvent);
+    const {tooltip} = this.props;
+    if (tooltip != null && tooltip instanceof HTMLDivElement) {
+      tooltip.hidden = true;
+    }
+  };
+
+  _mouseUp = (event: MouseEvent) => {
+    this._sendEvent('mouseUp', event);
+  };
+
+  _handleWheel = (event: WheelEvent) => {
+    event.preventDefault();
+    event.stopPropagation();
+    this._sendEvent('wheel', event);
+  };
+
+  _handleWorkerMessage = (message: FromWorkerMessage) => {
+    const {client} = this.props;
+    switch (message.type) {
+      case 'stateChange': {
+        const {changes, selection} = message;
+        this.props.onStateChange(
+          selection !== undefined
+            ? {
+                ...changes,
+                selection:
+                  selection != null
+                    ? client.getRenderableMeasure(selection)
+                    : null,
+              }
+            : changes
+        );
+        break;
+      }
+      case 'rangeSelect':
+        this.props.onRangeSelect(message.range);
+        break;
+      case 'toggleGroupCollapsed':
+        this.props.onToggleGroupCollapsed(message.group);
+        break;
+      case 'groupOrderChange':
+        this.props.onGroupOrderChange(message.groupOrder);
+        break;
+      case 'hover': {
+        const {tooltip} = this.props;
+        const {index, aggregate} = message;
+        if (tooltip != null && tooltip instanceof HTMLDivElement) {
+          const representative =
+            aggregate != null
+              ? client.getMeasure(aggregate.representative)
+              : null;
+          const hovered =
+            index != null ? client.getRenderableMeasure(index) : null;
+          const {renderableTraceGroups} = client.getRenderableTraces();
+          updateTooltip(
+            tooltip,
+            this._mouseX,
+            this._mouseY,
+            hovered,
+            aggregate != null && representative != null
+              ? {...aggregate, representative}
+              : null,
+            this.props.renderTooltip,
+            {
+              renderableTrace:
+                (hovered &&
+                  renderableTraceGroups.get(
+                    (hovered.measure.group: $FlowFixMe)
+                  )) ||
+                this.props.renderableTrace,
+              traceStart: this.props.extents.startOffset,
+              viewportWidth: this.props.viewportWidth,
+              viewportHeight: this.props.viewportHeight,
+            }
+          );
+        }
+        break;
+      }
+      case 'layout':
+        // handled by the client
+        break;
+      default:
+        (message.type: empty);
+        throw new Error(`unknown message type: ${message.type}`);
+    }
+  };
+
+  render() {
+    const {viewportWidth, viewportHeight} = this.props;
+    return (
+      <div>
+        <canvas
+          ref={this._onCanvas}
+          onMouseDown={this._mouseDown}
+          onMouseMove={this._mouseMove}
+          onMouseOut={this._mouseOut}
+          style={{width: viewportWidth, height: viewportHeight}}
+        />
+      </div>
+    );
+  }
+}
@@ -11,83 +11,83 @@ export type RenderableMeasure<TMeasure: MeasureShape> = {
   measure: TMeasure,
 };
 
+type Edge<TMeasure> = {
+  type: 'start' | 'end',
+  time: number,
+  measure: TMeasure,
+};
+
 const EDGETYPES_SORT_WEIGHTS = {
   end: 0,
   start: 1,
 };
 
-export default function calculateTraceLayout<TMeasure: MeasureShape>(
-  trace: Array<TMeasure>
-): Array<RenderableMeasure<TMeasure>> {
-  type Edge = {
-    type: 'start' | 'end',
-    time: number,
-    measure: TMeasure,
-  };
-
-  // we need to find all overlapping measures, so we will create points
-  // representing the start and end of each measure, then sort the points by
-  // point time, breaking ties by putting points representing closing measures
-  // first (in reverse order of start time), then opening measures (in order of
-  // end time)
-
-  const edges: Array<Edge> = trace
-    // .slice(0, 3)
-    .reduce((edges, measure) => {
-      // zero size measures are omitted from the trace
-      if (measure.duration > 0) {
-        edges.push({type: 'start', time: measure.startTime, measure});
-        edges.push({
-          type: 'end',
-          time: measure.startTime + measure.duration,
-          measure,
-        });
-      }
-      return edges;
-    }, [])
-    .sort((a, b) => {
-      if (a.time !== b.time) {
-        return a.time - b.time;
-      }
-      // break ties between different types
-      if (a.type !== b.type) {
-        return EDGETYPES_SORT_WEIGHTS[a.type] - EDGETYPES_SORT_WEIGHTS[b.type];
-      }
-
-      // break ties between same type
-      switch (a.type) {
-        case 'end':
-          // start time desc (so inner measures close first)
-          return b.measure.startTime - a.measure.startTime;
-        case 'start':
-          // end time desc (so outer measures open first)
-          return (
-            b.measure.startTime +
-            b.measure.duration -
-            (a.measure.startTime + a.measure.duration)
-          );
-        default:
-          (a.type: empty);
-          throw new Error('panic');
-      }
+// we need to find all overlapping measures, so we will create points
+// representing the start and end of each measure, then sort the points by
+// point time, breaking ties by putting points representing closing measures
+// first (in reverse order of start time), then opening measures (in order of
+// end time)
+function pushEdges<TMeasure: MeasureShape>(
+  edges: Array<Edge<TMeasure>>,
+  measure: TMeasure
+) {
+  // zero size measures are omitted from the trace
+  if (measure.duration > 0) {
+    edges.push({type: 'start', time: measure.startTime, measure});
+    edges.push({
+      type: 'end',
+      time: measure.startTime + measure.duration,
+      measure,
     });
+  }
+}
 
-  // to implement the trace layout we need to calculate the vertical offset of
-  // each measure as they stack up. we want to place a measure at the highest
-  // offset for which there isn't a currently open measure. to do so we keep an
-  // array of currently open measures
-  const renderableTrace: Array<RenderableMeasure<TMeasure>> = [];
-  const openStack = [];
-  const measuresStackIndexes = new Map();
+function compareEdges<TMeasure: MeasureShape>(
+  a: Edge<TMeasure>,
+  b: Edge<TMeasure>
+) {
+  if (a.time !== b.time) {
+    return a.time - b.time;
+  }
+  // break ties between different types
+  if (a.type !== b.type) {
+    return EDGETYPES_SORT_WEIGHTS[a.type] - EDGETYPES_SORT_WEIGHTS[b.type];
+  }
+
+  // break ties between same type
+  switch (a.type) {
+    case 'end':
+      // start time desc (so inner measures close first)
+      return b.measure.startTime - a.measure.startTime;
+    case 'start':
+      // end time desc (so outer measures open first)
+      return (
+        b.measure.startTime +
+        b.measure.duration -
+        (a.measure.startTime + a.measure.duration)
+      );
+    default:
+      (a.type: empty);
+      throw new Error('panic');
+  }
+}
+
+// to implement the trace layout we need to calculate the vertical offset of
+// each measure as they stack up. we want to place a measure at the highest
+// offset for which there isn't a currently open measure. to do so we keep an
+// array of currently open measures
+function layoutEdges<TMeasure: MeasureShape>(
+  edges: Array<Edge<TMeasure>>,
+  openStack: Array<?TMeasure>,
+  measuresStackIndexes: Map<TMeasure, number>,
+  onStart: (measure: TMeasure, stackIndex: number) => void
+) {
   for (var i = 0; i < edges.length; i++) {
     const edge = edges[i];
     switch (edge.type) {
       case 'start':
         const nextStackIndex = openStack.length;
-        renderableTrace.push({
-          stackIndex: nextStackIndex,
-          measure: edge.measure,
-        });
+        onStart(edge.measure, nextStackIndex);
         measuresStackIndexes.set(edge.measure, nextStackIndex);
         openStack.push(edge.measure);
         break;
@@ -113,6 +113,254 @@ export default function calculateTraceLayout<TMeasure: MeasureShape>(
         throw new Error('panic');
     }
   }
+}
 
+export default function calculateTraceLayout<TMeasure: MeasureShape>(
+  trace: Array<TMeasure>
+): Array<RenderableMeasure<TMeasure>> {
+  const edges: Array<Edge<TMeasure>> = [];
+  for (let i = 0; i < trace.length; i++) {
+    pushEdges(edges, trace[i]);
+  }
+  edges.sort(compareEdges);
+
+  const renderableTrace: Array<RenderableMeasure<TMeasure>> = [];
+  layoutEdges(edges, [], new Map(), (measure, stackIndex) => {
+    renderableTrace.push({stackIndex, measure});
+  });
   return renderableTrace;
 }
+
+// the layout version of each renderable trace which is laid out in place (see
+// IncrementalTraceLayout), incremented each time it changes, and the index
+// from which each of the recent versions laid it out again. caches of
+// renderable traces (eg. spatialIndex) check the version to know when to
+// rebuild, and the GPU renderer uses the indexes to only upload what changed
+type LayoutChanges = {
+  version: number,
+  // for each of the last MAX_TRACKED_CHANGES versions
+  changedFrom: Array<number>,
+};
+
+const MAX_TRACKED_CHANGES = 64;
+
+const layoutChanges: WeakMap<
+  $ReadOnlyArray<mixed>,
+  LayoutChanges
+> = new WeakMap();
+
+function recordLayoutChange(
+  renderableTrace: $ReadOnlyArray<mixed>,
+  changedFrom: number
+) {
+  let changes = layoutChanges.get(renderableTrace);
+  if (changes == null) {
+    changes = {version: 0, changedFrom: []};
+    layoutChanges.set(renderableTrace, changes);
+  }
+  changes.version++;
+  changes.changedFrom.push(changedFrom);
+  if (changes.changedFrom.length > MAX_TRACKED_CHANGES) {
+    changes.changedFrom.shift();
+  }
+}
+
+// 0 for renderable traces which aren't laid out in place
+export function getLayoutVersion(
+  renderableTrace: $ReadOnlyArray<mixed>
+): number {
+  const changes = layoutChanges.get(renderableTrace);
+  return changes ? changes.version : 0;
+}
+
+// the index of the first renderable measure which was added or laid out again
+// since `version` of the layout. those before it are unchanged
+export function getFirstChangedIndex(
+  renderableTrace: $ReadOnlyArray<mixed>,
+  version: number
+): number {
+  const changes = layoutChanges.get(renderableTrace);
+  if (changes == null || version >= changes.version) {
+    return renderableTrace.length;
+  }
+  const count = changes.version - version;
+  // too long ago to know
+  if (count > changes.changedFrom.length) {
+    return 0;
+  }
+  return Math.min(...changes.changedFrom.slice(-count));
+}
+
+function getEndTime(measure: MeasureShape) {
+  return measure.startTime + measure.duration;
+}
+
+// lays out a trace which is added to over time (eg. when recording a live
+// trace) without recalculating the layout of the whole trace for each
+// addition.
+//
+// `renderableTrace` is updated in place, so renderers holding onto it will see
+// new measures when they next render. it is kept in order of start time, and
+// only the measures starting at or after the earliest of the added measures
+// need to be laid out again. when measures are appended in time order, that's
+// just the new measures. existing renderable measures are reused, so they can
+// be compared by identity (eg. for the current selection) across additions
+export class IncrementalTraceLayout<TMeasure: MeasureShape> {
+  renderableTrace: Array<RenderableMeasure<TMeasure>> = [];
+  maxStackIndex: number = 0;
+
+  // the latest end time of the measures up to each index of renderableTrace,
+  // used to find measures which are still open at some point in the trace
+  _maxEndTimes: Array<number> = [];
+
+  constructor(trace?: Array<TMeasure>) {
+    if (trace) {
+      this.append(trace);
+    }
+  }
+
+  getStartOffset(): number {
+    const first = this.renderableTrace[0];
+    return first ? first.measure.startTime : 0;
+  }
+
+  getEndOffset(): number {
+    const {_maxEndTimes} = this;
+    return _maxEndTimes.length ? _maxEndTimes[_maxEndTimes.length - 1] : 0;
+  }
+
+  append(measures: Array<TMeasure>) {
+    const edges: Array<Edge<TMeasure>> = [];
+    let earliestStart = Infinity;
+    for (let i = 0; i < measures.length; i++) {
+      const measure = measures[i];
+      if (measure.duration > 0) {
+        earliestStart = Math.min(earliestStart, measure.startTime);
+      }
+      pushEdges(edges, measure);
+    }
+    if (edges.length === 0) {
+      return;
+    }
+
+    const {renderableTrace} = this;
+    const splitIndex = this._findFirstStartingAt(earliestStart);
+
+    // measures after the split point get laid out again along with the new
+    // ones, reusing their renderable measures
+    const existing: Map<TMeasure, RenderableMeasure<TMeasure>> = new Map();
+    for (let i = splitIndex; i < renderableTrace.length; i++) {
+      existing.set(renderableTrace[i].measure, renderableTrace[i]);
+      pushEdges(edges, renderableTrace[i].measure);
+    }
+
+    // restore the stack of measures which were open at the split point. they
+    // keep their existing positions, but we need to know when they close
+    const openStack: Array<?TMeasure> = [];
+    const measuresStackIndexes = new Map();
+    for (
+      let i = this._findFirstEndingAfter(earliestStart, splitIndex);
+      i < splitIndex;
+      i++
+    ) {
+      const {measure, stackIndex} = renderableTrace[i];
+      if (getEndTime(measure) > earliestStart) {
+        while (openStack.length <= stackIndex) {
+          openStack.push(null);
+        }
+        openStack[stackIndex] = measure;
+        measuresStackIndexes.set(measure, stackIndex);
+        edges.push({type: 'end', time: getEndTime(measure), measure});
+      }
+    }
+    edges.sort(compareEdges);
+
+    renderableTrace.length = splitIndex;
+    this._maxEndTimes.length = splitIndex;
+    let maxEndTime =
+      splitIndex > 0 ? this._maxEndTimes[splitIndex - 1] : -Infinity;
+    layoutEdges(
+      edges,
+      openStack,
+      measuresStackIndexes,
+      (measure, stackIndex) => {
+        let renderableMeasure = existing.get(measure);
+        if (renderableMeasure) {
+          renderableMeasure.stackIndex = stackIndex;
+        } else {
+          renderableMeasure = {stackIndex, measure};
+        }
+        renderableTrace.push(renderableMeasure);
+        maxEndTime = Math.max(maxEndTime, getEndTime(measure));
+        this._maxEndTimes.push(maxEndTime);
+        this.maxStackIndex = Math.max(this.maxStackIndex, stackIndex);
+      }
+    );
+    recordLayoutChange(renderableTrace, splitIndex);
+  }
+
+  // index of the first measure starting at or after `time`
+  _findFirstStartingAt(time: number) {
+    const {renderableTrace} = this;
+    let l = 0;
+    let r = renderableTrace.length;
+    while (l < r) {
+      const m = l + Math.floor((r - l) / 2);
+      if (renderableTrace[m].measure.startTime < time) {
+        l = m + 1;
+      } else {
+        r = m;
+      }
+    }
+    return l;
+  }
+
+  // index of the first measure before `endIndex` for which it or an earlier
+  // measure ends after `time`. no measure before this can be open at `time`
+  _findFirstEndingAfter(time: number, endIndex: number) {
+    const {_maxEndTimes} = this;
+    let l = 0;
+    let r = endIndex;
+    while (l < r) {
+      const m = l + Math.floor((r - l) / 2);
+      if (_maxEndTimes[m] <= time) {
+        l = m + 1;
+      } else {
+        r = m;
+      }
+    }
+    return l;
+  }
+}
+
+// lays out a trace as a whole, and each group of its measures separately (for
+// renderers which draw a lane per group), as measures are appended
+export class GroupedTraceLayout<TMeasure: MeasureShape & {group?: string}> {
+  traceLayout: IncrementalTraceLayout<TMeasure> = new IncrementalTraceLayout();
+  groupLayouts: Map<string, IncrementalTraceLayout<TMeasure>> = new Map();
+  // in order of each group's first measure
+  renderableTraceGroups: Map<
+    string,
+    Array<RenderableMeasure<TMeasure>>
+  > = new Map();
+
+  append(measures: Array<TMeasure>) {
+    this.traceLayout.append(measures);
+    const groupsMeasures: Map<string, Array<TMeasure>> = new Map();
+    for (const measure of measures) {
+      const group: $FlowFixMe = measure.group;
+      const groupMeasures = groupsMeasures.get(group) || [];
+      groupMeasures.push(measure);
+      groupsMeasures.set(group, groupMeasures);
+    }
+    for (const [group, groupMeasures] of groupsMeasures) {
+      let groupLayout = this.groupLayouts.get(group);
+      if (!groupLayout) {
+        groupLayout = new IncrementalTraceLayout();
+        this.groupLayouts.set(group, groupLayout);
+        this.renderableTraceGroups.set(group, groupLayout.renderableTrace);
+      }
+      groupLayout.append(groupMeasures);
+    }
+  }
+}
@@ -10,6 +10,9 @@ import {
 } from './constants';
 import debounce from 'debounce';
 
+// px scrolled per line, for wheel events which are measured in lines
+const WHEEL_LINE_HEIGHT_PX = 16;
+
 export type MouseEventWithTarget = {
   currentTarget: {
     getBoundingClientRect: () => {
@@ -37,11 +40,26 @@ export function configureRetinaCanvas(canvas: HTMLCanvasElement) {
   return dpr;
 }
 
-export function getCanvasMousePos(event: MouseEventWithTarget, canvas: ?Node) {
-  const rect =
+// in worker mode, renderers draw to an OffscreenCanvas in a worker (see
+// traceWorker), where there's no DOM
+export function isCanvasElement(canvas: mixed): boolean %checks {
+  return (
+    typeof HTMLCanvasElement !== 'undefined' &&
     canvas instanceof HTMLCanvasElement
-      ? canvas.getBoundingClientRect()
-      : {left: 0, top: 0};
+  );
+}
+
+export function isCanvas(canvas: mixed): boolean {
+  // $FlowFixMe: OffscreenCanvas isn't in flow's lib defs yet
+  const Offscreen = typeof OffscreenCanvas !== 'undefined' && OffscreenCanvas;
+  return isCanvasElement(canvas) || (Offscreen && canvas instanceof Offscreen);
+}
+
+// events proxied to a worker have coordinates relative to the canvas already
+export function getCanvasMousePos(event: MouseEventWithTarget, canvas: ?Node) {
+  const rect = isCanvasElement(canvas)
+    ? canvas.getBoundingClientRect()
+    : {left: 0, top: 0};
   const canvasMouseX = event.clientX - rect.left;
   const canvasMouseY = event.clientY - rect.top;
 
@@ -69,15 +87,34 @@ export class CanvasWheelHandler {
       zoom: number,
       minZoom: number,
       zoom: number,
+      verticalOffset: number,
       onStateChange: ({
-        zooming: boolean,
-        zoom: number,
-        center: number,
+        zooming?: boolean,
+        zoom?: number,
+        center?: number,
+        verticalOffset?: number,
       }) => void,
     }
   ) => {
     event.preventDefault();
     event.stopPropagation();
+    const scale = event.deltaMode === 1 ? WHEEL_LINE_HEIGHT_PX : 1;
+    // shift+wheel scrolls vertically. some browsers report it as horizontal
+    // scrolling
+    if (event.shiftKey) {
+      props.onStateChange({
+        verticalOffset:
+          props.verticalOffset - (event.deltaY || event.deltaX) * scale,
+      });
+      return;
+    }
+    // horizontal trackpad swipes pan
+    if (Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+      props.onStateChange({
+        center: props.center + (event.deltaX * scale) / PX_PER_MS / props.zoom,
+      });
+      return;
+    }
     // zoom centered on mouse
     const {canvasMouseX} = getCanvasMousePos((event: $FlowFixMe), canvas);
     const mouseOffsetFromCenter = canvasMouseX - props.viewportWidth / 2;
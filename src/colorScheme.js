@@ -0,0 +1,367 @@
+// @flow
+import type {Measure} from './renderUtils';
+import {formatMs} from './renderUtils';
+import memoizeWeak from './memoizeWeak';
+import {getRepresentativeMeasure} from './levelOfDetail';
+
+// assigns colours to measures. all renderers (and the minimap) get their
+// colours from the same Colorizer, so a measure has the same colour
+// everywhere, and because colours are derived from the measure rather than
+// picked at random, across reloads too
+
+// rgb, 0-255
+export type Color = [number, number, number];
+
+export type ColorBy =
+  | 'name'
+  | 'group'
+  | 'duration'
+  | {argsKey: string}
+  | ((measure: Measure) => Color);
+
+export type PaletteName = 'default' | 'okabeIto' | 'tol';
+
+export type LegendItem = {
+  label: string,
+  color: Color,
+};
+
+export type Legend = {
+  // categorical legends list each colour, sequential legends are a gradient
+  type: 'categorical' | 'sequential',
+  items: Array<LegendItem>,
+  // number of categories not in items
+  more: number,
+};
+
+type Palette = {
+  categorical: Array<Color>,
+  // stops for the duration heat map, from shortest to longest
+  sequential: Array<Color>,
+};
+
+function hex(color: string): Color {
+  const value = parseInt(color.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// the colour-blind safe palettes are light enough for the black measure
+// labels to be readable on them
+const PALETTES: {[PaletteName]: Palette} = {
+  default: {
+    categorical: [
+      '#f3b4a4',
+      '#a8d5ba',
+      '#b9c6f5',
+      '#f7dc9c',
+      '#d7b4f3',
+      '#9fd8e8',
+      '#f5b3d0',
+      '#c9e39c',
+      '#e8c6a4',
+      '#a4c4e8',
+      '#e0e0a0',
+      '#c4b4d4',
+    ].map(hex),
+    sequential: ['#fff3b0', '#fdbf6f', '#f4794d', '#d7301f'].map(hex),
+  },
+  // https://jfly.uni-koeln.de/color/
+  okabeIto: {
+    categorical: [
+      '#e69f00',
+      '#56b4e9',
+      '#009e73',
+      '#f0e442',
+      '#0072b2',
+      '#d55e00',
+      '#cc79a7',
+      '#999999',
+    ].map(hex),
+    // light end of viridis
+    sequential: ['#fde725', '#5ec962', '#21918c'].map(hex),
+  },
+  // paul tol's 'light' and 'YlOrBr' schemes https://personal.sron.nl/~pault/
+  tol: {
+    categorical: [
+      '#77aadd',
+      '#ee8866',
+      '#eedd88',
+      '#ffaabb',
+      '#99ddff',
+      '#44bb99',
+      '#bbcc33',
+      '#aaaa00',
+      '#dddddd',
+    ].map(hex),
+    sequential: ['#fff7bc', '#fec44f', '#ec7014', '#cc4c02'].map(hex),
+  },
+};
+
+const MISSING_VALUE_COLOR: Color = [204, 204, 204];
+const MAX_LEGEND_ITEMS = 12;
+const SEQUENTIAL_LEGEND_STOPS = 5;
+
+// djb2
+function hashString(str: string) {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+function interpolate(stops: Array<Color>, t: number): Color {
+  const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const mix = position - index;
+  const a = stops[index];
+  const b = stops[index + 1];
+  return [0, 1, 2].map(i => Math.round(a[i] + (b[i] - a[i]) * mix));
+}
+
+function getArgValue(measure: Measure, key: string): ?string {
+  const value = measure.args ? (measure.args: Object)[key] : null;
+  return value == null ? null : String(value);
+}
+
+// the legend category of a measure, for the categorical colorBy options
+function getCategoryGetter(colorBy: ColorBy): ?(Measure) => ?string {
+  if (typeof colorBy === 'function') {
+    return null;
+  }
+  if (typeof colorBy === 'object') {
+    const {argsKey} = colorBy;
+    return measure => getArgValue(measure, argsKey);
+  }
+  switch (colorBy) {
+    case 'name':
+      return measure => measure.name;
+    case 'group':
+      return measure => measure.group;
+    default:
+      return null;
+  }
+}
+
+export class Colorizer {
+  _colorBy: ColorBy;
+  _paletteName: PaletteName;
+  _palette: Palette;
+  _trace: Array<Measure>;
+  // how much of the trace has been scanned. measures appended to the trace
+  // later are scanned by updateColorizer
+  _scannedLength: number = 0;
+  // colours of groups are assigned in order of appearance, so they don't
+  // collide
+  _groupIndexes: Map<?string, number> = new Map();
+  _minDuration: number = Infinity;
+  _maxDuration: number = 0;
+  // number of measures in each legend category
+  _getCategory: ?(Measure) => ?string;
+  _categoryCounts: Map<?string, number> = new Map();
+
+  constructor(
+    trace: Array<Measure>,
+    colorBy: ColorBy,
+    paletteName: PaletteName
+  ) {
+    this._colorBy = colorBy;
+    this._paletteName = paletteName;
+    this._palette = PALETTES[paletteName] || PALETTES.default;
+    this._trace = trace;
+    this._getCategory = getCategoryGetter(colorBy);
+  }
+
+  _scan() {
+    const trace = this._trace;
+    const getCategory = this._getCategory;
+    for (let i = this._scannedLength; i < trace.length; i++) {
+      const measure = trace[i];
+      if (!this._groupIndexes.has(measure.group)) {
+        this._groupIndexes.set(measure.group, this._groupIndexes.size);
+      }
+      if (measure.duration > 0) {
+        this._minDuration = Math.min(this._minDuration, measure.duration);
+        this._maxDuration = Math.max(this._maxDuration, measure.duration);
+      }
+      if (getCategory) {
+        const category = getCategory(measure);
+        this._categoryCounts.set(
+          category,
+          (this._categoryCounts.get(category) || 0) + 1
+        );
+      }
+    }
+    this._scannedLength = trace.length;
+  }
+
+  // a colorizer with the same state, but no cached colours
+  _clone(): Colorizer {
+    const clone = new Colorizer(this._trace, this._colorBy, this._paletteName);
+    clone._scannedLength = this._scannedLength;
+    clone._groupIndexes = new Map(this._groupIndexes);
+    clone._minDuration = this._minDuration;
+    clone._maxDuration = this._maxDuration;
+    clone._categoryCounts = new Map(this._categoryCounts);
+    return clone;
+  }
+
+  // blocks of merged measures take the colour of their longest measure
+  getColor: Measure => Color = memoizeWeak(measure =>
+    this._getColor(getRepresentativeMeasure(measure))
+  );
+
+  _getCategoryColor(category: string): Color {
+    const {categorical} = this._palette;
+    return categorical[hashString(category) % categorical.length];
+  }
+
+  _getGroupColor(group: ?string): Color {
+    const {categorical} = this._palette;
+    const index = this._groupIndexes.get(group) || 0;
+    return categorical[index % categorical.length];
+  }
+
+  // position of a duration on the heat map scale, which is logarithmic as
+  // durations typically span orders of magnitude
+  _getDurationScale(duration: number) {
+    const min = Math.log(this._minDuration);
+    const max = Math.log(this._maxDuration);
+    return max > min
+      ? (Math.log(Math.max(duration, 1e-9)) - min) / (max - min)
+      : 0;
+  }
+
+  _getColor(measure: Measure): Color {
+    const colorBy = this._colorBy;
+    if (typeof colorBy === 'function') {
+      return colorBy(measure);
+    }
+    if (typeof colorBy === 'object') {
+      const value = getArgValue(measure, colorBy.argsKey);
+      return value == null
+        ? MISSING_VALUE_COLOR
+        : this._getCategoryColor(value);
+    }
+    switch (colorBy) {
+      case 'name':
+        return this._getCategoryColor(measure.name);
+      case 'group':
+        return this._getGroupColor(measure.group);
+      case 'duration':
+        return interpolate(
+          this._palette.sequential,
+          this._getDurationScale(measure.duration)
+        );
+      default:
+        (colorBy: empty);
+        throw new Error(`unknown colorBy: ${String(colorBy)}`);
+    }
+  }
+
+  _getCategoricalLegend(
+    counts: Map<?string, number>,
+    getColor: (category: ?string) => Color
+  ): Legend {
+    // most common categories first
+    const categories = Array.from(counts.keys()).sort(
+      (a, b) => (counts.get(b) || 0) - (counts.get(a) || 0)
+    );
+    return {
+      type: 'categorical',
+      items: categories.slice(0, MAX_LEGEND_ITEMS).map(category => ({
+        label: category == null ? '(none)' : category,
+        color: getColor(category),
+      })),
+      more: Math.max(0, categories.length - MAX_LEGEND_ITEMS),
+    };
+  }
+
+  getLegend(): ?Legend {
+    const colorBy = this._colorBy;
+    if (typeof colorBy === 'function') {
+      // we don't know what the colours mean
+      return null;
+    }
+    if (typeof colorBy === 'object') {
+      return this._getCategoricalLegend(this._categoryCounts, value =>
+        value == null ? MISSING_VALUE_COLOR : this._getCategoryColor(value)
+      );
+    }
+    switch (colorBy) {
+      case 'name':
+        return this._getCategoricalLegend(this._categoryCounts, name =>
+          this._getCategoryColor(String(name))
+        );
+      case 'group':
+        return this._getCategoricalLegend(this._categoryCounts, group =>
+          this._getGroupColor(group)
+        );
+      case 'duration': {
+        if (this._maxDuration === 0) {
+          return null;
+        }
+        const min = Math.log(this._minDuration);
+        const max = Math.log(this._maxDuration);
+        const items = [];
+        for (let i = 0; i < SEQUENTIAL_LEGEND_STOPS; i++) {
+          const t = i / (SEQUENTIAL_LEGEND_STOPS - 1);
+          items.push({
+            label: formatMs(Math.exp(min + (max - min) * t)),
+            color: interpolate(this._palette.sequential, t),
+          });
+        }
+        return {type: 'sequential', items, more: 0};
+      }
+      default:
+        (colorBy: empty);
+        throw new Error(`unknown colorBy: ${String(colorBy)}`);
+    }
+  }
+}
+
+export default function createColorizer(
+  trace: Array<Measure>,
+  colorBy: ColorBy = 'name',
+  palette: PaletteName = 'default'
+): Colorizer {
+  const colorizer = new Colorizer(trace, colorBy, palette);
+  colorizer._scan();
+  return colorizer;
+}
+
+// colorizers are kept as measures are appended to the trace, so renderers can
+// keep what they've drawn (eg. the gpu renderer's instance buffers) and only
+// colour the new measures. a new colorizer is only returned when the colours
+// of measures already seen change: when colouring by duration and the range of
+// durations grows, or when the trace, colorBy or palette are changed
+export function updateColorizer(
+  colorizer: ?Colorizer,
+  trace: Array<Measure>,
+  colorBy: ColorBy = 'name',
+  palette: PaletteName = 'default'
+): Colorizer {
+  if (
+    colorizer == null ||
+    colorizer._trace !== trace ||
+    colorizer._colorBy !== colorBy ||
+    colorizer._paletteName !== palette ||
+    // the trace was cleared in place
+    trace.length < colorizer._scannedLength
+  ) {
+    return createColorizer(trace, colorBy, palette);
+  }
+  if (trace.length === colorizer._scannedLength) {
+    return colorizer;
+  }
+  const {_minDuration: minDuration, _maxDuration: maxDuration} = colorizer;
+  colorizer._scan();
+  if (
+    colorBy === 'duration' &&
+    (colorizer._minDuration !== minDuration ||
+      colorizer._maxDuration !== maxDuration)
+  ) {
+    return colorizer._clone();
+  }
+  return colorizer;
+}
@@ -0,0 +1,39 @@
+import createColorizer, {updateColorizer} from './colorScheme';
+
+const measure = (name, duration, group = 'main') => ({
+  name,
+  startTime: 0,
+  duration,
+  group,
+});
+
+it('keeps the colorizer as measures are appended', () => {
+  const trace = [measure('a', 1), measure('b', 2)];
+  const colorizer = updateColorizer(null, trace);
+  const color = colorizer.getColor(trace[0]);
+
+  trace.push(measure('c', 3, 'other'), measure('a', 4));
+  expect(updateColorizer(colorizer, trace)).toBe(colorizer);
+  expect(colorizer.getColor(trace[0])).toBe(color);
+  expect(colorizer.getColor(trace[3])).toEqual(color);
+  expect(colorizer.getLegend()).toEqual(createColorizer(trace).getLegend());
+});
+
+it('replaces the colorizer when the colours of measures change', () => {
+  const trace = [measure('a', 1), measure('b', 2)];
+  const colorizer = updateColorizer(null, trace, 'duration');
+
+  // within the range of durations seen so far
+  trace.push(measure('c', 1.5));
+  expect(updateColorizer(colorizer, trace, 'duration')).toBe(colorizer);
+
+  trace.push(measure('d', 10));
+  const updated = updateColorizer(colorizer, trace, 'duration');
+  expect(updated).not.toBe(colorizer);
+  expect(updated.getColor(trace[1])).toEqual(
+    createColorizer(trace, 'duration').getColor(trace[1])
+  );
+
+  expect(updateColorizer(updated, trace, 'group')).not.toBe(updated);
+  expect(updateColorizer(updated, trace.slice(), 'duration')).not.toBe(updated);
+});
@@ -4,6 +4,8 @@ export const PX_PER_MS = 1;
 export const BAR_HEIGHT = 16;
 export const BAR_Y_GUTTER = 1;
 export const BAR_X_GUTTER = 1;
+export const RULER_HEIGHT = 16;
+export const GROUP_HEADER_HEIGHT = 16;
 
 const MIN_ZOOM_SMALL = 0.2;
 const MIN_ZOOM_LARGE = 0.01;
@@ -0,0 +1,143 @@
+// @flow
+import type {Measure} from './renderUtils';
+
+// records performance entries (User Timing measures, long tasks etc) from the
+// current page as they happen, using PerformanceObserver. entries are buffered
+// and flushed to subscribers once per animation frame. the recorded trace is
+// an append-only array, so it can be passed to the `trace` prop of Trace (or
+// rendered with LiveTrace), which will lay out just the appended measures
+
+type Options = {
+  entryTypes: Array<string>,
+  // also record entries which were created before the recorder started
+  buffered?: boolean,
+};
+
+type Listener = (added: Array<Measure>) => void;
+
+function getEntryArgs(entry: PerformanceEntry): ?{} {
+  const anyEntry: any = entry;
+  if (anyEntry.detail != null) {
+    return {detail: anyEntry.detail};
+  }
+  if (Array.isArray(anyEntry.attribution)) {
+    return {
+      attribution: anyEntry.attribution.map(attribution => ({
+        name: attribution.name,
+        containerType: attribution.containerType,
+        containerName: attribution.containerName,
+        containerSrc: attribution.containerSrc,
+        containerId: attribution.containerId,
+      })),
+    };
+  }
+  return null;
+}
+
+function entryToMeasure(entry: PerformanceEntry): Measure {
+  const measure: Measure = {
+    name: entry.name,
+    startTime: entry.startTime,
+    duration: entry.duration,
+    group: entry.entryType,
+  };
+  const args = getEntryArgs(entry);
+  if (args != null) {
+    measure.args = args;
+  }
+  return measure;
+}
+
+export class PerformanceRecorder {
+  _options: Options;
+  _observer: ?PerformanceObserver = null;
+  _pending: Array<PerformanceEntry> = [];
+  _flushRequestID: ?AnimationFrameID = null;
+  _listeners: Set<Listener> = new Set();
+  _trace: Array<Measure> = [];
+
+  constructor(options: Options) {
+    this._options = options;
+  }
+
+  start() {
+    if (this._observer) return;
+    if (typeof PerformanceObserver === 'undefined') {
+      throw new Error('PerformanceObserver is not supported');
+    }
+    const observer = new PerformanceObserver(list => {
+      // appended one at a time, as a large buffered backlog would overflow
+      // the stack if spread into push()
+      for (const entry of list.getEntries()) {
+        this._pending.push(entry);
+      }
+      this._scheduleFlush();
+    });
+    if (this._options.buffered) {
+      // `buffered` can only be used when observing a single type
+      for (const type of this._options.entryTypes) {
+        (observer: any).observe({type, buffered: true});
+      }
+    } else {
+      observer.observe({entryTypes: this._options.entryTypes});
+    }
+    this._observer = observer;
+  }
+
+  stop() {
+    if (this._observer) {
+      this._observer.disconnect();
+      this._observer = null;
+    }
+    this._flush();
+  }
+
+  // returns the recorded measures. this array is appended to as new entries
+  // are recorded
+  getTrace(): Array<Measure> {
+    return this._trace;
+  }
+
+  // starts a new trace. the previous trace array is left untouched
+  clear() {
+    this._pending = [];
+    this._trace = [];
+    for (const listener of this._listeners) {
+      listener([]);
+    }
+  }
+
+  subscribe(listener: Listener): () => void {
+    this._listeners.add(listener);
+    return () => {
+      this._listeners.delete(listener);
+    };
+  }
+
+  _scheduleFlush() {
+    if (this._flushRequestID == null) {
+      this._flushRequestID = requestAnimationFrame(() => {
+        this._flushRequestID = null;
+        this._flush();
+      });
+    }
+  }
+
+  _flush() {
+    if (this._pending.length === 0) return;
+    const added = this._pending.map(entryToMeasure);
+    this._pending = [];
+    for (let i = 0; i < added.length; i++) {
+      this._trace.push(added[i]);
+    }
+    for (const listener of this._listeners) {
+      listener(added);
+    }
+  }
+}
+
+export default function createPerformanceRecorder(
+  options: Options
+): PerformanceRecorder {
+  return new PerformanceRecorder(options);
+}
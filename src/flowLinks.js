@@ -0,0 +1,240 @@
+// @flow
+import type {Measure, StateForLayout} from './renderUtils';
+import {getXAtTime} from './renderUtils';
+import type {Theme} from './theme';
+
+// flow links describe causal relationships between measures, eg. an
+// interaction which caused a commit. they come from the `links` prop of Trace,
+// or from measures' args: a measure with `args.flowOut` links to every measure
+// with the same id in its `args.flowIn`. ids can be a single string or number,
+// or an array of them
+
+export type FlowLink = {
+  from: Measure,
+  to: Measure,
+};
+
+// a link positioned for rendering, as a bezier curve from (x1, y1) to (x2, y2)
+export type FlowArrow = {
+  x1: number,
+  y1: number,
+  x2: number,
+  y2: number,
+  highlighted: boolean,
+};
+
+// the links from and to each measure, for following chains of links
+type FlowGraph = {
+  from: Map<Measure, Array<FlowLink>>,
+  to: Map<Measure, Array<FlowLink>>,
+};
+
+const MIN_CONTROL_POINT_OFFSET_PX = 20;
+const ARROW_HEAD_SIZE_PX = 5;
+
+function addToMultimap<K, V>(map: Map<K, Array<V>>, key: K, value: V) {
+  const values = map.get(key);
+  if (values == null) {
+    map.set(key, [value]);
+  } else {
+    values.push(value);
+  }
+}
+
+function getFlowIds(args: ?{}, key: 'flowIn' | 'flowOut'): Array<mixed> {
+  const value = args ? (args: Object)[key] : null;
+  return value == null ? [] : Array.isArray(value) ? value : [value];
+}
+
+export function getFlowLinks(
+  trace: Array<Measure>,
+  links: ?Array<FlowLink>
+): Array<FlowLink> {
+  const sources: Map<mixed, Array<Measure>> = new Map();
+  const targets: Map<mixed, Array<Measure>> = new Map();
+  for (const measure of trace) {
+    for (const id of getFlowIds(measure.args, 'flowOut')) {
+      addToMultimap(sources, id, measure);
+    }
+    for (const id of getFlowIds(measure.args, 'flowIn')) {
+      addToMultimap(targets, id, measure);
+    }
+  }
+
+  const flowLinks = links ? links.slice() : [];
+  for (const [id, froms] of sources) {
+    const tos = targets.get(id);
+    if (tos == null) continue;
+    for (const from of froms) {
+      for (const to of tos) {
+        if (from !== to) {
+          flowLinks.push({from, to});
+        }
+      }
+    }
+  }
+  return flowLinks;
+}
+
+const graphCache: WeakMap<Array<FlowLink>, FlowGraph> = new WeakMap();
+
+// built once per links array, as chains are followed on every hover
+function getFlowGraph(links: Array<FlowLink>): FlowGraph {
+  let graph = graphCache.get(links);
+  if (graph == null) {
+    graph = {from: new Map(), to: new Map()};
+    for (const link of links) {
+      addToMultimap(graph.from, link.from, link);
+      addToMultimap(graph.to, link.to, link);
+    }
+    graphCache.set(links, graph);
+  }
+  return graph;
+}
+
+// the links reachable from `measure` by following links forwards (its
+// outgoing chain) or backwards (its incoming chain)
+export function getLinkedChain(
+  links: Array<FlowLink>,
+  measure: Measure
+): Set<FlowLink> {
+  const graph = getFlowGraph(links);
+  const chain = new Set();
+  const follow = (
+    linksByMeasure: Map<Measure, Array<FlowLink>>,
+    getNext: FlowLink => Measure
+  ) => {
+    const visited = new Set([measure]);
+    const queue = [measure];
+    for (let i = 0; i < queue.length; i++) {
+      for (const link of linksByMeasure.get(queue[i]) || []) {
+        chain.add(link);
+        const next = getNext(link);
+        if (!visited.has(next)) {
+          visited.add(next);
+          queue.push(next);
+        }
+      }
+    }
+  };
+  follow(graph.from, link => link.to);
+  follow(graph.to, link => link.from);
+  return chain;
+}
+
+// arrows start from the source measure at the point the target starts (or
+// from its end, if it ended before the target started), and end at the start
+// of the target. getMeasureY returns the vertical center of the measure's bar,
+// or null if it's not being drawn
+export function getFlowArrows(
+  links: Array<FlowLink>,
+  highlighted: ?Set<FlowLink>,
+  state: StateForLayout,
+  getMeasureY: Measure => ?number
+): Array<FlowArrow> {
+  const arrows = [];
+  for (const link of links) {
+    const {from, to} = link;
+    const y1 = getMeasureY(from);
+    const y2 = getMeasureY(to);
+    if (y1 == null || y2 == null) continue;
+    const sourceTime = Math.max(
+      from.startTime,
+      Math.min(from.startTime + from.duration, to.startTime)
+    );
+    const x1 = getXAtTime(state, sourceTime);
+    const x2 = getXAtTime(state, to.startTime);
+    // cull arrows which are entirely outside the viewport
+    if (
+      Math.max(x1, x2) + MIN_CONTROL_POINT_OFFSET_PX < 0 ||
+      Math.min(x1, x2) - MIN_CONTROL_POINT_OFFSET_PX > state.viewportWidth
+    ) {
+      continue;
+    }
+    arrows.push({
+      x1,
+      y1,
+      x2,
+      y2,
+      highlighted: highlighted != null && highlighted.has(link),
+    });
+  }
+  return arrows;
+}
+
+export function getControlPoints(arrow: FlowArrow) {
+  const offset = Math.max(
+    Math.abs(arrow.x2 - arrow.x1) / 2,
+    MIN_CONTROL_POINT_OFFSET_PX
+  );
+  return {
+    cp1x: arrow.x1 + offset,
+    cp1y: arrow.y1,
+    cp2x: arrow.x2 - offset,
+    cp2y: arrow.y2,
+  };
+}
+
+// the curve ends horizontally, so the head points to the right
+export function getArrowHeadPoints(arrow: FlowArrow): Array<number> {
+  return [
+    arrow.x2,
+    arrow.y2,
+    arrow.x2 - ARROW_HEAD_SIZE_PX,
+    arrow.y2 - ARROW_HEAD_SIZE_PX / 2,
+    arrow.x2 - ARROW_HEAD_SIZE_PX,
+    arrow.y2 + ARROW_HEAD_SIZE_PX / 2,
+  ];
+}
+
+// points along the curve, for renderers which can't draw curves
+export function getBezierPoints(
+  arrow: FlowArrow,
+  segments: number
+): Array<number> {
+  const {cp1x, cp1y, cp2x, cp2y} = getControlPoints(arrow);
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+    points.push(
+      a * arrow.x1 + b * cp1x + c * cp2x + d * arrow.x2,
+      a * arrow.y1 + b * cp1y + c * cp2y + d * arrow.y2
+    );
+  }
+  return points;
+}
+
+export function renderFlowArrows2D(
+  ctx: CanvasRenderingContext2D,
+  theme: Theme,
+  arrows: Array<FlowArrow>
+) {
+  // highlighted arrows are drawn last, on top
+  for (const highlighted of [false, true]) {
+    const color = highlighted ? theme.highlightedLink : theme.link;
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = highlighted ? 2 : 1;
+    for (const arrow of arrows) {
+      if (arrow.highlighted !== highlighted) continue;
+      const {cp1x, cp1y, cp2x, cp2y} = getControlPoints(arrow);
+      ctx.beginPath();
+      ctx.moveTo(arrow.x1, arrow.y1);
+      ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, arrow.x2, arrow.y2);
+      ctx.stroke();
+
+      const head = getArrowHeadPoints(arrow);
+      ctx.beginPath();
+      ctx.moveTo(head[0], head[1]);
+      ctx.lineTo(head[2], head[3]);
+      ctx.lineTo(head[4], head[5]);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+}
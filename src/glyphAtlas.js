@@ -0,0 +1,237 @@
+// @flow
+
+// rasterises glyphs from a canvas 2d font as signed distance fields, on demand,
+// into texture pages, so the webgl text renderer can draw any characters which
+// the font (or its fallbacks) can. colour glyphs like emoji are drawn as their
+// silhouette, as only one channel is kept
+
+export type Glyph = {
+  // size of the glyph's bounds, without the buffer
+  width: number,
+  height: number,
+  // from the pen position to the glyph's left and top edges
+  bearingX: number,
+  bearingY: number,
+  advance: number,
+  // where the glyph's bounds, with the buffer, are in its page
+  page: number,
+  x: number,
+  y: number,
+};
+
+export type GlyphAtlasPage = {
+  data: Uint8Array,
+  // incremented when glyphs are added, so the page can be reuploaded
+  version: number,
+};
+
+export const GLYPH_ATLAS_PAGE_SIZE = 512;
+
+// same as the pre-baked OpenSans atlas, so the same shader can draw both
+export const GLYPH_ATLAS_FONT_SIZE = 24;
+export const GLYPH_ATLAS_BUFFER = 3;
+const RADIUS = 8;
+const CUTOFF = 0.25;
+const INF = 1e20;
+
+// glyphs bigger than this (eg. very wide ligatures) are clipped
+const MAX_GLYPH_SIZE = GLYPH_ATLAS_FONT_SIZE * 3;
+
+function createCanvas(width: number, height: number) {
+  // there's no document in workers (see traceWorker)
+  if (typeof document === 'undefined') {
+    // $FlowFixMe: OffscreenCanvas isn't in flow's lib defs yet
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// 1d squared euclidean distance transform of a row or column of grid
+// (Felzenszwalb & Huttenlocher)
+function edt1d(grid, offset, stride, length, f, v, z) {
+  for (let q = 0; q < length; q++) {
+    f[q] = grid[offset + q * stride];
+  }
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+  for (let q = 1, k = 0; q < length; q++) {
+    let s;
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q * q - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    const r = v[k];
+    grid[offset + q * stride] = f[r] + (q - r) * (q - r);
+  }
+}
+
+function edt(grid, width, height, f, v, z) {
+  for (let x = 0; x < width; x++) {
+    edt1d(grid, x, width, height, f, v, z);
+  }
+  for (let y = 0; y < height; y++) {
+    edt1d(grid, y * width, 1, width, f, v, z);
+  }
+}
+
+export default class GlyphAtlas {
+  pages: Array<GlyphAtlasPage> = [];
+  _glyphs: Map<string, Glyph> = new Map();
+  _ctx: CanvasRenderingContext2D;
+  // shelf packing of the last page
+  _shelfX = 0;
+  _shelfY = 0;
+  _shelfHeight = 0;
+  // scratch space for the distance transform
+  _outer: Float64Array;
+  _inner: Float64Array;
+  _f: Float64Array;
+  _v: Uint16Array;
+  _z: Float64Array;
+
+  constructor(fontFamily: string) {
+    const size = MAX_GLYPH_SIZE + GLYPH_ATLAS_BUFFER * 2;
+    const ctx = createCanvas(size, size).getContext('2d', {
+      willReadFrequently: true,
+    });
+    if (ctx == null) {
+      throw new Error('couldnt rasterise glyphs');
+    }
+    ctx.font = `${GLYPH_ATLAS_FONT_SIZE}px ${fontFamily}`;
+    ctx.textBaseline = 'alphabetic';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'black';
+    this._ctx = ctx;
+    this._outer = new Float64Array(size * size);
+    this._inner = new Float64Array(size * size);
+    this._f = new Float64Array(size);
+    this._v = new Uint16Array(size);
+    this._z = new Float64Array(size + 1);
+  }
+
+  getGlyph(chr: string): Glyph {
+    let glyph = this._glyphs.get(chr);
+    if (glyph == null) {
+      glyph = this._rasterise(chr);
+      this._glyphs.set(chr, glyph);
+    }
+    return glyph;
+  }
+
+  _rasterise(chr: string): Glyph {
+    const ctx = this._ctx;
+    const buffer = GLYPH_ATLAS_BUFFER;
+    const textMetrics = ctx.measureText(chr);
+    const left = Math.ceil(textMetrics.actualBoundingBoxLeft || 0);
+    const ascent = Math.ceil(textMetrics.actualBoundingBoxAscent || 0);
+    const width = Math.min(
+      Math.max(left + Math.ceil(textMetrics.actualBoundingBoxRight || 0), 0),
+      MAX_GLYPH_SIZE
+    );
+    const height = Math.min(
+      Math.max(
+        ascent + Math.ceil(textMetrics.actualBoundingBoxDescent || 0),
+        0
+      ),
+      MAX_GLYPH_SIZE
+    );
+    const glyph = {
+      width,
+      height,
+      bearingX: -left,
+      bearingY: ascent,
+      advance: textMetrics.width,
+      page: 0,
+      x: 0,
+      y: 0,
+    };
+    // eg. spaces
+    if (width === 0 || height === 0) {
+      return glyph;
+    }
+
+    const boxWidth = width + buffer * 2;
+    const boxHeight = height + buffer * 2;
+    ctx.clearRect(0, 0, boxWidth, boxHeight);
+    ctx.fillText(chr, buffer + left, buffer + ascent);
+    const {data: rgba} = ctx.getImageData(0, 0, boxWidth, boxHeight);
+
+    const outer = this._outer;
+    const inner = this._inner;
+    for (let i = 0; i < boxWidth * boxHeight; i++) {
+      const alpha = rgba[i * 4 + 3] / 255;
+      if (alpha === 1) {
+        outer[i] = 0;
+        inner[i] = INF;
+      } else if (alpha === 0) {
+        outer[i] = INF;
+        inner[i] = 0;
+      } else {
+        // antialiased edges are partway across their pixel
+        outer[i] = Math.pow(Math.max(0, 0.5 - alpha), 2);
+        inner[i] = Math.pow(Math.max(0, alpha - 0.5), 2);
+      }
+    }
+    edt(outer, boxWidth, boxHeight, this._f, this._v, this._z);
+    edt(inner, boxWidth, boxHeight, this._f, this._v, this._z);
+
+    const {page, x, y} = this._allocate(boxWidth, boxHeight);
+    const {data} = this.pages[page];
+    for (let row = 0; row < boxHeight; row++) {
+      for (let col = 0; col < boxWidth; col++) {
+        const i = row * boxWidth + col;
+        const distance = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+        data[(y + row) * GLYPH_ATLAS_PAGE_SIZE + x + col] = Math.max(
+          0,
+          Math.min(255, Math.round(255 - 255 * (distance / RADIUS + CUTOFF)))
+        );
+      }
+    }
+    this.pages[page].version++;
+    return {...glyph, page, x, y};
+  }
+
+  // glyphs are packed in rows (shelves) as tall as their tallest glyph
+  _allocate(width: number, height: number) {
+    if (this.pages.length === 0) {
+      this._addPage();
+    }
+    if (this._shelfX + width > GLYPH_ATLAS_PAGE_SIZE) {
+      this._shelfX = 0;
+      this._shelfY += this._shelfHeight;
+      this._shelfHeight = 0;
+    }
+    if (this._shelfY + height > GLYPH_ATLAS_PAGE_SIZE) {
+      this._addPage();
+    }
+    const position = {
+      page: this.pages.length - 1,
+      x: this._shelfX,
+      y: this._shelfY,
+    };
+    this._shelfX += width;
+    this._shelfHeight = Math.max(this._shelfHeight, height);
+    return position;
+  }
+
+  _addPage() {
+    this.pages.push({
+      data: new Uint8Array(GLYPH_ATLAS_PAGE_SIZE * GLYPH_ATLAS_PAGE_SIZE),
+      version: 0,
+    });
+    this._shelfX = 0;
+    this._shelfY = 0;
+    this._shelfHeight = 0;
+  }
+}
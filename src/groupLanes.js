@@ -0,0 +1,231 @@
+// @flow
+import {
+  BAR_HEIGHT,
+  BAR_Y_GUTTER,
+  GROUP_HEADER_HEIGHT,
+  RULER_HEIGHT,
+} from './constants';
+import {WEBGL_TEXT_TOP_PADDING_PX} from './canvasConstants';
+import type {RenderableTrace} from './renderUtils';
+import type {Theme} from './theme';
+import {getWebGLColor} from './theme';
+import {fillRects} from './WebGLRulerRenderUtils';
+import {getCollapsedTrace} from './levelOfDetail';
+import type {RenderableText} from './WebGLTextRenderUtils';
+
+// each group is drawn as a lane: a header with the group name, followed by the
+// group's measures (or a single row of their coverage, if collapsed).
+// headers stick to the top of the chart while their lane is scrolled past
+
+export type GroupLane = {
+  group: string,
+  count: number,
+  collapsed: boolean,
+  // extent of the whole lane, including the header
+  top: number,
+  bottom: number,
+  // where the header is drawn, after sticking
+  headerY: number,
+  // where the first row of measures is drawn
+  rowsTop: number,
+  rowCount: number,
+};
+
+// stacks the lanes of groups in groupOrder from startY
+export function layoutGroupLanes(
+  renderableTraceGroups: Map<string, RenderableTrace>,
+  groupOrder: Array<string>,
+  collapsedGroups: Set<string>,
+  startY: number,
+  getRowCount: RenderableTrace => number
+): Array<GroupLane> {
+  const lanes = [];
+  let top = startY;
+  for (const group of groupOrder) {
+    const groupTrace = renderableTraceGroups.get(group);
+    if (!groupTrace) continue;
+    const collapsed = collapsedGroups.has(group);
+    const rowsTop = top + GROUP_HEADER_HEIGHT;
+    const rowCount = collapsed ? 1 : getRowCount(groupTrace);
+    const bottom = rowsTop + rowCount * (BAR_HEIGHT + BAR_Y_GUTTER);
+    lanes.push({
+      group,
+      count: groupTrace.length,
+      collapsed,
+      top,
+      bottom,
+      headerY: getStickyHeaderY(top, bottom),
+      rowsTop,
+      rowCount,
+    });
+    top = bottom;
+  }
+  return lanes;
+}
+
+// the measures drawn in a group's lane
+export function getLaneTrace(
+  groupTrace: RenderableTrace,
+  lane: GroupLane
+): RenderableTrace {
+  return lane.collapsed ? getCollapsedTrace(groupTrace) : groupTrace;
+}
+
+const HEADER_TEXT_PADDING_PX = 4;
+
+export function getStickyHeaderY(top: number, bottom: number) {
+  return Math.min(Math.max(top, RULER_HEIGHT), bottom - GROUP_HEADER_HEIGHT);
+}
+
+export function getGroupHeaderLabel(lane: GroupLane) {
+  return `${lane.collapsed ? '\u{25b8}' : '\u{25be}'} ${String(lane.group)} (${
+    lane.count
+  })`;
+}
+
+export function getIntersectingGroupLane(lanes: Array<GroupLane>, y: number) {
+  return lanes.find(
+    lane => lane.headerY <= y && y < lane.headerY + GROUP_HEADER_HEIGHT
+  );
+}
+
+// index in lanes at which a group dragged to `y` would be inserted
+export function getGroupDropIndex(lanes: Array<GroupLane>, y: number) {
+  let index = 0;
+  while (
+    index < lanes.length &&
+    (lanes[index].top + lanes[index].bottom) / 2 < y
+  ) {
+    index++;
+  }
+  return index;
+}
+
+export function reorderGroups(
+  lanes: Array<GroupLane>,
+  group: string,
+  dropIndex: number
+): Array<string> {
+  const groupOrder = lanes.map(lane => lane.group);
+  const fromIndex = groupOrder.indexOf(group);
+  groupOrder.splice(fromIndex, 1);
+  groupOrder.splice(
+    fromIndex < dropIndex ? dropIndex - 1 : dropIndex,
+    0,
+    group
+  );
+  return groupOrder;
+}
+
+export function renderGroupHeaders2D(
+  ctx: CanvasRenderingContext2D,
+  theme: Theme,
+  lanes: Array<GroupLane>,
+  width: number,
+  draggingGroup: ?string
+) {
+  ctx.font = '10px Lucida Grande';
+  for (const lane of lanes) {
+    const y = lane.headerY;
+    ctx.fillStyle =
+      lane.group === draggingGroup
+        ? theme.groupHeaderDraggingBackground
+        : theme.groupHeaderBackground;
+    ctx.fillRect(0, y, width, GROUP_HEADER_HEIGHT);
+    ctx.fillStyle = theme.groupHeaderBorder;
+    ctx.fillRect(0, y + GROUP_HEADER_HEIGHT - 1, width, 1);
+    ctx.fillStyle = theme.groupHeaderText;
+    ctx.fillText(
+      getGroupHeaderLabel(lane),
+      HEADER_TEXT_PADDING_PX,
+      y + GROUP_HEADER_HEIGHT / 2 + 4
+    );
+  }
+}
+
+function getDropIndicatorY(lanes: Array<GroupLane>, dropIndex: number) {
+  const last = lanes[lanes.length - 1];
+  if (last == null) {
+    return null;
+  }
+  return dropIndex < lanes.length ? lanes[dropIndex].top : last.bottom;
+}
+
+export function renderGroupDropIndicator2D(
+  ctx: CanvasRenderingContext2D,
+  theme: Theme,
+  lanes: Array<GroupLane>,
+  dropIndex: number,
+  width: number
+) {
+  const y = getDropIndicatorY(lanes, dropIndex);
+  if (y == null) {
+    return;
+  }
+  ctx.fillStyle = theme.groupDropIndicator;
+  ctx.fillRect(0, y - 1, width, 2);
+}
+
+// labels are drawn by the text renderer, if it's ready
+export function renderGroupHeadersWebGL(
+  gl: WebGLRenderingContext,
+  theme: Theme,
+  lanes: Array<GroupLane>,
+  width: number,
+  draggingGroup: ?string,
+  renderText: ?(Array<RenderableText>, [number, number, number, number]) => void
+) {
+  for (const lane of lanes) {
+    fillRects(
+      gl,
+      width,
+      getWebGLColor(
+        lane.group === draggingGroup
+          ? theme.groupHeaderDraggingBackground
+          : theme.groupHeaderBackground
+      ),
+      [{x: 0, y: lane.headerY, width, height: GROUP_HEADER_HEIGHT}]
+    );
+  }
+  fillRects(
+    gl,
+    width,
+    getWebGLColor(theme.groupHeaderBorder),
+    lanes.map(lane => ({
+      x: 0,
+      y: lane.headerY + GROUP_HEADER_HEIGHT - 1,
+      width,
+      height: 1,
+    }))
+  );
+  if (renderText) {
+    renderText(
+      lanes.map(lane => ({
+        label: getGroupHeaderLabel(lane),
+        x: HEADER_TEXT_PADDING_PX,
+        y:
+          lane.headerY +
+          WEBGL_TEXT_TOP_PADDING_PX +
+          GROUP_HEADER_HEIGHT / 2 +
+          4,
+      })),
+      getWebGLColor(theme.groupHeaderText)
+    );
+  }
+}
+
+export function renderGroupDropIndicatorWebGL(
+  gl: WebGLRenderingContext,
+  theme: Theme,
+  lanes: Array<GroupLane>,
+  dropIndex: number,
+  width: number
+) {
+  const y = getDropIndicatorY(lanes, dropIndex);
+  if (y == null) {
+    return;
+  }
+  fillRects(gl, width, getWebGLColor(theme.groupDropIndicator), [
+    {x: 0, y: y - 1, width, height: 2},
+  ]);
+}
@@ -0,0 +1,199 @@
+// @flow
+import type {Measure} from './renderUtils';
+
+// converts Trace Event Format json (as exported by chrome://tracing, perfetto
+// and the devtools performance panel) into measures which can be passed to
+// the `trace` prop of Trace. see
+// https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+
+type TraceEvent = {
+  name?: string,
+  cat?: string,
+  ph: string,
+  ts?: number,
+  dur?: number,
+  pid?: number | string,
+  tid?: number | string,
+  args?: {[key: string]: any},
+};
+
+export type ChromeTrace =
+  | Array<TraceEvent>
+  | {traceEvents: Array<TraceEvent>, displayTimeUnit?: string};
+
+// zero size measures are omitted from the trace layout, so instant events (and
+// complete or B/E events which took no time) are given a nominal duration to
+// keep them visible
+export const INSTANT_EVENT_DURATION_MS = 0.001;
+
+// trace event timestamps are in microseconds, measures use milliseconds
+const US_PER_MS = 1000;
+
+function getThreadKey(event: TraceEvent) {
+  return `${String(event.pid)}:${String(event.tid)}`;
+}
+
+function getGroupName(
+  event: TraceEvent,
+  processNames: Map<string, string>,
+  threadNames: Map<string, string>
+) {
+  const processName = processNames.get(String(event.pid));
+  const threadName = threadNames.get(getThreadKey(event));
+  const processLabel = processName
+    ? `${processName} (${String(event.pid)})`
+    : `pid ${String(event.pid)}`;
+  const threadLabel = threadName
+    ? `${threadName} (${String(event.tid)})`
+    : `tid ${String(event.tid)}`;
+  return `${processLabel} / ${threadLabel}`;
+}
+
+function toMeasure(
+  event: TraceEvent,
+  group: string,
+  startTime: number,
+  duration: number,
+  args: ?{}
+): Measure {
+  const measure: Measure = {
+    name: event.name || '(unnamed)',
+    startTime,
+    duration,
+    group,
+  };
+  if (event.cat != null) {
+    measure.cat = event.cat;
+  }
+  if (args != null) {
+    measure.args = args;
+  }
+  return measure;
+}
+
+export default function importChromeTrace(
+  json: ChromeTrace | string
+): Array<Measure> {
+  const parsed: ChromeTrace =
+    typeof json === 'string' ? JSON.parse(json) : json;
+  const events = Array.isArray(parsed) ? parsed : parsed.traceEvents;
+  if (!Array.isArray(events)) {
+    throw new Error('importChromeTrace: expected an array of trace events');
+  }
+
+  // metadata events name the processes and threads, and can appear anywhere in
+  // the file, so collect them up front
+  const processNames: Map<string, string> = new Map();
+  const threadNames: Map<string, string> = new Map();
+  for (const event of events) {
+    if (event.ph !== 'M' || !event.args) continue;
+    if (event.name === 'process_name') {
+      processNames.set(String(event.pid), event.args.name);
+    } else if (event.name === 'thread_name') {
+      threadNames.set(getThreadKey(event), event.args.name);
+    }
+  }
+
+  // events aren't guaranteed to be in timestamp order. Array.prototype.sort is
+  // stable, so B/E events with the same timestamp keep their file order
+  const timedEvents = events
+    .filter(event => event.ph !== 'M' && typeof event.ts === 'number')
+    .sort((a, b) => (a.ts || 0) - (b.ts || 0));
+
+  const measures: Array<Measure> = [];
+  // open B events for each pid/tid
+  const openStacks: Map<string, Array<TraceEvent>> = new Map();
+  // E events with no open B event, warned about once at the end
+  let unmatchedEnds = 0;
+  // where B events which never ended are closed
+  let traceEnd = -Infinity;
+  for (const event of timedEvents) {
+    traceEnd = Math.max(traceEnd, (event.ts || 0) + (event.dur || 0));
+  }
+
+  for (const event of timedEvents) {
+    const ts = event.ts || 0;
+    const group = getGroupName(event, processNames, threadNames);
+
+    switch (event.ph) {
+      case 'X':
+        measures.push(
+          toMeasure(
+            event,
+            group,
+            ts / US_PER_MS,
+            Math.max((event.dur || 0) / US_PER_MS, INSTANT_EVENT_DURATION_MS),
+            event.args
+          )
+        );
+        break;
+      case 'B': {
+        const threadKey = getThreadKey(event);
+        const openStack = openStacks.get(threadKey) || [];
+        openStack.push(event);
+        openStacks.set(threadKey, openStack);
+        break;
+      }
+      case 'E': {
+        const openStack = openStacks.get(getThreadKey(event));
+        const begin = openStack && openStack.pop();
+        if (begin == null) {
+          unmatchedEnds++;
+          break;
+        }
+        const beginTs = begin.ts || 0;
+        // args provided on the end event are merged with those of the begin
+        const args =
+          begin.args || event.args ? {...begin.args, ...event.args} : null;
+        measures.push(
+          toMeasure(
+            begin,
+            group,
+            beginTs / US_PER_MS,
+            Math.max((ts - beginTs) / US_PER_MS, INSTANT_EVENT_DURATION_MS),
+            args
+          )
+        );
+        break;
+      }
+      case 'I':
+      case 'i':
+        measures.push(
+          toMeasure(
+            event,
+            group,
+            ts / US_PER_MS,
+            INSTANT_EVENT_DURATION_MS,
+            event.args
+          )
+        );
+        break;
+      default:
+        // async, flow, counter and sample events aren't supported
+        break;
+    }
+  }
+
+  if (unmatchedEnds > 0) {
+    console.warn(`importChromeTrace: ${unmatchedEnds} unmatched end events`);
+  }
+
+  // close any B events which never ended at the end of the trace. those which
+  // began at the very end are given a nominal duration, like instant events
+  for (const openStack of openStacks.values()) {
+    for (const begin of openStack) {
+      const beginTs = begin.ts || 0;
+      measures.push(
+        toMeasure(
+          begin,
+          getGroupName(begin, processNames, threadNames),
+          beginTs / US_PER_MS,
+          Math.max((traceEnd - beginTs) / US_PER_MS, INSTANT_EVENT_DURATION_MS),
+          begin.args
+        )
+      );
+    }
+  }
+
+  return measures.sort((a, b) => a.startTime - b.startTime);
+}
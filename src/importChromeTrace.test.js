@@ -0,0 +1,43 @@
+import importChromeTrace, {
+  INSTANT_EVENT_DURATION_MS,
+} from './importChromeTrace';
+import calculateTraceLayout from './calculateTraceLayout';
+
+it('converts complete and begin/end events to measures', () => {
+  const measures = importChromeTrace([
+    {ph: 'X', name: 'a', ts: 1000, dur: 3000, pid: 1, tid: 2},
+    {ph: 'B', name: 'b', ts: 2000, pid: 1, tid: 2},
+    {ph: 'E', ts: 2500, pid: 1, tid: 2},
+  ]);
+  expect(measures.map(m => [m.name, m.startTime, m.duration])).toEqual([
+    ['a', 1, 3],
+    ['b', 2, 0.5],
+  ]);
+  expect(measures[0].group).toBe('pid 1 / tid 2');
+});
+
+it('gives complete events which took no time a nominal duration', () => {
+  const measures = importChromeTrace([
+    {ph: 'X', name: 'zero', ts: 1000, dur: 0, pid: 1, tid: 1},
+    {ph: 'X', name: 'missing', ts: 2000, pid: 1, tid: 1},
+  ]);
+  expect(measures.map(m => m.duration)).toEqual([
+    INSTANT_EVENT_DURATION_MS,
+    INSTANT_EVENT_DURATION_MS,
+  ]);
+  // so they aren't dropped from the layout
+  expect(calculateTraceLayout(measures).length).toBe(2);
+});
+
+it('closes begin events which never ended at the end of the trace', () => {
+  const measures = importChromeTrace([
+    {ph: 'B', name: 'open', ts: 0, pid: 1, tid: 1},
+    {ph: 'X', name: 'x', ts: 100, dur: 900, pid: 1, tid: 2},
+    {ph: 'B', name: 'last', ts: 1000, pid: 1, tid: 1},
+  ]);
+  expect(measures.map(m => [m.name, m.duration])).toEqual([
+    ['open', 1],
+    ['x', 0.9],
+    ['last', INSTANT_EVENT_DURATION_MS],
+  ]);
+});
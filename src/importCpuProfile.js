@@ -0,0 +1,121 @@
+// @flow
+import type {Measure} from './renderUtils';
+import mergeStackSamples from './mergeStackSamples';
+
+// converts a V8 sampling profile (.cpuprofile files, as saved by devtools or
+// `node --cpu-prof`) into measures which can be passed to the `trace` prop of
+// Trace. consecutive samples of the same call stack are merged into nested
+// measures
+
+type CallFrame = {
+  functionName: string,
+  url: string,
+  lineNumber: number,
+  columnNumber: number,
+  scriptId?: string | number,
+};
+
+type ProfileNode = {
+  id: number,
+  callFrame: CallFrame,
+  children?: Array<number>,
+  parent?: number,
+};
+
+export type CpuProfile = {
+  nodes: Array<ProfileNode>,
+  startTime: number,
+  endTime: number,
+  samples: Array<number>,
+  timeDeltas: Array<number>,
+};
+
+type Options = {
+  group?: string,
+};
+
+// profile timestamps are in microseconds, measures use milliseconds
+const US_PER_MS = 1000;
+
+// samples taken while the VM was idle are treated as an empty stack
+const IDLE_FUNCTION_NAME = '(idle)';
+
+export default function importCpuProfile(
+  json: CpuProfile | string,
+  options?: Options = {}
+): Array<Measure> {
+  const profile: CpuProfile =
+    typeof json === 'string' ? JSON.parse(json) : json;
+  if (!Array.isArray(profile.nodes) || !Array.isArray(profile.samples)) {
+    throw new Error('importCpuProfile: expected nodes and samples arrays');
+  }
+
+  const nodesById: Map<number, ProfileNode> = new Map();
+  const parents: Map<number, number> = new Map();
+  for (const node of profile.nodes) {
+    nodesById.set(node.id, node);
+    if (node.parent != null) {
+      parents.set(node.id, node.parent);
+    }
+  }
+  for (const node of profile.nodes) {
+    if (node.children) {
+      for (const childId of node.children) {
+        parents.set(childId, node.id);
+      }
+    }
+  }
+
+  // stacks from root to leaf, excluding the '(root)' node itself
+  const stacksCache: Map<number, Array<ProfileNode>> = new Map();
+  function getStack(nodeId: number): Array<ProfileNode> {
+    const cached = stacksCache.get(nodeId);
+    if (cached) return cached;
+    const node = nodesById.get(nodeId);
+    const parentId = parents.get(nodeId);
+    let stack = [];
+    if (
+      node != null &&
+      parentId != null &&
+      node.callFrame.functionName !== IDLE_FUNCTION_NAME
+    ) {
+      stack = getStack(parentId).concat(node);
+    }
+    stacksCache.set(nodeId, stack);
+    return stack;
+  }
+
+  const samples = [];
+  const {timeDeltas} = profile;
+  let time = profile.startTime;
+  for (let i = 0; i < profile.samples.length; i++) {
+    time += timeDeltas[i] || 0;
+    const nextTime =
+      i + 1 < profile.samples.length
+        ? time + (timeDeltas[i + 1] || 0)
+        : Math.max(time, profile.endTime);
+    samples.push({
+      stack: getStack(profile.samples[i]),
+      startTime: time / US_PER_MS,
+      endTime: nextTime / US_PER_MS,
+    });
+  }
+
+  return mergeStackSamples(
+    samples,
+    node => node.id,
+    (node, startTime, duration) => {
+      const {functionName, url, lineNumber, columnNumber} = node.callFrame;
+      const measure: Measure = {
+        name: functionName || '(anonymous)',
+        startTime,
+        duration,
+        args: {url, lineNumber, columnNumber},
+      };
+      if (options.group != null) {
+        measure.group = options.group;
+      }
+      return measure;
+    }
+  );
+}
@@ -0,0 +1,86 @@
+// @flow
+import type {Measure} from './renderUtils';
+import mergeStackSamples from './mergeStackSamples';
+
+// converts collapsed stacks (the `a;b;c 123` format produced by
+// stackcollapse-perf.pl and friends from brendan gregg's FlameGraph tools) into
+// measures which can be passed to the `trace` prop of Trace.
+//
+// folded stacks have no timing information, so as in a classic flamegraph the
+// stacks are sorted alphabetically and laid out left to right, with each
+// measure's `startTime` and `duration` being in units of samples rather than
+// milliseconds
+
+type Options = {
+  group?: string,
+};
+
+// compares stacks frame by frame, so stacks with a common prefix stay
+// together. compared as strings, `a;b x` would sort between `a;b` and `a;b;c`
+// as ' ' sorts before ';'
+function compareStacks(a: Array<string>, b: Array<string>) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return a.length - b.length;
+}
+
+export default function importFoldedStacks(
+  text: string,
+  options?: Options = {}
+): Array<Measure> {
+  // merge duplicate stacks
+  const counts: Map<string, number> = new Map();
+  const lines = text.split('\n');
+  let malformedLines = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '') continue;
+    // frame names can contain spaces, the count is the last token
+    const separatorIndex = line.lastIndexOf(' ');
+    const count = parseFloat(line.slice(separatorIndex + 1));
+    if (separatorIndex === -1 || Number.isNaN(count)) {
+      malformedLines++;
+      continue;
+    }
+    const stack = line.slice(0, separatorIndex);
+    counts.set(stack, (counts.get(stack) || 0) + count);
+  }
+  if (malformedLines > 0) {
+    console.warn(
+      `importFoldedStacks: skipped ${malformedLines} malformed lines`
+    );
+  }
+
+  // sorting puts stacks with common prefixes next to each other, so they get
+  // merged into the same measures
+  const stacks = Array.from(counts.keys(), stack => ({
+    frames: stack.split(';'),
+    count: counts.get(stack) || 0,
+  })).sort((a, b) => compareStacks(a.frames, b.frames));
+  const samples = [];
+  let offset = 0;
+  for (const {frames, count} of stacks) {
+    samples.push({
+      stack: frames,
+      startTime: offset,
+      endTime: offset + count,
+    });
+    offset += count;
+  }
+
+  return mergeStackSamples(
+    samples,
+    frame => frame,
+    (frame, startTime, duration) => {
+      const measure: Measure = {name: frame, startTime, duration};
+      if (options.group != null) {
+        measure.group = options.group;
+      }
+      return measure;
+    }
+  );
+}
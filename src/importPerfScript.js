@@ -0,0 +1,119 @@
+// @flow
+import type {Measure} from './renderUtils';
+import mergeStackSamples from './mergeStackSamples';
+
+// converts the output of `perf script` (linux perf samples with call stacks,
+// recorded with `perf record -g`) into measures which can be passed to the
+// `trace` prop of Trace. samples are laid out by their timestamps, with each
+// thread in a separate group, and consecutive samples of the same call stack
+// merged into nested measures
+
+type Frame = {
+  symbol: string,
+  dso: ?string,
+};
+
+type PerfSample = {
+  time: number,
+  stack: Array<Frame>,
+};
+
+// perf timestamps are in seconds, measures use milliseconds
+const MS_PER_S = 1000;
+
+// a sample is assumed to last until the next sample of the same thread, unless
+// that's more than this many sampling intervals away, in which case the thread
+// is assumed to have been idle in between
+const MAX_SAMPLE_GAP_INTERVALS = 2;
+
+// eg. `node 12345/12346 [002] 6521.308232:     250000 cpu-clock:`
+// the command name can contain spaces, and the tid and cpu are optional
+const HEADER_REGEX = /^(\S.*?)\s+(\d+)(?:\/(\d+))?\s+(?:\[\d+\]\s+)?(\d+\.\d+):/;
+// eg. `	    7f3c1a2b3c4d v8::internal::Heap::Scavenge+0x1a (/usr/bin/node)`
+const FRAME_REGEX = /^\s+[0-9a-fA-F]+\s+(.+?)(?:\s+\(([^)]*)\))?$/;
+
+function getFrameKey(frame: Frame) {
+  return `${frame.symbol} ${frame.dso || ''}`;
+}
+
+function getSampleInterval(samples: Array<PerfSample>) {
+  const deltas = [];
+  for (let i = 1; i < samples.length; i++) {
+    deltas.push(samples[i].time - samples[i - 1].time);
+  }
+  if (deltas.length === 0) {
+    return 1;
+  }
+  deltas.sort((a, b) => a - b);
+  return deltas[Math.floor(deltas.length / 2)] || 1;
+}
+
+function parsePerfScript(text: string): Map<string, Array<PerfSample>> {
+  const samplesByThread: Map<string, Array<PerfSample>> = new Map();
+  let current: ?PerfSample = null;
+
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === '' || line.startsWith('#')) {
+      current = null;
+      continue;
+    }
+    const header = HEADER_REGEX.exec(line);
+    if (header != null && !/^\s/.test(line)) {
+      const [, comm, pid, tid, time] = header;
+      const group = `${comm} (${tid != null ? tid : pid})`;
+      current = {time: parseFloat(time) * MS_PER_S, stack: []};
+      const threadSamples = samplesByThread.get(group) || [];
+      threadSamples.push(current);
+      samplesByThread.set(group, threadSamples);
+      continue;
+    }
+    const frame = FRAME_REGEX.exec(line);
+    if (frame != null && current != null) {
+      // stacks are printed from leaf to root
+      current.stack.unshift({
+        // strip the offset into the function
+        symbol: frame[1].replace(/\+0x[0-9a-fA-F]+$/, ''),
+        dso: frame[2],
+      });
+    }
+  }
+  return samplesByThread;
+}
+
+export default function importPerfScript(text: string): Array<Measure> {
+  const measures = [];
+  for (const [group, threadSamples] of parsePerfScript(text)) {
+    threadSamples.sort((a, b) => a.time - b.time);
+    const interval = getSampleInterval(threadSamples);
+
+    const samples = threadSamples.map((sample, i) => {
+      const next = threadSamples[i + 1];
+      const endTime =
+        next != null &&
+        next.time - sample.time <= interval * MAX_SAMPLE_GAP_INTERVALS
+          ? next.time
+          : sample.time + interval;
+      return {stack: sample.stack, startTime: sample.time, endTime};
+    });
+
+    const threadMeasures = mergeStackSamples(
+      samples,
+      getFrameKey,
+      (frame, startTime, duration) => ({
+        name: frame.symbol,
+        startTime,
+        duration,
+        group,
+        args: frame.dso != null ? {dso: frame.dso} : {},
+      })
+    );
+    // appended one at a time, as spreading a thread's measures into push()
+    // overflows the stack for long captures
+    for (let i = 0; i < threadMeasures.length; i++) {
+      measures.push(threadMeasures[i]);
+    }
+  }
+  return measures.sort((a, b) => a.startTime - b.startTime);
+}
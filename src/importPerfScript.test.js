@@ -0,0 +1,41 @@
+import importPerfScript from './importPerfScript';
+
+function perfSample(time, frames) {
+  return [
+    `node 1234/1235 [000] ${time.toFixed(6)}: 250000 cpu-clock:`,
+    // leaf first
+    ...frames.map(
+      (symbol, i) => `\t    ${i.toString(16)} ${symbol} (/usr/bin/node)`
+    ),
+    '',
+  ].join('\n');
+}
+
+it('merges consecutive samples of the same frames', () => {
+  const text = [
+    perfSample(1, ['a', 'main']),
+    perfSample(1.001, ['a', 'main']),
+    perfSample(1.002, ['b', 'main']),
+  ].join('\n');
+  const measures = importPerfScript(text);
+  expect(measures.map(m => [m.name, m.startTime])).toEqual([
+    ['main', 1000],
+    ['a', 1000],
+    ['b', 1002],
+  ]);
+  expect(measures[0].duration).toBeCloseTo(3);
+  expect(measures[1].duration).toBeCloseTo(2);
+  expect(measures[2].duration).toBeCloseTo(1);
+  expect(measures[0].group).toBe('node (1235)');
+});
+
+it('imports captures with a large number of samples', () => {
+  const count = 200000;
+  const samples = [];
+  for (let i = 0; i < count; i++) {
+    // alternating leaf frames, so each sample becomes its own measure
+    samples.push(perfSample(1 + i * 0.001, [i % 2 ? 'b' : 'a', 'main']));
+  }
+  const measures = importPerfScript(samples.join('\n'));
+  expect(measures.length).toBe(count + 1);
+});
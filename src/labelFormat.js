@@ -0,0 +1,51 @@
+// @flow
+
+import type {Measure} from './renderUtils';
+import {formatMs} from './renderUtils';
+import type {LabelText, Truncation} from './textLayoutCache';
+
+// built in label formats, which (unlike functions) also work in worker mode
+export type LabelFormat = {
+  // how labels which don't fit are shortened (see textLayoutCache). defaults
+  // to 'middle'
+  truncate?: Truncation,
+  // show the duration after the name where it fits, eg. 'render (12.3ms)'
+  showDuration?: boolean,
+};
+
+// the label to draw for a measure in availableWidth px. text measures and
+// shortens text in the renderer's font
+export type LabelFormatter = (
+  measure: Measure,
+  availableWidth: number,
+  text: LabelText
+) => string;
+
+export type FormatLabel = LabelFormat | LabelFormatter;
+
+const TRUNCATED_LABELS: LabelFormat = {truncate: 'middle'};
+const FULL_LABELS: LabelFormat = {truncate: 'none'};
+
+// the format used without a formatLabel prop
+export function getDefaultLabelFormat(truncateLabels: ?boolean): LabelFormat {
+  return truncateLabels ? TRUNCATED_LABELS : FULL_LABELS;
+}
+
+export function formatLabel(
+  format: FormatLabel,
+  measure: Measure,
+  availableWidth: number,
+  text: LabelText
+): string {
+  if (typeof format === 'function') {
+    return format(measure, availableWidth, text);
+  }
+  const {truncate = 'middle', showDuration = false} = format;
+  if (showDuration) {
+    const withDuration = `${measure.name} (${formatMs(measure.duration)})`;
+    if (text.measure(withDuration) <= availableWidth) {
+      return withDuration;
+    }
+  }
+  return text.fit(measure.name, availableWidth, truncate);
+}
@@ -0,0 +1,208 @@
+// @flow
+import type {RenderableMeasure} from './calculateTraceLayout';
+import {getLayoutVersion} from './calculateTraceLayout';
+import type {Measure, RenderableTrace} from './renderUtils';
+import getSpatialIndex, {SpatialIndex} from './spatialIndex';
+
+// when zoomed out, measures narrower than a pixel would each be drawn as a 1px
+// wide bar, which overdraws and makes sparse areas look as dense as busy ones.
+// instead, runs of adjacent tiny measures in the same row are merged into
+// aggregate blocks spanning the run.
+//
+// merging depends only on how much time a pixel covers, so it's done at mip
+// levels a power of two apart, each built once and cached. a level merges
+// measures shorter than 2^level ms (which is at most 1px at the zoom it's used
+// for) which are less than that apart.
+//
+// collapsed groups are drawn as a single row of the coverage of all of their
+// measures (see getCollapsedTrace), which is merged in the same way
+
+export type Aggregate = {
+  count: number,
+  // sum of the durations of the merged measures, excluding gaps
+  totalDuration: number,
+  // the longest of the merged measures, which the block is coloured (and
+  // dimmed by searching) as
+  representative: Measure,
+};
+
+type Level = {
+  renderableTrace: RenderableTrace,
+  index: SpatialIndex,
+};
+
+// aggregate blocks are drawn from a stand-in measure spanning the run
+const aggregates: WeakMap<Measure, Aggregate> = new WeakMap();
+
+export function getAggregate(measure: Measure): ?Aggregate {
+  return aggregates.get(measure);
+}
+
+export function getRepresentativeMeasure(measure: Measure): Measure {
+  const aggregate = aggregates.get(measure);
+  return aggregate ? aggregate.representative : measure;
+}
+
+export function getLODLevel(msPerPx: number) {
+  return Math.floor(Math.log2(msPerPx));
+}
+
+// runs can include blocks which were already merged (from a collapsed group),
+// which are counted as the measures they contain
+function mergeRun(
+  run: Array<RenderableMeasure<Measure>>,
+  end: number
+): RenderableMeasure<Measure> {
+  const first = run[0];
+  if (run.length === 1) {
+    return first;
+  }
+  let representative = getRepresentativeMeasure(first.measure);
+  let count = 0;
+  let totalDuration = 0;
+  for (const {measure} of run) {
+    const aggregate = aggregates.get(measure);
+    count += aggregate ? aggregate.count : 1;
+    totalDuration += aggregate ? aggregate.totalDuration : measure.duration;
+    const candidate = aggregate ? aggregate.representative : measure;
+    if (candidate.duration > representative.duration) {
+      representative = candidate;
+    }
+  }
+  const measure: Measure = {
+    name: `${count} measures`,
+    startTime: first.measure.startTime,
+    duration: end - first.measure.startTime,
+    group: first.measure.group,
+  };
+  aggregates.set(measure, {count, totalDuration, representative});
+  return {stackIndex: first.stackIndex, measure};
+}
+
+// overlapping measures are merged into a block spanning them, unless the
+// first of them spans the rest (as a top level measure spans the measures
+// nested in it), in which case it's drawn as is
+function buildCollapsedTrace(renderableTrace: RenderableTrace) {
+  const sorted = renderableTrace
+    .slice()
+    .sort((a, b) => a.measure.startTime - b.measure.startTime);
+  const collapsed = [];
+  let run = [];
+  let runEnd = -Infinity;
+  const flush = () => {
+    const first = run[0];
+    const firstEnd = first.measure.startTime + first.measure.duration;
+    const merged = firstEnd >= runEnd ? first : mergeRun(run, runEnd);
+    collapsed.push(
+      merged.stackIndex === 0 ? merged : {...merged, stackIndex: 0}
+    );
+  };
+  for (const renderableMeasure of sorted) {
+    const {startTime, duration} = renderableMeasure.measure;
+    if (run.length > 0 && startTime >= runEnd) {
+      flush();
+      run = [];
+    }
+    run.push(renderableMeasure);
+    runEnd = Math.max(runEnd, startTime + duration);
+  }
+  if (run.length > 0) {
+    flush();
+  }
+  return collapsed;
+}
+
+function buildLevel(renderableTrace: RenderableTrace, level: number): Level {
+  const threshold = Math.pow(2, level);
+  const index = getSpatialIndex(renderableTrace);
+  const merged = [];
+  for (let row = 0; row < index.getRowCount(); row++) {
+    let run = [];
+    let runEnd = -Infinity;
+    index.forEachInRange(row, -Infinity, Infinity, renderableMeasure => {
+      const {startTime, duration} = renderableMeasure.measure;
+      if (run.length > 0 && startTime - runEnd >= threshold) {
+        merged.push(mergeRun(run, runEnd));
+        run = [];
+      }
+      if (duration < threshold) {
+        run.push(renderableMeasure);
+        runEnd = Math.max(runEnd, startTime + duration);
+      } else {
+        if (run.length > 0) {
+          merged.push(mergeRun(run, runEnd));
+          run = [];
+        }
+        merged.push(renderableMeasure);
+      }
+    });
+    if (run.length > 0) {
+      merged.push(mergeRun(run, runEnd));
+    }
+  }
+  // when zoomed in far enough that nothing is merged, the level is the trace
+  return merged.length < renderableTrace.length
+    ? {renderableTrace: merged, index: new SpatialIndex(merged)}
+    : {renderableTrace, index};
+}
+
+const collapsedCache: WeakMap<
+  RenderableTrace,
+  {version: number, collapsed: RenderableTrace}
+> = new WeakMap();
+
+// a single row with the coverage of all of the measures of a group, for
+// drawing it collapsed
+export function getCollapsedTrace(
+  renderableTrace: RenderableTrace
+): RenderableTrace {
+  // renderable traces can be laid out again in place, so this is rebuilt when
+  // the layout changes
+  const version = getLayoutVersion(renderableTrace);
+  const cached = collapsedCache.get(renderableTrace);
+  if (cached != null && cached.version === version) {
+    return cached.collapsed;
+  }
+  const collapsed = buildCollapsedTrace(renderableTrace);
+  collapsedCache.set(renderableTrace, {version, collapsed});
+  return collapsed;
+}
+
+const levelsCache: WeakMap<
+  RenderableTrace,
+  {version: number, levels: Map<number, Level>}
+> = new WeakMap();
+
+function getLevel(renderableTrace: RenderableTrace, level: number): Level {
+  let cached = levelsCache.get(renderableTrace);
+  // renderable traces can be laid out again in place, so levels are rebuilt
+  // when the layout changes
+  const version = getLayoutVersion(renderableTrace);
+  if (cached == null || cached.version !== version) {
+    cached = {version, levels: new Map()};
+    levelsCache.set(renderableTrace, cached);
+  }
+  let built = cached.levels.get(level);
+  if (built == null) {
+    built = buildLevel(renderableTrace, level);
+    cached.levels.set(level, built);
+  }
+  return built;
+}
+
+// the measures to draw when a pixel covers msPerPx, with tiny ones merged
+export function getLODTrace(
+  renderableTrace: RenderableTrace,
+  msPerPx: number
+): RenderableTrace {
+  return getLevel(renderableTrace, getLODLevel(msPerPx)).renderableTrace;
+}
+
+// a spatial index of the measures to draw when a pixel covers msPerPx, for
+// culling and hit-testing
+export default function getLODIndex(
+  renderableTrace: RenderableTrace,
+  msPerPx: number
+): SpatialIndex {
+  return getLevel(renderableTrace, getLODLevel(msPerPx)).index;
+}
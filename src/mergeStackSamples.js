@@ -0,0 +1,82 @@
+// @flow
+import type {Measure} from './renderUtils';
+
+// a sample of a call stack (ordered from root to leaf) over some interval
+export type StackSample<TFrame> = {
+  stack: Array<TFrame>,
+  startTime: number,
+  endTime: number,
+};
+
+// converts a sequence of stack samples (in time order) into measures, merging
+// consecutive samples which share frames into a single measure per frame, so
+// that a frame which was on the stack for several samples in a row becomes one
+// interval enclosing the intervals of the frames it called
+export default function mergeStackSamples<TFrame>(
+  samples: Array<StackSample<TFrame>>,
+  getFrameKey: (frame: TFrame) => mixed,
+  createMeasure: (frame: TFrame, startTime: number, duration: number) => Measure
+): Array<Measure> {
+  type OpenFrame = {
+    frame: TFrame,
+    key: mixed,
+    startTime: number,
+    index: number,
+  };
+
+  // measures are allocated when a frame is opened so that outer frames precede
+  // the frames they enclose, then filled in when the frame is closed
+  const measures: Array<?Measure> = [];
+  const openFrames: Array<OpenFrame> = [];
+  let prevEndTime = 0;
+
+  function closeFrames(depth: number, endTime: number) {
+    while (openFrames.length > depth) {
+      const open = openFrames.pop();
+      measures[open.index] = createMeasure(
+        open.frame,
+        open.startTime,
+        endTime - open.startTime
+      );
+    }
+  }
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = samples[i];
+    const {stack} = sample;
+
+    // frames can only continue from the previous sample if there was no gap
+    let commonDepth = 0;
+    if (sample.startTime === prevEndTime) {
+      while (
+        commonDepth < openFrames.length &&
+        commonDepth < stack.length &&
+        openFrames[commonDepth].key === getFrameKey(stack[commonDepth])
+      ) {
+        commonDepth++;
+      }
+    }
+    closeFrames(commonDepth, prevEndTime);
+
+    for (let depth = commonDepth; depth < stack.length; depth++) {
+      openFrames.push({
+        frame: stack[depth],
+        key: getFrameKey(stack[depth]),
+        startTime: sample.startTime,
+        index: measures.length,
+      });
+      measures.push(null);
+    }
+    prevEndTime = sample.endTime;
+  }
+  closeFrames(0, prevEndTime);
+
+  const result: Array<Measure> = [];
+  for (let i = 0; i < measures.length; i++) {
+    const measure = measures[i];
+    if (measure != null) {
+      result.push(measure);
+    }
+  }
+  return result;
+}
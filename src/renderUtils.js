@@ -1,12 +1,14 @@
 // @flow
 import type {RenderableMeasure} from './calculateTraceLayout';
+import {getLayoutVersion} from './calculateTraceLayout';
+import type {Colorizer, Color} from './colorScheme';
+import type {Theme, ParsedColor} from './theme';
+import {LIGHT_THEME, parseColor, DIMMED_COLOR_MIX} from './theme';
 
 import memoizeWeak from './memoizeWeak';
 
 import {PX_PER_MS, BAR_HEIGHT, BAR_Y_GUTTER, BAR_X_GUTTER} from './constants';
 
-type Color = [number, number, number];
-
 export type StateForLayout = {
   center: number,
   viewportWidth: number,
@@ -19,6 +21,7 @@ export type Measure = {
   startTime: number,
   duration: number,
   group?: string,
+  cat?: string,
   args?: {},
 };
 
@@ -38,13 +41,37 @@ export type Extents = {
 
 export type RenderableTrace = Array<RenderableMeasure<Measure>>;
 
-function getRandomColor(): Color {
-  return [
-    Math.floor((1 - Math.random() * 0.5) * 256),
-    Math.floor((1 - Math.random() * 0.7) * 256),
-    Math.floor((1 - Math.random() * 0.3) * 256),
-  ];
-}
+export type TimeRange = {
+  start: number,
+  end: number,
+};
+
+// used until a colorizer is set
+const DEFAULT_MEASURE_COLOR: Color = [204, 204, 204];
+
+// colour strings are cached by colour, as colorizers return the same colour
+// object for each measure (and often the same one for many measures)
+const getColorRGB: Color => string = memoizeWeak(
+  color => `rgb(${color[0]},${color[1]},${color[2]})`
+);
+
+const getHoverColorRGB: Color => string = memoizeWeak(
+  color =>
+    `rgb(${Math.min(color[0] + 20, 255)},${Math.min(
+      color[1] + 20,
+      255
+    )},${Math.min(color[2] + 20, 255)})`
+);
+
+const getDimmedColorRGB: ParsedColor => Color => string = memoizeWeak(
+  background =>
+    memoizeWeak(color => {
+      const [r, g, b] = color.map((c, i) =>
+        Math.floor(c + (background[i] - c) * DIMMED_COLOR_MIX)
+      );
+      return `rgb(${r},${g},${b})`;
+    })
+);
 
 export function getLayout(
   state: StateForLayout,
@@ -72,28 +99,130 @@ export function getLayout(
   };
 }
 
+// inverse of the horizontal part of getLayout
+export function getTimeAtX(state: StateForLayout, x: number) {
+  return state.center + (x - state.viewportWidth / 2) / PX_PER_MS / state.zoom;
+}
+
+export function getXAtTime(state: StateForLayout, time: number) {
+  return (
+    (time - state.center) * PX_PER_MS * state.zoom + state.viewportWidth / 2
+  );
+}
+
+// the range of stack rows (end exclusive) of a trace drawn from startY which
+// are at least partly between top and bottom
+export function getVisibleRows(
+  startY: number,
+  top: number,
+  bottom: number,
+  rowCount: number
+) {
+  const rowHeight = BAR_HEIGHT + BAR_Y_GUTTER;
+  return {
+    start: Math.max(0, Math.floor((top - startY - BAR_HEIGHT) / rowHeight) + 1),
+    end: Math.min(rowCount, Math.ceil((bottom - startY) / rowHeight)),
+  };
+}
+
+// the stack row of a trace drawn from startY which has a bar at y, if any (not
+// in the gutter between rows)
+export function getRowAtY(
+  startY: number,
+  y: number,
+  rowCount: number
+): ?number {
+  const rowHeight = BAR_HEIGHT + BAR_Y_GUTTER;
+  const row = Math.floor((y - startY) / rowHeight);
+  if (row < 0 || row >= rowCount || y - startY - row * rowHeight > BAR_HEIGHT) {
+    return null;
+  }
+  return row;
+}
+
+export function formatMs(value: number) {
+  return `${value.toFixed(1)}ms`;
+}
+
 export class UtilsWithCache {
-  _getMeasureColor: Measure => Color = memoizeWeak(measure => getRandomColor());
+  _colorizer: ?Colorizer = null;
+  _theme: Theme = LIGHT_THEME;
+
+  // renderers should set these from their props before rendering
+  _setColorizer(colorizer: Colorizer) {
+    this._colorizer = colorizer;
+  }
+
+  _setTheme(theme: Theme) {
+    this._theme = theme;
+  }
+
+  _getMeasureColor(measure: Measure): Color {
+    return this._colorizer
+      ? this._colorizer.getColor(measure)
+      : DEFAULT_MEASURE_COLOR;
+  }
 
   _getMeasureColorRGBA(measure: Measure, opacity: number) {
     const color = this._getMeasureColor(measure);
     return `rgba(${color[0]},${color[1]},${color[2]},${opacity})`;
   }
 
-  _getMeasureColorRGB: Measure => string = memoizeWeak(measure => {
-    const color = this._getMeasureColor(measure);
-    return `rgb(${color[0]},${color[1]},${color[2]})`;
-  });
+  _getMeasureColorRGB(measure: Measure): string {
+    return getColorRGB(this._getMeasureColor(measure));
+  }
 
-  _getMeasureHoverColorRGB: Measure => string = memoizeWeak(measure => {
-    const color = this._getMeasureColor(measure);
-    return `rgb(${Math.min(color[0] + 20, 255)},${Math.min(
-      color[1] + 20,
-      255
-    )},${Math.min(color[2] + 20, 255)})`;
-  });
+  _getMeasureHoverColorRGB(measure: Measure): string {
+    return getHoverColorRGB(this._getMeasureColor(measure));
+  }
 
-  _getMaxStackIndex: RenderableTrace => number = memoizeWeak(renderableTrace =>
-    renderableTrace.reduce((acc, item) => Math.max(item.stackIndex, acc), 0)
-  );
+  // renderable traces can be laid out again in place (see
+  // IncrementalTraceLayout), so cached values are only valid for the layout
+  // version they were computed at
+  _maxStackIndexCache: WeakMap<
+    RenderableTrace,
+    {version: number, maxStackIndex: number}
+  > = new WeakMap();
+
+  _getMeasureDimmedColorRGB(measure: Measure): string {
+    return getDimmedColorRGB(parseColor(this._theme.background))(
+      this._getMeasureColor(measure)
+    );
+  }
+
+  _renderableMeasureIndexCache: WeakMap<
+    RenderableTrace,
+    {version: number, index: Map<Measure, RenderableMeasure<Measure>>}
+  > = new WeakMap();
+
+  // for looking up where a measure has been laid out
+  _getRenderableMeasureIndex(
+    renderableTrace: RenderableTrace
+  ): Map<Measure, RenderableMeasure<Measure>> {
+    const version = getLayoutVersion(renderableTrace);
+    const cached = this._renderableMeasureIndexCache.get(renderableTrace);
+    if (cached != null && cached.version === version) {
+      return cached.index;
+    }
+    const index = new Map();
+    for (const renderableMeasure of renderableTrace) {
+      index.set(renderableMeasure.measure, renderableMeasure);
+    }
+    this._renderableMeasureIndexCache.set(renderableTrace, {version, index});
+    return index;
+  }
+
+  _getMaxStackIndex(renderableTrace: RenderableTrace): number {
+    const version = getLayoutVersion(renderableTrace);
+    const cached = this._maxStackIndexCache.get(renderableTrace);
+    if (cached != null && cached.version === version) {
+      return cached.maxStackIndex;
+    }
+    const maxStackIndex = renderableTrace.reduce(
+      (acc, item) => Math.max(item.stackIndex, acc),
+      0
+    );
+    this._maxStackIndexCache.set(renderableTrace, {version, maxStackIndex});
+    return maxStackIndex;
+  }
 }
@@ -0,0 +1,83 @@
+// @flow
+import type {Measure, RenderableTrace} from './renderUtils';
+import type {RenderableMeasure} from './calculateTraceLayout';
+import memoizeWeak from './memoizeWeak';
+
+export type SearchQuery = {
+  text: string,
+  // treat text as a regular expression rather than a substring
+  isRegex: boolean,
+  // also match against the values of measure.args
+  matchArgs: boolean,
+};
+
+export const EMPTY_SEARCH_QUERY: SearchQuery = {
+  text: '',
+  isRegex: false,
+  matchArgs: false,
+};
+
+const getArgsText: Measure => string = memoizeWeak(measure => {
+  const args = measure.args;
+  if (args == null) {
+    return '';
+  }
+  return Object.keys(args)
+    .map(key => {
+      const value = args[key];
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    })
+    .join('\n');
+});
+
+// returns an error message if the query can't be used, eg. an invalid regex
+export function getSearchQueryError(query: SearchQuery): ?string {
+  if (query.isRegex) {
+    try {
+      new RegExp(query.text);
+    } catch (err) {
+      return err.message;
+    }
+  }
+  return null;
+}
+
+// returns null when there's nothing to search for, so callers can tell the
+// difference between no search and a search with no matches.
+// matching is case insensitive
+export function createSearchMatcher(query: SearchQuery): ?(Measure) => boolean {
+  if (query.text === '' || getSearchQueryError(query) != null) {
+    return null;
+  }
+  let test;
+  if (query.isRegex) {
+    const regex = new RegExp(query.text, 'i');
+    test = (text: string) => regex.test(text);
+  } else {
+    const lowerCaseText = query.text.toLowerCase();
+    test = (text: string) => text.toLowerCase().includes(lowerCaseText);
+  }
+  return (measure: Measure) =>
+    test(measure.name) || (query.matchArgs && test(getArgsText(measure)));
+}
+
+// finds matching measures across several renderable traces (eg. one per
+// group), in order of start time
+export function findSearchMatches(
+  renderableTraces: Array<RenderableTrace>,
+  query: SearchQuery
+): ?Array<RenderableMeasure<Measure>> {
+  const matcher = createSearchMatcher(query);
+  if (matcher == null) {
+    return null;
+  }
+  const matches = [];
+  for (const renderableTrace of renderableTraces) {
+    for (let i = 0; i < renderableTrace.length; i++) {
+      if (matcher(renderableTrace[i].measure)) {
+        matches.push(renderableTrace[i]);
+      }
+    }
+  }
+  return matches.sort((a, b) => a.measure.startTime - b.measure.startTime);
+}
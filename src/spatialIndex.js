@@ -0,0 +1,123 @@
+// @flow
+import type {RenderableMeasure} from './calculateTraceLayout';
+import {getLayoutVersion} from './calculateTraceLayout';
+import type {Measure, RenderableTrace} from './renderUtils';
+
+// an index of a renderable trace's measures by row (stack index) and time, for
+// finding the measures in view or under the mouse without visiting every
+// measure. each row is sorted by start time, alongside the running max of the
+// end times, so the first measure which ends after a given time can be found
+// by binary search, even if measures in the row overlap
+
+type Row = {
+  measures: RenderableTrace,
+  maxEnds: Array<number>,
+};
+
+function getEnd(renderableMeasure: RenderableMeasure<Measure>) {
+  return (
+    renderableMeasure.measure.startTime + renderableMeasure.measure.duration
+  );
+}
+
+export class SpatialIndex {
+  _rows: Array<Row> = [];
+
+  constructor(renderableTrace: RenderableTrace) {
+    const rows: Array<RenderableTrace> = [];
+    for (const renderableMeasure of renderableTrace) {
+      const {stackIndex} = renderableMeasure;
+      while (rows.length <= stackIndex) {
+        rows.push([]);
+      }
+      rows[stackIndex].push(renderableMeasure);
+    }
+    this._rows = rows.map(measures => {
+      measures.sort((a, b) => a.measure.startTime - b.measure.startTime);
+      const maxEnds = [];
+      let maxEnd = -Infinity;
+      for (const renderableMeasure of measures) {
+        maxEnd = Math.max(maxEnd, getEnd(renderableMeasure));
+        maxEnds.push(maxEnd);
+      }
+      return {measures, maxEnds};
+    });
+  }
+
+  getRowCount() {
+    return this._rows.length;
+  }
+
+  // index of the first measure in the row which could end at or after time
+  _findFirst(row: Row, time: number) {
+    let low = 0;
+    let high = row.maxEnds.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (row.maxEnds[mid] < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  // calls fn with each measure in the row which overlaps start-end, in order of
+  // start time
+  forEachInRange(
+    rowIndex: number,
+    start: number,
+    end: number,
+    fn: (RenderableMeasure<Measure>) => void
+  ) {
+    const row = this._rows[rowIndex];
+    if (row == null) {
+      return;
+    }
+    const {measures} = row;
+    for (
+      let i = this._findFirst(row, start);
+      i < measures.length && measures[i].measure.startTime <= end;
+      i++
+    ) {
+      if (getEnd(measures[i]) >= start) {
+        fn(measures[i]);
+      }
+    }
+  }
+
+  // the last measure (ie. the one drawn on top) in the row which overlaps
+  // start-end
+  findInRange(
+    rowIndex: number,
+    start: number,
+    end: number
+  ): ?RenderableMeasure<Measure> {
+    let found = null;
+    this.forEachInRange(rowIndex, start, end, renderableMeasure => {
+      found = renderableMeasure;
+    });
+    return found;
+  }
+}
+
+const indexCache: WeakMap<
+  RenderableTrace,
+  {version: number, index: SpatialIndex}
+> = new WeakMap();
+
+// renderable traces can be laid out again in place (see
+// IncrementalTraceLayout), so the index is rebuilt when the layout changes
+export default function getSpatialIndex(
+  renderableTrace: RenderableTrace
+): SpatialIndex {
+  const version = getLayoutVersion(renderableTrace);
+  const cached = indexCache.get(renderableTrace);
+  if (cached != null && cached.version === version) {
+    return cached.index;
+  }
+  const index = new SpatialIndex(renderableTrace);
+  indexCache.set(renderableTrace, {version, index});
+  return index;
+}
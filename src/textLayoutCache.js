@@ -0,0 +1,255 @@
+// @flow
+
+// caches of the layout of label text, shared by the canvas and webgl renderers
+// (and their instances), per font. labels are measured once, as prefix sums of
+// their glyphs' advances, so the point to truncate them at to fit a width can
+// be found without measuring the text again. truncated labels are cached per
+// bucket of widths, so zooming doesn't truncate each label on every frame
+
+// how labels which don't fit are shortened:
+// - 'end': 'ReactComponentRe…'
+// - 'start': '…tComponentRender'
+// - 'middle': 'ReactCom…tRender'
+// - 'alias': the longest alias which fits, from dropping bracketed suffixes
+//   like '[from App]', or else the shortest alias, end-truncated
+// - 'none': not shortened
+export type Truncation = 'end' | 'start' | 'middle' | 'alias' | 'none';
+
+// the width of text in a renderer's font, and text shortened to fit a width
+export type LabelText = {
+  measure: (text: string) => number,
+  fit: (text: string, width: number, truncation: Truncation) => string,
+};
+
+const ELLIPSIS = '\u{2026}';
+// trailing '[...]' or '(...)'
+const BRACKETED_SUFFIX = /\s*(\[[^[\]]*\]|\([^()]*\))\s*$/;
+// truncated labels are fitted to the start of each bucket, so they fit every
+// width in it
+const WIDTH_BUCKET_PX = 4;
+const MAX_LABELS = 10000;
+const MAX_GLYPHS = 4096;
+const MAX_WIDTHS_PER_LABEL = 8;
+const MAX_FONTS = 8;
+
+// a Map which forgets the least recently used entries beyond maxSize
+export class LRUCache<K, V> {
+  _map: Map<K, V> = new Map();
+  _maxSize: number;
+
+  constructor(maxSize: number) {
+    this._maxSize = maxSize;
+  }
+
+  get(key: K): ?V {
+    const value = this._map.get(key);
+    if (value !== undefined) {
+      // move to the end, as most recently used
+      this._map.delete(key);
+      this._map.set(key, value);
+    }
+    return value;
+  }
+
+  set(key: K, value: V) {
+    this._map.delete(key);
+    this._map.set(key, value);
+    if (this._map.size > this._maxSize) {
+      // maps iterate in insertion order, so this is the least recently used
+      this._map.delete(this._map.keys().next().value);
+    }
+  }
+}
+
+type LabelLayout = {
+  // by code point, so surrogate pairs (eg. emoji) aren't split
+  chars: Array<string>,
+  // advance of chars before each index, and the total width at the end
+  prefixWidths: Array<number>,
+  // by truncation and bucket
+  fitted: LRUCache<string, string>,
+};
+
+// the label, then shorter versions of it with each bracketed suffix dropped
+export function getLabelAliases(label: string): Array<string> {
+  const aliases = [label];
+  for (;;) {
+    const alias = aliases[aliases.length - 1];
+    const shorter = alias.replace(BRACKETED_SUFFIX, '');
+    if (shorter === alias || shorter === '') {
+      return aliases;
+    }
+    aliases.push(shorter);
+  }
+}
+
+// the most (from 0 to max) which fits, where fewer always fit if more do
+function getMostWhichFit(max: number, fits: number => boolean): number {
+  let l = 0;
+  let r = Math.max(max, 0);
+  while (l < r) {
+    const m = r - Math.floor((r - l) / 2);
+    if (fits(m)) {
+      l = m;
+    } else {
+      r = m - 1;
+    }
+  }
+  return l;
+}
+
+export default class TextLayoutCache {
+  _labels: LRUCache<string, LabelLayout> = new LRUCache(MAX_LABELS);
+  _glyphWidths: LRUCache<string, number> = new LRUCache(MAX_GLYPHS);
+
+  _getGlyphWidth(chr: string, measureText: string => number): number {
+    let width = this._glyphWidths.get(chr);
+    if (width == null) {
+      width = measureText(chr);
+      this._glyphWidths.set(chr, width);
+    }
+    return width;
+  }
+
+  // measureText measures text in this cache's font. it's only called for
+  // glyphs which haven't been measured yet
+  _getLabelLayout(label: string, measureText: string => number) {
+    let layout = this._labels.get(label);
+    if (layout == null) {
+      const chars = Array.from(label);
+      const prefixWidths = [0];
+      for (let i = 0; i < chars.length; i++) {
+        // ignores kerning, which is close enough for truncating
+        prefixWidths.push(
+          prefixWidths[i] + this._getGlyphWidth(chars[i], measureText)
+        );
+      }
+      layout = {
+        chars,
+        prefixWidths,
+        fitted: new LRUCache(MAX_WIDTHS_PER_LABEL),
+      };
+      this._labels.set(label, layout);
+    }
+    return layout;
+  }
+
+  measureText(label: string, measureText: string => number): number {
+    const {prefixWidths} = this._getLabelLayout(label, measureText);
+    return prefixWidths[prefixWidths.length - 1];
+  }
+
+  // the label, shortened to fit in width if it doesn't
+  fitText(
+    label: string,
+    width: number,
+    measureText: string => number,
+    truncation: Truncation = 'middle'
+  ): string {
+    if (truncation === 'none') {
+      return label;
+    }
+    const {prefixWidths, fitted} = this._getLabelLayout(label, measureText);
+    if (prefixWidths[prefixWidths.length - 1] <= width) {
+      return label;
+    }
+    const bucket = Math.floor(width / WIDTH_BUCKET_PX);
+    const key = `${truncation} ${bucket}`;
+    let labelTrimmed = fitted.get(key);
+    if (labelTrimmed == null) {
+      labelTrimmed = this._truncate(
+        label,
+        bucket * WIDTH_BUCKET_PX,
+        measureText,
+        truncation
+      );
+      fitted.set(key, labelTrimmed);
+    }
+    return labelTrimmed;
+  }
+
+  _truncate(
+    label: string,
+    width: number,
+    measureText: string => number,
+    truncation: Truncation
+  ): string {
+    if (truncation === 'alias') {
+      const aliases = getLabelAliases(label);
+      for (const alias of aliases) {
+        if (this.measureText(alias, measureText) <= width) {
+          return alias;
+        }
+      }
+      return this._truncate(
+        aliases[aliases.length - 1],
+        width,
+        measureText,
+        'end'
+      );
+    }
+    const {chars, prefixWidths} = this._getLabelLayout(label, measureText);
+    const count = chars.length;
+    const total = prefixWidths[count];
+    const ellipsisWidth = this._getGlyphWidth(ELLIPSIS, measureText);
+    // binary search on the prefix sums, for the most chars which fit
+    switch (truncation) {
+      case 'end': {
+        const kept = getMostWhichFit(
+          count - 1,
+          n => prefixWidths[n] + ellipsisWidth <= width
+        );
+        return chars.slice(0, kept).join('') + ELLIPSIS;
+      }
+      case 'start': {
+        const kept = getMostWhichFit(
+          count - 1,
+          n => ellipsisWidth + total - prefixWidths[count - n] <= width
+        );
+        return ELLIPSIS + chars.slice(count - kept).join('');
+      }
+      case 'middle': {
+        // endSize chars kept at the start, and endSize + 1 at the end
+        const endSize = getMostWhichFit(
+          Math.floor((count - 2) / 2),
+          n =>
+            prefixWidths[n] +
+              ellipsisWidth +
+              total -
+              prefixWidths[count - 1 - n] <=
+            width
+        );
+        return (
+          chars.slice(0, endSize).join('') +
+          ELLIPSIS +
+          chars.slice(Math.max(count - 1 - endSize, endSize)).join('')
+        );
+      }
+      case 'none':
+        return label;
+      default:
+        (truncation: empty);
+        throw new Error(`unknown truncation: ${truncation}`);
+    }
+  }
+
+  // measures and fits text with measureText
+  getLabelText(measureText: string => number): LabelText {
+    return {
+      measure: text => this.measureText(text, measureText),
+      fit: (text, width, truncation) =>
+        this.fitText(text, width, measureText, truncation),
+    };
+  }
+}
+
+const caches: LRUCache<string, TextLayoutCache> = new LRUCache(MAX_FONTS);
+
+export function getTextLayoutCache(font: string): TextLayoutCache {
+  let cache = caches.get(font);
+  if (cache == null) {
+    cache = new TextLayoutCache();
+    caches.set(font, cache);
+  }
+  return cache;
+}
@@ -0,0 +1,203 @@
+// @flow
+
+// colours used to draw everything other than the measures themselves (which
+// come from the colorizer). colours must be given as hex ('#rgb', '#rrggbb',
+// '#rrggbbaa') or 'rgb()'/'rgba()', as the webgl renderer needs to parse them
+
+export type Theme = {
+  background: string,
+  // text outside the chart, eg. the tooltip and analysis panel
+  text: string,
+  // labels and hints outside the chart, and the borders of its panels
+  secondaryText: string,
+  panelBorder: string,
+  // measure colours are light in both presets, so labels are dark
+  measureText: string,
+  dimmedMeasureText: string,
+  selection: string,
+  rulerBackground: string,
+  rulerTick: string,
+  rulerText: string,
+  gridLine: string,
+  groupHeaderBackground: string,
+  groupHeaderDraggingBackground: string,
+  groupHeaderBorder: string,
+  groupHeaderText: string,
+  groupDropIndicator: string,
+  link: string,
+  highlightedLink: string,
+  // the parts of the minimap outside the visible range
+  minimapShade: string,
+  // the selected time range over the chart (with its length labelled) and on
+  // the minimap
+  rangeSelection: string,
+  rangeSelectionBorder: string,
+  rangeSelectionText: string,
+  minimapRangeSelection: string,
+  scrollbarTrack: string,
+  scrollbarThumb: string,
+  tooltipBackground: string,
+  tooltipText: string,
+  tooltipShadow: string,
+};
+
+export type ThemeName = 'light' | 'dark';
+
+// a preset, or overrides of some of the colours of a preset (light by default)
+export type ThemeProp = ThemeName | {base?: ThemeName, ...$Shape<Theme>};
+
+// rgb 0-255, alpha 0-1
+export type ParsedColor = [number, number, number, number];
+
+export const LIGHT_THEME: Theme = {
+  background: '#ffffff',
+  text: '#000000',
+  secondaryText: '#999999',
+  panelBorder: '#cccccc',
+  measureText: '#000000',
+  dimmedMeasureText: '#999999',
+  selection: '#0000ff',
+  rulerBackground: '#f3f3f3',
+  rulerTick: '#999999',
+  rulerText: '#333333',
+  gridLine: '#e5e5e5',
+  groupHeaderBackground: '#e8e8e8',
+  groupHeaderDraggingBackground: '#d0d8f0',
+  groupHeaderBorder: '#cccccc',
+  groupHeaderText: '#333333',
+  groupDropIndicator: '#0000ff',
+  link: 'rgba(0,0,0,0.3)',
+  highlightedLink: '#1a56db',
+  minimapShade: 'rgba(200,200,200,0.4)',
+  rangeSelection: 'rgba(66,133,244,0.15)',
+  rangeSelectionBorder: 'rgba(66,133,244,0.8)',
+  rangeSelectionText: '#ffffff',
+  minimapRangeSelection: 'rgba(66,133,244,0.3)',
+  scrollbarTrack: 'rgba(0,0,0,0.05)',
+  scrollbarThumb: 'rgba(0,0,0,0.3)',
+  tooltipBackground: '#ffffff',
+  tooltipText: '#000000',
+  tooltipShadow: 'rgba(0,0,0,0.4)',
+};
+
+export const DARK_THEME: Theme = {
+  background: '#1e1e1e',
+  text: '#dddddd',
+  secondaryText: '#888888',
+  panelBorder: '#444444',
+  measureText: '#000000',
+  dimmedMeasureText: '#888888',
+  selection: '#4d9bff',
+  rulerBackground: '#2b2b2b',
+  rulerTick: '#666666',
+  rulerText: '#bbbbbb',
+  gridLine: '#333333',
+  groupHeaderBackground: '#333333',
+  groupHeaderDraggingBackground: '#2f4266',
+  groupHeaderBorder: '#444444',
+  groupHeaderText: '#dddddd',
+  groupDropIndicator: '#4d9bff',
+  link: 'rgba(255,255,255,0.35)',
+  highlightedLink: '#6ea8ff',
+  minimapShade: 'rgba(0,0,0,0.5)',
+  rangeSelection: 'rgba(77,155,255,0.2)',
+  rangeSelectionBorder: 'rgba(77,155,255,0.8)',
+  rangeSelectionText: '#000000',
+  minimapRangeSelection: 'rgba(77,155,255,0.35)',
+  scrollbarTrack: 'rgba(255,255,255,0.05)',
+  scrollbarThumb: 'rgba(255,255,255,0.3)',
+  tooltipBackground: '#333333',
+  tooltipText: '#eeeeee',
+  tooltipShadow: 'rgba(0,0,0,0.8)',
+};
+
+// how far the colours of measures which are dimmed (eg. because they don't
+// match a search) are mixed towards the theme background
+export const DIMMED_COLOR_MIX = 0.8;
+
+const PRESETS: {[ThemeName]: Theme} = {
+  light: LIGHT_THEME,
+  dark: DARK_THEME,
+};
+
+export default function resolveTheme(theme: ?ThemeProp): Theme {
+  if (theme == null) {
+    return LIGHT_THEME;
+  }
+  if (typeof theme === 'string') {
+    const preset = PRESETS[theme];
+    if (preset == null) {
+      throw new Error(`unknown theme: ${theme}`);
+    }
+    return preset;
+  }
+  const {base, ...overrides} = theme;
+  return {...resolveTheme(base), ...overrides};
+}
+
+const parsedColors: Map<string, ParsedColor> = new Map();
+
+// parsed colours are cached, so the same colour string always gives the same
+// array, which can be used as a cache key
+export function parseColor(color: string): ParsedColor {
+  let parsed = parsedColors.get(color);
+  if (parsed == null) {
+    parsed = parseColorImpl(color.trim());
+    parsedColors.set(color, parsed);
+  }
+  return parsed;
+}
+
+function parseColorImpl(color: string): ParsedColor {
+  if (color[0] === '#') {
+    const hex =
+      color.length <= 5
+        ? color
+            .slice(1)
+            .split('')
+            .map(c => c + c)
+            .join('')
+        : color.slice(1);
+    const channels = [0, 2, 4, 6].map(i => parseInt(hex.slice(i, i + 2), 16));
+    if (
+      (hex.length === 6 || hex.length === 8) &&
+      !channels.slice(0, 3).some(Number.isNaN)
+    ) {
+      return [
+        channels[0],
+        channels[1],
+        channels[2],
+        hex.length === 8 ? channels[3] / 255 : 1,
+      ];
+    }
+  }
+  const match = /^rgba?\(([^)]*)\)$/.exec(color);
+  if (match) {
+    const channels = match[1].split(',').map(c => parseFloat(c));
+    if (
+      (channels.length === 3 || channels.length === 4) &&
+      !channels.some(Number.isNaN)
+    ) {
+      return [
+        channels[0],
+        channels[1],
+        channels[2],
+        channels.length === 4 ? channels[3] : 1,
+      ];
+    }
+  }
+  throw new Error(`unsupported theme colour: ${color}`);
+}
+
+const webGLColors: Map<string, [number, number, number, number]> = new Map();
+
+// rgba 0-1
+export function getWebGLColor(color: string): [number, number, number, number] {
+  let webGLColor = webGLColors.get(color);
+  if (webGLColor == null) {
+    const [r, g, b, a] = parseColor(color);
+    webGLColor = [r / 255, g / 255, b / 255, a];
+    webGLColors.set(color, webGLColor);
+  }
+  return webGLColor;
+}
@@ -0,0 +1,122 @@
+// @flow
+import type {Theme} from './theme';
+
+// time axis ticks for the ruler above the chart and the minimap. tick
+// intervals are rounded to 1, 2 or 5 × 10^n ms, picked so that ticks are at
+// least MIN_TICK_SPACING_PX apart at the current zoom level
+
+export type RulerTick = {
+  time: number,
+  x: number,
+  label: string,
+};
+
+const MIN_TICK_SPACING_PX = 80;
+const TICK_MULTIPLES = [1, 2, 5, 10];
+export const RULER_TEXT_PADDING_PX = 3;
+
+export function getTickInterval(msPerPx: number): number {
+  const minInterval = msPerPx * MIN_TICK_SPACING_PX;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(minInterval)));
+  for (const multiple of TICK_MULTIPLES) {
+    if (multiple * magnitude >= minInterval) {
+      return multiple * magnitude;
+    }
+  }
+  return 10 * magnitude;
+}
+
+function getDecimals(value: number) {
+  // round to avoid floating point error, eg. log10(0.001) = -2.9999999999999996
+  return Math.max(0, -Math.floor(Math.round(Math.log10(value) * 1e6) / 1e6));
+}
+
+// the unit is chosen based on `maxTime`, the largest time on the ruler, and
+// the precision based on the tick interval, so that all of the labels on the
+// ruler are formatted consistently
+export function formatTime(
+  ms: number,
+  interval: number,
+  maxTime: number = interval
+): string {
+  const magnitude = Math.max(Math.abs(maxTime), interval);
+  if (magnitude < 1) {
+    const decimals = getDecimals(interval * 1000);
+    return `${(ms * 1000).toFixed(decimals)}\u{b5}s`;
+  }
+  if (magnitude < 1000) {
+    return `${ms.toFixed(getDecimals(interval))}ms`;
+  }
+  return `${(ms / 1000).toFixed(getDecimals(interval / 1000))}s`;
+}
+
+// returns ticks between startTime and endTime, which are drawn across `width`
+// px. tick times (and labels) are relative to `origin`, usually the start of
+// the trace
+export function getRulerTicks(
+  startTime: number,
+  endTime: number,
+  origin: number,
+  width: number
+): Array<RulerTick> {
+  const duration = endTime - startTime;
+  if (!(duration > 0) || !(width > 0)) {
+    return [];
+  }
+  const interval = getTickInterval(duration / width);
+  const ticks = [];
+  const first = Math.ceil((startTime - origin) / interval);
+  const last = Math.floor((endTime - origin) / interval);
+  const maxTime = Math.max(Math.abs(first), Math.abs(last)) * interval;
+  for (let i = first; i <= last; i++) {
+    const relativeTime = i * interval;
+    const time = origin + relativeTime;
+    ticks.push({
+      time,
+      x: ((time - startTime) / duration) * width,
+      label: formatTime(relativeTime, interval, maxTime),
+    });
+  }
+  return ticks;
+}
+
+export function renderRuler2D(
+  ctx: CanvasRenderingContext2D,
+  theme: Theme,
+  ticks: Array<RulerTick>,
+  width: number,
+  height: number,
+  top: number = 0
+) {
+  ctx.fillStyle = theme.rulerBackground;
+  ctx.fillRect(0, top, width, height);
+
+  ctx.fillStyle = theme.rulerTick;
+  ctx.fillRect(0, top + height - 1, width, 1);
+  for (const tick of ticks) {
+    ctx.fillRect(Math.floor(tick.x), top, 1, height);
+  }
+
+  ctx.font = '10px Lucida Grande';
+  ctx.fillStyle = theme.rulerText;
+  for (const tick of ticks) {
+    ctx.fillText(
+      tick.label,
+      Math.floor(tick.x) + RULER_TEXT_PADDING_PX,
+      top + height / 2 + 4
+    );
+  }
+}
+
+export function renderGridLines2D(
+  ctx: CanvasRenderingContext2D,
+  theme: Theme,
+  ticks: Array<RulerTick>,
+  top: number,
+  bottom: number
+) {
+  ctx.fillStyle = theme.gridLine;
+  for (const tick of ticks) {
+    ctx.fillRect(Math.floor(tick.x), top, 1, bottom - top);
+  }
+}
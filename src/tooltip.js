@@ -0,0 +1,114 @@
+// @flow
+import React from 'react';
+import ReactDOM from 'react-dom';
+import type {Element as ReactElement} from 'react';
+import {TOOLTIP_OFFSET} from './constants';
+import {formatMs} from './renderUtils';
+import type {Measure, RenderableTrace} from './renderUtils';
+import type {RenderableMeasure} from './calculateTraceLayout';
+import type {Aggregate} from './levelOfDetail';
+import {getMeasureDetails} from './traceAnalysis';
+import MeasureTooltip from './MeasureTooltip';
+
+// the hover tooltip, shared by the canvas, webgl and dom renderers (and by
+// worker mode, where it's updated by the main thread). the tooltip div belongs
+// to Trace, and its content is rendered into it directly, as rerendering Trace
+// on every mouse move would be too slow
+
+export type TooltipContext = {
+  // the layout which the hovered measure is from, to find its children
+  renderableTrace: RenderableTrace,
+  traceStart: number,
+  viewportWidth: number,
+  viewportHeight: number,
+};
+
+// the measure (or block of measures) each tooltip is showing, so its content
+// is only rerendered when that changes, rather than on every mouse move
+const tooltipContents: WeakMap<HTMLElement, mixed> = new WeakMap();
+
+function renderContent(
+  hovered: ?RenderableMeasure<Measure>,
+  aggregate: ?Aggregate,
+  renderTooltip: ?(Measure) => ReactElement<any>,
+  context: TooltipContext
+) {
+  if (aggregate != null) {
+    return (
+      <span>
+        {aggregate.count} measures, {formatMs(aggregate.totalDuration)} total
+      </span>
+    );
+  }
+  if (hovered == null) {
+    return null;
+  }
+  if (renderTooltip) {
+    return renderTooltip(hovered.measure);
+  }
+  return (
+    <MeasureTooltip
+      details={getMeasureDetails(
+        context.renderableTrace,
+        hovered,
+        context.traceStart
+      )}
+    />
+  );
+}
+
+// below and to the right of the mouse, or on the other side of it where that
+// would go past the edge of the viewport
+export function positionTooltip(
+  tooltip: HTMLElement,
+  mouseX: number,
+  mouseY: number,
+  viewportWidth: number,
+  viewportHeight: number
+) {
+  // measured at the left edge, so its width isn't squashed by the edge
+  tooltip.style.left = '0px';
+  const width = tooltip.offsetWidth;
+  const height = tooltip.offsetHeight;
+  let left = mouseX + TOOLTIP_OFFSET;
+  if (left + width > viewportWidth) {
+    left = mouseX - TOOLTIP_OFFSET - width;
+  }
+  let top = mouseY + TOOLTIP_OFFSET;
+  if (top + height > viewportHeight) {
+    top = mouseY - TOOLTIP_OFFSET - height;
+  }
+  tooltip.style.left = `${Math.max(0, left)}px`;
+  tooltip.style.top = `${Math.max(0, top)}px`;
+}
+
+export function updateTooltip(
+  tooltip: HTMLElement,
+  mouseX: number,
+  mouseY: number,
+  hovered: ?RenderableMeasure<Measure>,
+  aggregate: ?Aggregate,
+  renderTooltip: ?(Measure) => ReactElement<any>,
+  context: TooltipContext
+) {
+  const content = aggregate != null ? aggregate : hovered;
+  if (content == null) {
+    tooltip.hidden = true;
+    return;
+  }
+  if (tooltipContents.get(tooltip) !== content) {
+    tooltipContents.set(tooltip, content);
+    ReactDOM.render(
+      renderContent(hovered, aggregate, renderTooltip, context),
+      tooltip
+    );
+  }
+  tooltip.hidden = false;
+  positionTooltip(
+    tooltip,
+    mouseX,
+    mouseY,
+    context.viewportWidth,
+    context.viewportHeight
+  );
+}
@@ -0,0 +1,296 @@
+// @flow
+import type {Measure, RenderableTrace} from './renderUtils';
+import type {RenderableMeasure} from './calculateTraceLayout';
+import getSpatialIndex from './spatialIndex';
+
+// aggregate statistics for a time range of a trace, like the bottom-up, call
+// tree and event log views of the devtools performance panel.
+//
+// the nesting of measures comes from the stackIndex assigned by
+// calculateTraceLayout: the parent of a measure is the measure which was open
+// one level up the stack when it started (as in getMeasureAncestors). times
+// are clipped to the range, so measures which are partially in the range only
+// contribute the part inside it, and children only count towards the self
+// time of their parent for the part inside it
+
+export type AnalysisRange = {
+  start: number,
+  end: number,
+};
+
+export type EventLogRow = {
+  renderableMeasure: RenderableMeasure<Measure>,
+  name: string,
+  group: ?string,
+  startTime: number,
+  totalTime: number,
+  selfTime: number,
+  depth: number,
+};
+
+export type BottomUpRow = {
+  name: string,
+  selfTime: number,
+  // time with this name anywhere on the stack. recursive calls are only
+  // counted once
+  totalTime: number,
+  count: number,
+};
+
+export type CallTreeNode = {
+  // path of names from the root, unique within the tree
+  id: string,
+  name: string,
+  selfTime: number,
+  totalTime: number,
+  count: number,
+  children: Map<string, CallTreeNode>,
+};
+
+export type TraceAnalysis = {
+  events: Array<EventLogRow>,
+  bottomUp: Array<BottomUpRow>,
+  callTree: Map<string, CallTreeNode>,
+};
+
+export type MeasureDetails = {
+  renderableMeasure: RenderableMeasure<Measure>,
+  // relative to the start of the trace
+  start: number,
+  end: number,
+  totalTime: number,
+  selfTime: number,
+  depth: number,
+  group: ?string,
+};
+
+type Entry = {
+  renderableMeasure: RenderableMeasure<Measure>,
+  parent: ?Entry,
+  clippedStart: number,
+  clippedEnd: number,
+  totalTime: number,
+  childTime: number,
+  node: CallTreeNode,
+};
+
+function createNode(id: string, name: string): CallTreeNode {
+  return {id, name, selfTime: 0, totalTime: 0, count: 0, children: new Map()};
+}
+
+function getChildNode(
+  children: Map<string, CallTreeNode>,
+  parentId: string,
+  name: string
+) {
+  let node = children.get(name);
+  if (node == null) {
+    node = createNode(`${parentId}/${name}`, name);
+    children.set(name, node);
+  }
+  return node;
+}
+
+function hasAncestorNamed(entry: Entry, name: string) {
+  for (let ancestor = entry.parent; ancestor; ancestor = ancestor.parent) {
+    if (ancestor.renderableMeasure.measure.name === name) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// renderableTraces are analysed separately (eg. one per group), as nesting
+// only makes sense within a trace. when there is more than one, the call tree
+// is rooted at a node per group
+export default function analyzeTraces(
+  renderableTraces: Array<RenderableTrace>,
+  range: AnalysisRange
+): TraceAnalysis {
+  const entries: Array<Entry> = [];
+  const callTree: Map<string, CallTreeNode> = new Map();
+
+  for (const renderableTrace of renderableTraces) {
+    const first = renderableTrace[0];
+    if (first == null) continue;
+
+    let roots = callTree;
+    let rootId = '';
+    if (renderableTraces.length > 1) {
+      const groupNode = getChildNode(callTree, '', String(first.measure.group));
+      roots = groupNode.children;
+      rootId = groupNode.id;
+    }
+
+    const index = getSpatialIndex(renderableTrace);
+    const entriesByMeasure: Map<RenderableMeasure<Measure>, Entry> = new Map();
+    for (let i = 0; i < renderableTrace.length; i++) {
+      const renderableMeasure = renderableTrace[i];
+      const {measure, stackIndex} = renderableMeasure;
+      // measures are in order of start time
+      if (measure.startTime >= range.end) break;
+      if (measure.startTime + measure.duration <= range.start) continue;
+
+      const parentMeasure =
+        stackIndex > 0
+          ? index.findInRange(
+              stackIndex - 1,
+              measure.startTime,
+              measure.startTime
+            )
+          : null;
+      // parents which end before the range are left out of it
+      const parent =
+        parentMeasure != null ? entriesByMeasure.get(parentMeasure) : null;
+      const clippedStart = Math.max(measure.startTime, range.start);
+      const clippedEnd = Math.min(
+        measure.startTime + measure.duration,
+        range.end
+      );
+      const totalTime = Math.max(0, clippedEnd - clippedStart);
+      const node = parent
+        ? getChildNode(parent.node.children, parent.node.id, measure.name)
+        : getChildNode(roots, rootId, measure.name);
+
+      const entry = {
+        renderableMeasure,
+        parent,
+        clippedStart,
+        clippedEnd,
+        totalTime,
+        childTime: 0,
+        node,
+      };
+      if (parent) {
+        // the part of the child inside its parent
+        parent.childTime += Math.max(
+          0,
+          Math.min(clippedEnd, parent.clippedEnd) - clippedStart
+        );
+      }
+      entriesByMeasure.set(renderableMeasure, entry);
+      entries.push(entry);
+    }
+  }
+
+  const events: Array<EventLogRow> = [];
+  const bottomUpByName: Map<string, BottomUpRow> = new Map();
+  for (const entry of entries) {
+    const {measure, stackIndex} = entry.renderableMeasure;
+    const selfTime = Math.max(0, entry.totalTime - entry.childTime);
+
+    events.push({
+      renderableMeasure: entry.renderableMeasure,
+      name: measure.name,
+      group: measure.group,
+      startTime: measure.startTime,
+      totalTime: entry.totalTime,
+      selfTime,
+      depth: stackIndex,
+    });
+
+    let bottomUpRow = bottomUpByName.get(measure.name);
+    if (bottomUpRow == null) {
+      bottomUpRow = {name: measure.name, selfTime: 0, totalTime: 0, count: 0};
+      bottomUpByName.set(measure.name, bottomUpRow);
+    }
+    bottomUpRow.selfTime += selfTime;
+    bottomUpRow.count++;
+    if (!hasAncestorNamed(entry, measure.name)) {
+      bottomUpRow.totalTime += entry.totalTime;
+    }
+
+    entry.node.selfTime += selfTime;
+    entry.node.totalTime += entry.totalTime;
+    entry.node.count++;
+  }
+
+  // group nodes don't correspond to a measure, so sum up their children
+  if (renderableTraces.length > 1) {
+    for (const groupNode of callTree.values()) {
+      for (const child of groupNode.children.values()) {
+        groupNode.totalTime += child.totalTime;
+        groupNode.count += child.count;
+      }
+    }
+  }
+
+  return {
+    events,
+    bottomUp: Array.from(bottomUpByName.values()),
+    callTree,
+  };
+}
+
+// as above, the children of a measure are the measures one level down the
+// stack which start within it
+export function getMeasureChildren(
+  renderableTrace: RenderableTrace,
+  renderableMeasure: RenderableMeasure<Measure>
+): Array<RenderableMeasure<Measure>> {
+  const {measure, stackIndex} = renderableMeasure;
+  const start = measure.startTime;
+  const end = measure.startTime + measure.duration;
+  const children = [];
+  getSpatialIndex(renderableTrace).forEachInRange(
+    stackIndex + 1,
+    start,
+    end,
+    child => {
+      if (child.measure.startTime >= start && child.measure.startTime < end) {
+        children.push(child);
+      }
+    }
+  );
+  return children;
+}
+
+// the measures which a measure is nested in, outermost first. each parent is
+// the measure one level up the stack which encloses the start of its child
+export function getMeasureAncestors(
+  renderableTrace: RenderableTrace,
+  renderableMeasure: RenderableMeasure<Measure>
+): Array<RenderableMeasure<Measure>> {
+  const index = getSpatialIndex(renderableTrace);
+  const ancestors = [];
+  let child = renderableMeasure;
+  while (child.stackIndex > 0) {
+    const {startTime} = child.measure;
+    const parent = index.findInRange(
+      child.stackIndex - 1,
+      startTime,
+      startTime
+    );
+    if (parent == null) break;
+    ancestors.unshift(parent);
+    child = parent;
+  }
+  return ancestors;
+}
+
+// the timing of a single measure, eg. for its tooltip
+export function getMeasureDetails(
+  renderableTrace: RenderableTrace,
+  renderableMeasure: RenderableMeasure<Measure>,
+  traceStart: number
+): MeasureDetails {
+  const {measure, stackIndex} = renderableMeasure;
+  const start = measure.startTime;
+  const end = measure.startTime + measure.duration;
+  let childTime = 0;
+  for (const child of getMeasureChildren(renderableTrace, renderableMeasure)) {
+    // children can't extend outside of their parents
+    childTime +=
+      Math.min(child.measure.startTime + child.measure.duration, end) -
+      child.measure.startTime;
+  }
+  return {
+    renderableMeasure,
+    start: start - traceStart,
+    end: end - traceStart,
+    totalTime: measure.duration,
+    selfTime: Math.max(0, measure.duration - childTime),
+    depth: stackIndex,
+    group: measure.group,
+  };
+}
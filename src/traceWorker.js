@@ -0,0 +1,315 @@
+// @flow
+import {GroupedTraceLayout} from './calculateTraceLayout';
+import type {RenderableMeasure} from './calculateTraceLayout';
+import type {Measure, RenderableTrace} from './renderUtils';
+import {UtilsWithCache} from './renderUtils';
+import {
+  CanvasRendererImpl,
+  Canvas2DRendererImpl,
+  CanvasWebGlRendererImpl,
+} from './CanvasRendererImpl';
+import type {Props as RendererProps} from './CanvasRendererImpl';
+import {updateColorizer} from './colorScheme';
+import type {ColorBy, Colorizer, PaletteName} from './colorScheme';
+import type {FlowLink} from './flowLinks';
+import {getAggregate} from './levelOfDetail';
+import type {
+  ToWorkerMessage,
+  FromWorkerMessage,
+  WorkerRenderProps,
+  WorkerStateChanges,
+  ProxiedEvent,
+  ProxiedEventName,
+} from './TraceWorkerClient';
+
+// the worker used in worker mode (see TraceWorkerClient). it lays out a copy of
+// the trace, and draws it to an OffscreenCanvas with the same renderers used on
+// the main thread, which it forwards mouse and wheel events to
+
+const EVENT_HANDLERS: {[ProxiedEventName]: string} = {
+  mouseDown: '_mouseDown',
+  mouseMove: '_mouseMove',
+  mouseOut: '_mouseOut',
+  mouseUp: '_mouseUp',
+  wheel: '_handleWheel',
+};
+
+class TraceWorker {
+  _post: (message: FromWorkerMessage, transfer?: Array<mixed>) => void;
+
+  _measures: Array<Measure> = [];
+  _indexes: Map<Measure, number> = new Map();
+  _layout: GroupedTraceLayout<Measure> = new GroupedTraceLayout();
+  _generation = 0;
+  _layoutScheduled = false;
+  _utils = new UtilsWithCache();
+
+  _canvas: mixed = null;
+  _devicePixelRatio = 1;
+  _renderer: ?CanvasRendererImpl = null;
+  _props: ?WorkerRenderProps = null;
+  _searchMatches: ?Set<Measure> = null;
+  _links: Array<FlowLink> = [];
+  _hovered: ?RenderableMeasure<Measure> = null;
+
+  // state changes sent to the main thread which haven't come back in props
+  // yet. they're applied over the props so the worker can draw them straight
+  // away, and so changes relative to the current state (eg. dragging) build on
+  // each other rather than on out of date props
+  _pendingStateChanges: Array<WorkerStateChanges> = [];
+  _stateChangeCount = 0;
+
+  constructor(
+    post: (message: FromWorkerMessage, transfer?: Array<mixed>) => void
+  ) {
+    this._post = post;
+  }
+
+  handleMessage(message: ToWorkerMessage) {
+    switch (message.type) {
+      case 'append':
+        this._append(message.measures, message.generation);
+        break;
+      case 'canvas':
+        this._canvas = message.canvas;
+        this._devicePixelRatio = message.devicePixelRatio;
+        this._renderer = null;
+        this._render();
+        break;
+      case 'props':
+        this._updateProps(message.props);
+        break;
+      case 'searchMatches':
+        this._searchMatches = message.matches
+          ? new Set(message.matches.map(index => this._measures[index]))
+          : null;
+        break;
+      case 'links':
+        this._links = message.links.map(([from, to]) => ({
+          from: this._measures[from],
+          to: this._measures[to],
+        }));
+        break;
+      case 'event':
+        this._handleEvent(message.name, message.event);
+        break;
+      default:
+        (message.type: empty);
+        throw new Error(`unknown message type: ${message.type}`);
+    }
+  }
+
+  _append(measures: Array<Measure>, generation: number) {
+    if (generation !== this._generation) {
+      this._generation = generation;
+      this._measures = [];
+      this._indexes = new Map();
+      this._layout = new GroupedTraceLayout();
+    }
+    for (const measure of measures) {
+      this._indexes.set(measure, this._measures.length);
+      this._measures.push(measure);
+    }
+    this._layout.append(measures);
+    // measures can be appended many times in a row (eg. when recording a live
+    // trace), so the layout is sent once they've all been laid out
+    if (!this._layoutScheduled) {
+      this._layoutScheduled = true;
+      setTimeout(() => {
+        this._layoutScheduled = false;
+        this._postLayout();
+        this._render();
+      }, 0);
+    }
+  }
+
+  _serializeTrace(renderableTrace: RenderableTrace) {
+    const order = new Int32Array(renderableTrace.length);
+    const stackIndexes = new Int32Array(renderableTrace.length);
+    renderableTrace.forEach((renderableMeasure, i) => {
+      order[i] = this._getIndex(renderableMeasure.measure);
+      stackIndexes[i] = renderableMeasure.stackIndex;
+    });
+    return {order, stackIndexes};
+  }
+
+  _postLayout() {
+    const {traceLayout, renderableTraceGroups} = this._layout;
+    const trace = this._serializeTrace(traceLayout.renderableTrace);
+    const groups = [];
+    const transfer = [trace.order.buffer, trace.stackIndexes.buffer];
+    for (const [group, groupTrace] of renderableTraceGroups) {
+      const serialized = this._serializeTrace(groupTrace);
+      groups.push({group, trace: serialized});
+      transfer.push(serialized.order.buffer, serialized.stackIndexes.buffer);
+    }
+    this._post(
+      {
+        type: 'layout',
+        layout: {
+          generation: this._generation,
+          startOffset: traceLayout.getStartOffset(),
+          endOffset: traceLayout.getEndOffset(),
+          trace,
+          groups,
+        },
+      },
+      transfer
+    );
+  }
+
+  _getIndex(measure: Measure): number {
+    const index = this._indexes.get(measure);
+    if (index == null) {
+      throw new Error('measure not in trace');
+    }
+    return index;
+  }
+
+  _updateProps(props: WorkerRenderProps) {
+    this._pendingStateChanges = this._pendingStateChanges.slice(
+      this._pendingStateChanges.length -
+        (this._stateChangeCount - props.stateChangeCount)
+    );
+    this._props = props;
+    this._render();
+  }
+
+  // the renderers draw the selection from its group's layout, as they draw a
+  // lane per group
+  _getRenderableMeasure(measure: Measure): ?RenderableMeasure<Measure> {
+    const renderableTrace = this._layout.renderableTraceGroups.get(
+      (measure.group: $FlowFixMe)
+    );
+    return renderableTrace
+      ? this._utils._getRenderableMeasureIndex(renderableTrace).get(measure)
+      : null;
+  }
+
+  // kept as measures are appended, so they don't re-colour the trace
+  _colorizer: ?Colorizer = null;
+
+  _getColorizer(colorBy: ?ColorBy, palette: ?PaletteName): Colorizer {
+    this._colorizer = updateColorizer(
+      this._colorizer,
+      this._measures,
+      colorBy || undefined,
+      palette || undefined
+    );
+    return this._colorizer;
+  }
+
+  _getRendererProps(props: WorkerRenderProps): RendererProps {
+    const {traceLayout, renderableTraceGroups} = this._layout;
+    const {selection, colorBy, palette, stateChangeCount, ...rest} = props;
+    const selectedMeasure =
+      selection != null ? this._measures[selection] : null;
+    return {
+      ...rest,
+      ...Object.assign({}, ...this._pendingStateChanges),
+      hovered: null,
+      selection: selectedMeasure
+        ? this._getRenderableMeasure(selectedMeasure)
+        : null,
+      searchMatches: this._searchMatches,
+      colorizer: this._getColorizer(colorBy, palette),
+      links: this._links,
+      // the tooltip is shown by the main thread
+      tooltip: null,
+      renderableTrace: traceLayout.renderableTrace,
+      renderableTraceGroups,
+      devicePixelRatio: this._devicePixelRatio,
+      onSelectionChange: this._handleSelectionChange,
+      onRangeSelect: range => this._post({type: 'rangeSelect', range}),
+      onToggleGroupCollapsed: group =>
+        this._post({type: 'toggleGroupCollapsed', group}),
+      onGroupOrderChange: groupOrder =>
+        this._post({type: 'groupOrderChange', groupOrder}),
+      onStateChange: this._handleStateChange,
+    };
+  }
+
+  _handleSelectionChange = (selection: ?RenderableMeasure<Measure>) => {
+    this._handleStateChange({selection});
+  };
+
+  _handleStateChange = ({
+    hovered,
+    selection,
+    ...changes
+  }: {
+    ...WorkerStateChanges,
+    hovered?: ?RenderableMeasure<Measure>,
+    selection?: ?RenderableMeasure<Measure>,
+  }) => {
+    this._pendingStateChanges.push(changes);
+    this._stateChangeCount++;
+    this._post(
+      selection !== undefined
+        ? {
+            type: 'stateChange',
+            changes,
+            selection: selection ? this._getIndex(selection.measure) : null,
+          }
+        : {type: 'stateChange', changes}
+    );
+    this._render();
+  };
+
+  _render() {
+    const props = this._props;
+    if (props == null || this._canvas == null || !this._measures.length) {
+      return;
+    }
+    const rendererProps = this._getRendererProps(props);
+    let renderer = this._renderer;
+    if (renderer == null) {
+      renderer =
+        props.renderer === 'webgl'
+          ? new CanvasWebGlRendererImpl(rendererProps)
+          : new Canvas2DRendererImpl(rendererProps);
+      renderer._canvas = (this._canvas: $FlowFixMe);
+      this._renderer = renderer;
+    }
+    renderer.props = rendererProps;
+    renderer._renderCanvas();
+  }
+
+  _handleEvent(name: ProxiedEventName, event: ProxiedEvent) {
+    const renderer = this._renderer;
+    if (renderer == null) {
+      return;
+    }
+    (renderer: $FlowFixMe)[EVENT_HANDLERS[name]]({
+      ...event,
+      // default actions are prevented by the main thread
+      preventDefault() {},
+      stopPropagation() {},
+    });
+    if (renderer._hovered !== this._hovered) {
+      this._hovered = renderer._hovered;
+      this._postHover(renderer._hovered);
+    }
+  }
+
+  _postHover(hovered: ?RenderableMeasure<Measure>) {
+    const aggregate = hovered ? getAggregate(hovered.measure) : null;
+    this._post({
+      type: 'hover',
+      index: hovered && !aggregate ? this._getIndex(hovered.measure) : null,
+      aggregate: aggregate
+        ? {
+            count: aggregate.count,
+            totalDuration: aggregate.totalDuration,
+            representative: this._getIndex(aggregate.representative),
+          }
+        : null,
+    });
+  }
+}
+
+const traceWorker = new TraceWorker((message, transfer) =>
+  (self: $FlowFixMe).postMessage(message, transfer)
+);
+(self: $FlowFixMe).onmessage = (event: MessageEvent) =>
+  traceWorker.handleMessage((event.data: $FlowFixMe));